@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SCHEMA, ConfigError, loadConfig } = require('../config');
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeConfigFile = values => {
+    const filePath = path.join(dir, 'config.json');
+    fs.writeFileSync(filePath, typeof values === 'string' ? values : JSON.stringify(values));
+    return filePath;
+  };
+
+  it('should use the defaults when nothing is set', () => {
+    const config = loadConfig({});
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+      expect(config[key]).toEqual(typeof spec.default === 'function' ? spec.default({}) : spec.default);
+    }
+    expect(Object.isFrozen(config)).toBe(true);
+  });
+
+  it('should check responses outside production only', () => {
+    expect(loadConfig({}).validateResponses).toBe('warn');
+    expect(loadConfig({ NODE_ENV: 'production' }).validateResponses).toBe('off');
+    expect(loadConfig({ NODE_ENV: 'production', VALIDATE_RESPONSES: 'strict' }).validateResponses).toBe('strict');
+  });
+
+  it('should parse environment variables', () => {
+    const config = loadConfig({
+      PORT: '4001',
+      CORS_ORIGIN: 'https://staging.example.com',
+      ITEM_STORE: 'sqlite',
+      DATA_PATH: 'fixtures/items.json',
+      TRASH_RETENTION_DAYS: '0.5'
+    });
+
+    expect(config).toMatchObject({
+      port: 4001,
+      corsOrigin: 'https://staging.example.com',
+      itemStore: 'sqlite',
+      dataPath: path.resolve('fixtures/items.json'),
+      trashRetentionDays: 0.5
+    });
+  });
+
+  it('should read settings from CONFIG_FILE', () => {
+    const config = loadConfig({ CONFIG_FILE: writeConfigFile({ port: 4002, defaultPageSize: 25 }) });
+
+    expect(config.port).toBe(4002);
+    expect(config.defaultPageSize).toBe(25);
+  });
+
+  it('should let environment variables override the file', () => {
+    const config = loadConfig({ CONFIG_FILE: writeConfigFile({ port: 4002 }), PORT: '4003' });
+
+    expect(config.port).toBe(4003);
+  });
+
+  it('should treat empty environment variables as unset', () => {
+    expect(loadConfig({ PORT: '' }).port).toBe(SCHEMA.port.default);
+  });
+
+  it('should report every invalid value at once', () => {
+    let error;
+    try {
+      loadConfig({ PORT: 'abc', ITEM_STORE: 'postgres', DEFAULT_PAGE_SIZE: '0', SHUTDOWN_TIMEOUT_MS: '1.5' });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'PORT="abc" must be an integer',
+      'ITEM_STORE="postgres" must be one of "json", "sqlite"',
+      'DEFAULT_PAGE_SIZE="0" must be at least 1',
+      'SHUTDOWN_TIMEOUT_MS="1.5" must be an integer'
+    ]);
+    expect(error.message).toMatch(/^Invalid configuration:\n {2}- PORT="abc"/);
+  });
+
+  it('should not allow a default page size above the maximum', () => {
+    expect(() => loadConfig({ DEFAULT_PAGE_SIZE: '50', MAX_PAGE_SIZE: '20' }))
+      .toThrow('defaultPageSize (50) must not exceed maxPageSize (20)');
+  });
+
+  it('should reject unknown settings and mistyped values in the file', () => {
+    const filePath = writeConfigFile({ port: '4002', pageSize: 25 });
+
+    expect(() => loadConfig({ CONFIG_FILE: filePath })).toThrow(expect.objectContaining({
+      problems: [
+        `${filePath}: unknown setting "pageSize"`,
+        'port in CONFIG_FILE must be an integer'
+      ]
+    }));
+  });
+
+  it('should report a config file that cannot be used', () => {
+    expect(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') })).toThrow(/could not be read/);
+    expect(() => loadConfig({ CONFIG_FILE: writeConfigFile('{ not json') })).toThrow(/could not be read/);
+    expect(() => loadConfig({ CONFIG_FILE: writeConfigFile([]) })).toThrow(/must contain a JSON object/);
+  });
+});
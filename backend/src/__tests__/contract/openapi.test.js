@@ -0,0 +1,373 @@
+const request = require('supertest');
+const express = require('express');
+const { API_ROUTES, API_VERSIONS, createApp } = require('../../app');
+const healthRouter = require('../../routes/health');
+const { createDocsRouter } = require('../../routes/docs');
+const { createResponseValidator } = require('../../middleware/openapi');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { resolveRef } = require('../../utils/schema');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const { initStatsCache, stopStatsCache } = require('../../utils/stats');
+const { initSearchIndex, stopSearchIndex } = require('../../utils/searchIndex');
+const { initCatalogVersion, stopCatalogVersion } = require('../../utils/catalogVersion');
+const { setPhase } = require('../../utils/health');
+const { setCredentials, hashPassword, issueToken } = require('../../utils/auth');
+const { renderMetrics, resetMetrics } = require('../../utils/metrics');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// "GET /api/v2/items/{id}" for every route Express would answer for a version
+function expressRoutes({ basePath, document }) {
+  const mounts = [
+    { path: '', router: healthRouter },
+    ...API_ROUTES.map(({ path, router }) => ({ path: basePath + path, router })),
+    { path: basePath, router: createDocsRouter(document) }
+  ];
+  return mounts.flatMap(({ path, router }) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => {
+      const template = (path + (layer.route.path === '/' ? '' : layer.route.path)).replace(/:(\w+)/g, '{$1}');
+      return `${method.toUpperCase()} ${template}`;
+    })));
+}
+
+function documentedOperations(document) {
+  return Object.entries(document.paths).flatMap(([path, pathItem]) => METHODS
+    .filter(method => pathItem[method])
+    .map(method => ({ key: `${method.toUpperCase()} ${path}`, operation: pathItem[method] })));
+}
+
+function collectRefs(node, refs = []) {
+  if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') {
+      refs.push(node);
+    }
+    Object.values(node).forEach(child => collectRefs(child, refs));
+  }
+  return refs;
+}
+
+describe.each(API_VERSIONS)('OpenAPI document for $basePath', (version) => {
+  const { document } = version;
+
+  it('should document every route, and only routes that exist', () => {
+    const documented = documentedOperations(document).map(({ key }) => key);
+
+    expect(documented.sort()).toEqual(expressRoutes(version).sort());
+  });
+
+  it('should resolve every reference', () => {
+    for (const node of collectRefs(document)) {
+      expect(() => resolveRef(document, node)).not.toThrow();
+    }
+  });
+
+  it('should mark the operations of deprecated versions', () => {
+    const apiOperations = documentedOperations(document).filter(({ key }) => key.includes(' /api'));
+
+    expect(apiOperations.every(({ operation }) => Boolean(operation.deprecated) === Boolean(version.successor)))
+      .toBe(true);
+  });
+
+  it('should give each operation a unique id and a known tag', () => {
+    const operations = documentedOperations(document).map(({ operation }) => operation);
+    const ids = operations.map(operation => operation.operationId);
+    const tags = document.tags.map(tag => tag.name);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    for (const operation of operations) {
+      expect(tags).toEqual(expect.arrayContaining(operation.tags));
+    }
+  });
+});
+
+describe.each(API_VERSIONS)('API contract for $basePath', ({ basePath: base, version, document }) => {
+  let app;
+  let repo;
+  let tokens;
+
+  beforeAll(async () => {
+    setCredentials({
+      users: [{ username: 'erin', role: 'editor', passwordHash: await hashPassword('editor-pass') }],
+      apiKeys: []
+    });
+    tokens = {
+      editor: issueToken({ username: 'erin', role: 'editor' }).token,
+      viewer: issueToken({ username: 'vic', role: 'viewer' }).token
+    };
+  });
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    await repo.create({ name: 'Ergonomic Chair', category: 'Furniture', price: 799 });
+    setItemRepository(repo);
+    setAuditLog(new AuditLog());
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    initCatalogVersion();
+    await initStatsCache();
+    await initSearchIndex();
+    setPhase('ready');
+
+    // Strict: a response that drifts from the document becomes a 500
+    app = createApp({
+      validateResponses: 'strict',
+      rateLimitStore: { take: async () => ({ allowed: true, remaining: 1, retryAfterMs: 0 }) }
+    });
+  });
+
+  afterEach(async () => {
+    setPhase('starting');
+    stopStatsCache();
+    stopSearchIndex();
+    stopCatalogVersion();
+    console.log.mockRestore();
+    console.error.mockRestore();
+    await repo.close();
+  });
+
+  const as = (role, test) => test.set('Authorization', `Bearer ${tokens[role]}`);
+
+  // [operationId, expected status, description, request]
+  const cases = [
+    ['getLiveness', 200, 'alive', () => request(app).get('/healthz')],
+    ['getReadiness', 200, 'ready', () => request(app).get('/readyz')],
+    ['login', 200, 'signed in', () => request(app).post(`${base}/auth/login`).send({ username: 'erin', password: 'editor-pass' })],
+    ['login', 400, 'without a password', () => request(app).post(`${base}/auth/login`).send({ username: 'erin' })],
+    ['login', 401, 'with a wrong password', () => request(app).post(`${base}/auth/login`).send({ username: 'erin', password: 'nope' })],
+    ['getCurrentUser', 200, 'signed in', () => as('viewer', request(app).get(`${base}/auth/me`))],
+    ['getCurrentUser', 401, 'anonymous', () => request(app).get(`${base}/auth/me`)],
+    ['listItems', 200, 'by page', () => request(app).get(`${base}/items?page=1&pageSize=1&sort=-price`)],
+    ['listItems', 200, 'by cursor', () => request(app).get(`${base}/items?cursor=&q=laptop`)],
+    version === 1
+      ? ['listItems', 200, 'with the legacy limit', () => request(app).get(`${base}/items?limit=1`)]
+      : ['listItems', 400, 'with the retired limit', () => request(app).get(`${base}/items?limit=1`)],
+    ['listItems', 200, 'filtered by a category list', () => request(app).get(`${base}/items?category=electronics,furniture&minPrice=100`)],
+    ['listItems', 400, 'with a page size over the cap', () => request(app).get(`${base}/items?pageSize=500`)],
+    ['listItems', 304, 'while unchanged', async () => {
+      const { headers } = await request(app).get(`${base}/items`);
+      return request(app).get(`${base}/items`).set('If-None-Match', headers.etag);
+    }],
+    ['exportItems', 200, 'as CSV', () => request(app).get(`${base}/items/export?format=csv`)],
+    ['exportItems', 400, 'in an unknown format', () => request(app).get(`${base}/items/export?format=xml`)],
+    ['importItems', 200, 'from CSV', () => as('editor', request(app)
+      .post(`${base}/items/import?format=csv`)
+      .set('Content-Type', 'text/csv')
+      .send('name,category,price\nDesk Lamp,Lighting,79\n,Lighting,-1\n'))],
+    ['importItems', 200, 'as a dry run', () => as('editor', request(app)
+      .post(`${base}/items/import?mode=upsert&dryRun=true`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"id":1,"name":"Laptop","category":"Electronics","price":1}\n'))],
+    ['listTrash', 200, 'after a delete', async () => {
+      await as('editor', request(app).delete(`${base}/items/2`));
+      return request(app).get(`${base}/items/trash`);
+    }],
+    ['getItemHistory', 200, 'after a change', async () => {
+      await as('editor', request(app).patch(`${base}/items/1`).send({ price: 2299 }));
+      return as('viewer', request(app).get(`${base}/items/1/history`));
+    }],
+    ['getItemHistory', 401, 'anonymously', () => request(app).get(`${base}/items/1/history`)],
+    ['revertItem', 200, 'to an earlier revision', async () => {
+      await as('editor', request(app).patch(`${base}/items/1`).send({ price: 2299 }));
+      await as('editor', request(app).patch(`${base}/items/1`).send({ price: 1999 }));
+      const { body } = await as('viewer', request(app).get(`${base}/items/1/history`));
+      return as('editor', request(app).post(`${base}/items/1/revert`).send({ revision: body.entries[1].id }));
+    }],
+    ['revertItem', 400, 'without a revision', () => as('editor', request(app).post(`${base}/items/1/revert`).send({}))],
+    ['restoreItem', 200, 'from the trash', async () => {
+      await as('editor', request(app).delete(`${base}/items/2`));
+      return as('editor', request(app).post(`${base}/items/2/restore`));
+    }],
+    ['restoreItem', 409, 'that is not in the trash', () => as('editor', request(app).post(`${base}/items/2/restore`))],
+    ['getItem', 200, 'that exists', () => request(app).get(`${base}/items/1`)],
+    ['getItem', 400, 'with a malformed id', () => request(app).get(`${base}/items/abc`)],
+    ['getItem', 404, 'that does not exist', () => request(app).get(`${base}/items/99`)],
+    ['createItem', 201, 'as an editor', () => as('editor', request(app).post(`${base}/items`).send({ name: 'Desk Lamp', category: 'Lighting', price: 79 }))],
+    ['createItem', 400, 'with invalid fields', () => as('editor', request(app).post(`${base}/items`).send({ name: 5, price: -1, color: 'red' }))],
+    ['createItem', 401, 'anonymously', () => request(app).post(`${base}/items`).send({ name: 'Desk Lamp', category: 'Lighting', price: 79 })],
+    ['createItem', 403, 'as a viewer', () => as('viewer', request(app).post(`${base}/items`).send({ name: 'Desk Lamp', category: 'Lighting', price: 79 }))],
+    ['replaceItem', 200, 'with every field', () => as('editor', request(app).put(`${base}/items/1`).send({ name: 'Laptop', category: 'Electronics', price: 1 }))],
+    ['replaceItem', 412, 'with a stale If-Match', () => as('editor', request(app)
+      .put(`${base}/items/1`)
+      .set('If-Match', '"stale"')
+      .send({ name: 'Laptop', category: 'Electronics', price: 1 }))],
+    ['updateItem', 200, 'with some fields', () => as('editor', request(app).patch(`${base}/items/1`).send({ price: 1 }))],
+    ['deleteItem', 204, 'into the trash', () => as('editor', request(app).delete(`${base}/items/1`))],
+    ['deleteItem', 404, 'that does not exist', () => as('editor', request(app).delete(`${base}/items/99`))],
+    ['listAuditEntries', 200, 'after a change', async () => {
+      await as('editor', request(app).patch(`${base}/items/1`).send({ price: 1 }));
+      return as('viewer', request(app).get(`${base}/audit?action=update&limit=10`));
+    }],
+    ['listAuditEntries', 400, 'with an unknown action', () => as('viewer', request(app).get(`${base}/audit?action=bogus`))],
+    ['listAuditEntries', 401, 'anonymously', () => request(app).get(`${base}/audit`)],
+    ['getStats', 200, 'for the catalog', () => request(app).get(`${base}/stats`)],
+    ['getStats', 200, 'scoped to a search', () => request(app).get(`${base}/stats?q=laptop&buckets=3`)],
+    ['getStats', 400, 'with too many buckets', () => request(app).get(`${base}/stats?buckets=1000`)],
+    ['queryGraphql', 200, 'for items and stats', () => request(app)
+      .get(`${base}/graphql`)
+      .query({ query: 'query ($q: String) { items(q: $q) { items { id etag } pagination { totalItems } } stats { total } }', variables: '{"q":"laptop"}' })],
+    ['queryGraphql', 400, 'with an unknown field', () => request(app).get(`${base}/graphql?query={ widgets { id } }`)],
+    ['queryGraphql', 405, 'with a mutation', () => request(app).get(`${base}/graphql?query=mutation { deleteItem(id: 1) { id } }`)],
+    ['postGraphql', 200, 'with a mutation as an editor', () => as('editor', request(app)
+      .post(`${base}/graphql`)
+      .send({ query: 'mutation { createItem(input: { name: "Desk Lamp", category: "Lighting", price: 79 }) { id } }' }))],
+    ['postGraphql', 200, 'with a mutation that fails validation', () => as('editor', request(app)
+      .post(`${base}/graphql`)
+      .send({ query: 'mutation { updateItem(id: 1, input: { price: -1 }) { id } }' }))],
+    ['postGraphql', 400, 'without a query', () => request(app).post(`${base}/graphql`).send({ variables: {} })],
+    ['getMetrics', 200, 'as text', () => request(app).get(`${base}/metrics`)],
+    ['getOpenApiDocument', 200, 'as JSON', () => request(app).get(`${base}/openapi.json`)],
+    ['getApiDocs', 200, 'as a page', () => request(app).get(`${base}/docs`)]
+  ];
+
+  it.each(cases)('%s should answer %i %s as documented', async (operationId, status, description, send) => {
+    const response = await send();
+
+    // The body is in the comparison so a spec mismatch shows its message
+    expect({ status: response.status, body: response.body }).toMatchObject({ status });
+  });
+
+  it('should exercise every documented operation', () => {
+    // The event stream never ends; routes/events.test.js covers it
+    const untested = ['streamEvents'];
+    const exercised = new Set(cases.map(([operationId]) => operationId));
+
+    for (const { operation } of documentedOperations(document)) {
+      expect(exercised.has(operation.operationId) || untested.includes(operation.operationId)).toBe(true);
+    }
+  });
+
+  it('should reject requests that do not match the document', async () => {
+    const response = await request(app).get(`${base}/items?page=0&minPrice=cheap&includeDeleted=maybe`).expect(400);
+
+    expect(response.body.error.details).toEqual([
+      { field: 'minPrice', code: 'invalid_type', message: 'minPrice must be a finite number' },
+      { field: 'includeDeleted', code: 'invalid_type', message: 'includeDeleted must be true or false' },
+      { field: 'page', code: 'too_small', message: 'page must be at least 1' }
+    ]);
+  });
+
+  it('should answer paths with malformed percent-encoding with the JSON envelope', async () => {
+    const response = await request(app).get(`${base}/items/%E0`).expect(400);
+
+    expect(response.body.error).toMatchObject({ code: 'bad_request', message: expect.stringContaining('%E0') });
+  });
+
+  it('should check bodies before the route does', async () => {
+    const response = await as('editor', request(app).post(`${base}/items/1/revert`).send({ revision: 'first' })).expect(400);
+
+    expect(response.body.error.details).toEqual([
+      { field: 'revision', code: 'invalid_type', message: 'revision must be an integer' }
+    ]);
+  });
+
+  it('should serve the document and a page for each operation', async () => {
+    const json = await request(app).get(`${base}/openapi.json`).expect(200);
+    const page = await request(app).get(`${base}/docs`).expect('Content-Type', /html/).expect(200);
+
+    expect(json.body).toEqual(JSON.parse(JSON.stringify(document)));
+    for (const { operation } of documentedOperations(document)) {
+      expect(page.text).toContain(`id="${operation.operationId}"`);
+    }
+  });
+});
+
+describe('API versions', () => {
+  let app;
+  let repo;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    setItemRepository(repo);
+    jest.spyOn(console, 'log').mockImplementation();
+    initCatalogVersion();
+    setPhase('ready');
+    app = createApp({ validateResponses: 'strict' });
+  });
+
+  afterEach(async () => {
+    setPhase('starting');
+    stopCatalogVersion();
+    resetMetrics();
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  it('should answer v2 without deprecation notices', async () => {
+    const response = await request(app).get('/api/v2/items/1').expect(200);
+
+    expect(response.headers.deprecation).toBeUndefined();
+    expect(response.headers.link).toBeUndefined();
+  });
+
+  it.each(['/api/v1', '/api'])('should point %s callers at v2 and count them', async (base) => {
+    const response = await request(app).get(`${base}/items/1`).expect(200);
+    await request(app).get(`${base}/items`).expect(200);
+
+    expect(response.headers.deprecation).toBe('true');
+    expect(response.headers.link).toBe('</api/v2/items/1>; rel="successor-version"');
+    expect(renderMetrics()).toContain(`api_deprecated_requests_total{base_path="${base}",mount="${base}/items"} 2`);
+  });
+
+  it('should keep the legacy array response in v1 only', async () => {
+    const v1 = await request(app).get('/api/v1/items?limit=1').expect(200);
+    const v2 = await request(app).get('/api/v2/items?limit=1').expect(400);
+
+    expect(v1.body).toEqual([expect.objectContaining({ name: 'Laptop Pro' })]);
+    expect(v2.body.error.details).toEqual([
+      { field: 'limit', code: 'unknown_field', message: 'limit is not supported in v2; use pageSize' }
+    ]);
+  });
+
+  it('should not pass unknown v2 paths to the unversioned routes', async () => {
+    const response = await request(app).get('/api/v2/nope').expect(404);
+
+    expect(response.headers.deprecation).toBeUndefined();
+  });
+});
+
+describe('createResponseValidator', () => {
+  const createDriftingApp = (mode) => {
+    const app = express();
+    app.use(createResponseValidator([API_VERSIONS[0].document], { mode }));
+    app.get('/healthz', (req, res) => res.json({ status: 'fine', uptime: 1 }));
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('should turn a drifting response into a 500 in strict mode', async () => {
+    const response = await request(createDriftingApp('strict')).get('/healthz').expect(500);
+
+    expect(response.body.error.message).toBe('Response does not match the API spec (GET /healthz 200): ' +
+      'uptime is not allowed; status must be one of ok');
+  });
+
+  it('should log a drifting response in warn mode and send it anyway', async () => {
+    await request(createDriftingApp('warn')).get('/healthz').expect(200, { status: 'fine', uptime: 1 });
+
+    const entry = JSON.parse(console.log.mock.calls[0][0]);
+    expect(entry).toMatchObject({ level: 'warn', msg: 'Response does not match the API spec', path: '/healthz', status: 200 });
+  });
+
+  it('should not check anything when off', async () => {
+    await request(createDriftingApp('off')).get('/healthz').expect(200);
+
+    expect(console.log).not.toHaveBeenCalled();
+  });
+});
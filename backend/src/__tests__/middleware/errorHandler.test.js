@@ -0,0 +1,128 @@
+const request = require('supertest');
+const express = require('express');
+const { notFound, errorHandler } = require('../../middleware/errorHandler');
+const { requestId } = require('../../middleware/requestId');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ServiceUnavailableError
+} = require('../../utils/errors');
+
+const createApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.post('/echo', (req, res) => res.json(req.body));
+  app.get('/validation', () => {
+    throw new ValidationError([{ field: 'price', code: 'invalid_type', message: 'price must be a number' }]);
+  });
+  app.get('/missing', () => {
+    throw new NotFoundError('Item not found');
+  });
+  app.get('/conflict', () => {
+    throw new ConflictError('Item is not in the trash');
+  });
+  app.get('/unavailable', () => {
+    throw new ServiceUnavailableError('Stats not initialized');
+  });
+  app.get('/crash', () => {
+    throw new Error('ENOENT: /srv/data/items.json');
+  });
+  app.use('*', notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('errorHandler', () => {
+  const env = process.env.NODE_ENV;
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = env;
+    console.error.mockRestore();
+  });
+
+  it('should wrap typed errors in the envelope with the request id', async () => {
+    const response = await request(app)
+      .get('/validation')
+      .set('X-Request-Id', 'req-42')
+      .expect(400);
+
+    expect(response.headers['x-request-id']).toBe('req-42');
+    expect(response.body).toEqual({
+      error: {
+        code: 'validation_failed',
+        message: 'Validation failed',
+        details: [{ field: 'price', code: 'invalid_type', message: 'price must be a number' }],
+        requestId: 'req-42'
+      }
+    });
+  });
+
+  it('should give every error class its status and code', async () => {
+    const cases = [
+      ['/missing', 404, 'not_found'],
+      ['/conflict', 409, 'conflict'],
+      ['/unavailable', 503, 'service_unavailable'],
+      ['/nowhere', 404, 'not_found']
+    ];
+    for (const [path, status, code] of cases) {
+      const response = await request(app).get(path).expect(status);
+      expect(response.body.error.code).toBe(code);
+      expect(response.body.error.requestId).toBe(response.headers['x-request-id']);
+    }
+  });
+
+  it('should report malformed JSON bodies as client errors', async () => {
+    const response = await request(app)
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"name":')
+      .expect(400);
+
+    expect(response.body.error.code).toBe('invalid_json');
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('should replace unsafe request ids with a generated one', async () => {
+    const response = await request(app)
+      .get('/missing')
+      .set('X-Request-Id', 'not a valid id; DROP TABLE')
+      .expect(404);
+
+    expect(response.body.error.requestId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should include the stack of internal errors outside production', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const response = await request(app).get('/crash').expect(500);
+
+    expect(response.body.error).toMatchObject({
+      code: 'internal_error',
+      message: 'ENOENT: /srv/data/items.json',
+      stack: expect.stringContaining('Error: ENOENT')
+    });
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('should hide internal details in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const response = await request(app).get('/crash').expect(500);
+
+    expect(response.body).toEqual({
+      error: {
+        code: 'internal_error',
+        message: 'Internal server error',
+        requestId: response.headers['x-request-id']
+      }
+    });
+  });
+});
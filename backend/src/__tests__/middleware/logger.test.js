@@ -0,0 +1,82 @@
+const request = require('supertest');
+const express = require('express');
+const { requestId } = require('../../middleware/requestId');
+const { requestLogger } = require('../../middleware/logger');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { NotFoundError } = require('../../utils/errors');
+const { renderMetrics, resetMetrics } = require('../../utils/metrics');
+
+const createApp = () => {
+  const items = express.Router();
+  items.get('/', (req, res) => res.json([]));
+  items.get('/:id', (req, res) => {
+    throw new NotFoundError('Item not found');
+  });
+
+  const app = express();
+  app.use(requestId);
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/api/items', items);
+  app.use(errorHandler);
+  return app;
+};
+
+// Parsed JSON lines written for finished requests
+const requestLogs = () => console.log.mock.calls
+  .map(([line]) => JSON.parse(line))
+  .filter(entry => entry.msg === 'request');
+
+describe('requestLogger', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+    resetMetrics();
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should log one JSON line per request with its id, route and timing', async () => {
+    const response = await request(app).get('/api/items/42').expect(404);
+
+    const [entry] = requestLogs();
+    expect(entry).toEqual({
+      time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      level: 'info',
+      msg: 'request',
+      requestId: response.headers['x-request-id'],
+      method: 'GET',
+      url: '/api/items/42',
+      route: '/api/items/:id',
+      status: 404,
+      durationMs: expect.any(Number),
+      user: null
+    });
+  });
+
+  it('should redact sensitive query params', async () => {
+    await request(app).get('/api/items?q=lamp&token=secret-value&apiKey=ak_1').expect(200);
+
+    const [entry] = requestLogs();
+    expect(entry.url).toBe('/api/items?q=lamp&token=%5BREDACTED%5D&apiKey=%5BREDACTED%5D');
+    expect(entry.route).toBe('/api/items');
+  });
+
+  it('should count requests and latencies per route template', async () => {
+    await request(app).get('/api/items/1').expect(404);
+    await request(app).get('/api/items/2').expect(404);
+    await request(app).get('/api/items').expect(200);
+    await request(app).get('/nowhere').expect(404);
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain('http_requests_total{method="GET",route="/api/items/:id",status="404"} 2');
+    expect(metrics).toContain('http_requests_total{method="GET",route="/api/items",status="200"} 1');
+    expect(metrics).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(metrics).toContain('http_request_duration_seconds_count{method="GET",route="/api/items/:id"} 2');
+    expect(metrics).toMatch(/http_request_duration_seconds_bucket\{method="GET",route="\/api\/items",le="\+Inf"\} 1/);
+  });
+});
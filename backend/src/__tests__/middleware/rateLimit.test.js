@@ -0,0 +1,159 @@
+const request = require('supertest');
+const express = require('express');
+const { MemoryRateLimitStore, createRateLimiter } = require('../../middleware/rateLimit');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+describe('MemoryRateLimitStore', () => {
+  const budget = { capacity: 2, refillPerMs: 1 / 1000 };
+
+  it('should allow a burst up to the capacity, then refuse', async () => {
+    const store = new MemoryRateLimitStore();
+
+    expect(await store.take('a', budget, 0)).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0 });
+    expect(await store.take('a', budget, 0)).toEqual({ allowed: true, remaining: 0, retryAfterMs: 0 });
+    expect(await store.take('a', budget, 0)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1000 });
+  });
+
+  it('should refill over time without exceeding the capacity', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.take('a', budget, 0);
+    await store.take('a', budget, 0);
+
+    expect((await store.take('a', budget, 400)).retryAfterMs).toBe(600);
+    expect((await store.take('a', budget, 1000)).allowed).toBe(true);
+    expect((await store.take('a', budget, 60000)).remaining).toBe(1);
+  });
+
+  it('should keep separate buckets per key', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.take('a', budget, 0);
+    await store.take('a', budget, 0);
+
+    expect((await store.take('b', budget, 0)).allowed).toBe(true);
+  });
+
+  it('should forget buckets once they have refilled', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.take('a', budget, 0);
+    await store.take('b', budget, 60900);
+
+    await store.take('c', budget, 61000);
+
+    expect([...store.buckets.keys()]).toEqual(['b', 'c']);
+  });
+});
+
+describe('createRateLimiter', () => {
+  let now;
+
+  const createApp = (options = {}) => {
+    const app = express();
+    app.use((req, res, next) => {
+      const user = req.get('X-Test-User');
+      req.user = user ? { username: user, role: 'editor' } : null;
+      next();
+    });
+    app.use(createRateLimiter({
+      reads: { perMinute: 60, burst: 3 },
+      writes: { perMinute: 6, burst: 1 },
+      now: () => now,
+      ...options
+    }));
+    app.all('/api/items', (req, res) => res.json({ ok: true }));
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    now = 0;
+  });
+
+  it('should report the budget on every response', async () => {
+    const response = await request(createApp()).get('/api/items').expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBe('3');
+    expect(response.headers['ratelimit-remaining']).toBe('2');
+  });
+
+  it('should answer 429 with Retry-After once the budget is spent', async () => {
+    const app = createApp();
+    await request(app).post('/api/items').expect(200);
+
+    const response = await request(app).post('/api/items').expect(429);
+
+    expect(response.headers['retry-after']).toBe('10');
+    expect(response.body.error).toMatchObject({
+      code: 'rate_limited',
+      message: 'Too many requests; retry after 10 seconds'
+    });
+
+    now = 10000;
+    await request(app).post('/api/items').expect(200);
+  });
+
+  it('should budget reads and writes separately', async () => {
+    const app = createApp();
+    await request(app).post('/api/items').expect(200);
+    await request(app).post('/api/items').expect(429);
+
+    await request(app).get('/api/items').expect(200);
+  });
+
+  it('should give signed-in clients their own budget', async () => {
+    const app = createApp();
+    await request(app).post('/api/items').expect(200);
+    await request(app).post('/api/items').set('X-Test-User', 'erin').expect(200);
+    await request(app).post('/api/items').set('X-Test-User', 'apikey:importer').expect(200);
+
+    await request(app).post('/api/items').set('X-Test-User', 'erin').expect(429);
+  });
+
+  it('should use the store it is given', async () => {
+    const store = { take: jest.fn().mockResolvedValue({ allowed: false, remaining: 0, retryAfterMs: 1500 }) };
+
+    const response = await request(createApp({ store })).get('/api/items').expect(429);
+
+    expect(store.take).toHaveBeenCalledWith(expect.stringMatching(/^read:ip:/), { capacity: 3, refillPerMs: 1 / 1000 }, 0);
+    expect(response.headers['retry-after']).toBe('2');
+  });
+
+  it('should pass store failures to the error handler', async () => {
+    jest.spyOn(console, 'error').mockImplementation();
+    const store = { take: jest.fn().mockRejectedValue(new Error('store offline')) };
+
+    await request(createApp({ store })).get('/api/items').expect(500);
+    console.error.mockRestore();
+  });
+});
+
+describe('rate limiting in the app', () => {
+  const { createApp } = require('../../app');
+  const { setPhase } = require('../../utils/health');
+
+  beforeEach(() => {
+    setPhase('ready');
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    setPhase('starting');
+    console.log.mockRestore();
+  });
+
+  it('should throttle requests with bad credentials by address', async () => {
+    // Time stands still, so nothing refills
+    const memory = new MemoryRateLimitStore();
+    const store = { take: jest.fn((key, budget) => memory.take(key, budget, 0)) };
+    const app = createApp({ validateResponses: 'off', rateLimitStore: store });
+    const guess = () => request(app).get('/api/v2/items').set('Authorization', 'Bearer guessed-token');
+
+    // The default read burst, then a 429 however the token is varied
+    for (let i = 0; i < 120; i += 1) {
+      await guess().expect(401);
+    }
+    const response = await request(app).get('/api/v2/items').set('X-API-Key', 'guessed-key').expect(429);
+
+    expect(response.body.error.code).toBe('rate_limited');
+    expect(store.take).toHaveBeenLastCalledWith(expect.stringMatching(/^read:ip:/), expect.any(Object), expect.any(Number));
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileItemRepository = require('../../repositories/JsonFileItemRepository');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+describe('JsonFileItemRepository', () => {
+  let dir;
+  let filePath;
+  let repo;
+
+  const readFile = () => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'items-'));
+    filePath = path.join(dir, 'items.json');
+    fs.writeFileSync(filePath, JSON.stringify(seedItems));
+    repo = new JsonFileItemRepository({ filePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not lose concurrent writes', async () => {
+    await Promise.all([
+      repo.create({ name: 'Desk', category: 'Furniture', price: 500 }),
+      repo.update(1, current => ({ ...current, price: 1999 })),
+      repo.create({ name: 'Lamp', category: 'Furniture', price: 40 }),
+      repo.remove(2)
+    ]);
+
+    const names = readFile().map(item => item.name);
+    expect(names).toEqual(['Laptop Pro', 'Desk', 'Lamp']);
+    expect(readFile()[0].price).toBe(1999);
+  });
+
+  it('should keep serving writes after one fails', async () => {
+    const failing = repo.update(1, () => {
+      throw new Error('boom');
+    });
+    const next = repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    await expect(failing).rejects.toThrow('boom');
+    await expect(next).resolves.toMatchObject({ name: 'Desk' });
+    expect(readFile()).toHaveLength(3);
+  });
+
+  it('should replace the file atomically and leave no temp files', async () => {
+    await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['items.json', 'items.json.bak']);
+  });
+
+  it('should only remove items the predicate accepts', async () => {
+    expect(await repo.remove(2, item => item.id === 1)).toBeNull();
+    expect((await repo.findAll()).map(item => item.id)).toEqual(seedItems.map(item => item.id));
+    expect(await repo.remove(2, item => item.id === 2)).toEqual(seedItems[1]);
+  });
+
+  it('should keep the previous version as a backup', async () => {
+    await repo.remove(2);
+
+    const backup = JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf-8'));
+    expect(backup).toEqual(seedItems);
+  });
+
+  it('should restore the last good snapshot when the file is corrupt', async () => {
+    await repo.remove(2);
+    fs.writeFileSync(filePath, '[{"id": 1, "na');
+
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    const recovered = new JsonFileItemRepository({ filePath });
+    await recovered.init();
+    consoleErrorSpy.mockRestore();
+    consoleLogSpy.mockRestore();
+
+    expect(await recovered.findAll()).toEqual(seedItems);
+    expect(readFile()).toEqual(seedItems);
+  });
+
+  it('should fail to start when the file is corrupt and there is no backup', async () => {
+    fs.writeFileSync(filePath, 'not json');
+
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    await expect(repo.init()).rejects.toThrow(/Cannot recover/);
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should upsert a batch by id with a single write', async () => {
+    const results = await repo.upsertMany([
+      { id: 2, fields: { name: 'Ergonomic Chair', category: 'Furniture', price: 699 } },
+      { id: 99, fields: { name: 'Lamp', category: 'Lighting', price: 40 } },
+      { fields: { name: 'Stool', category: 'Furniture', price: 45 } }
+    ]);
+
+    expect(results).toEqual([
+      { item: { ...seedItems[1], price: 699 }, previous: seedItems[1] },
+      { item: { id: 3, name: 'Lamp', category: 'Lighting', price: 40 }, previous: null },
+      { item: { id: 4, name: 'Stool', category: 'Furniture', price: 45 }, previous: null }
+    ]);
+    expect(readFile()).toEqual([seedItems[0], ...results.map(result => result.item)]);
+    // The backup is the file as it was before the whole batch
+    expect(JSON.parse(fs.readFileSync(filePath + '.bak', 'utf-8'))).toEqual(seedItems);
+  });
+
+  it('should never reuse the id of a deleted item', async () => {
+    const first = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+    await repo.remove(first.id);
+    const second = await repo.create({ name: 'Lamp', category: 'Furniture', price: 40 });
+
+    expect(first.id).toBe(3);
+    expect(second.id).toBe(4);
+  });
+
+  it('should not reuse the ids of removed items after a restart', async () => {
+    await repo.remove(2);
+    const restarted = new JsonFileItemRepository({ filePath });
+    await restarted.init();
+
+    const created = await restarted.create({ name: 'Lamp', category: 'Furniture', price: 40 });
+
+    expect(created.id).toBe(3);
+    expect(JSON.parse(fs.readFileSync(`${filePath}.meta.json`, 'utf-8'))).toEqual({ lastId: 2 });
+  });
+
+  it('should assign ids to items that are missing one or share one', async () => {
+    fs.writeFileSync(filePath, JSON.stringify([
+      ...seedItems,
+      { name: 'Orphan', category: 'Misc', price: 1 },
+      { id: 2, name: 'Duplicate', category: 'Misc', price: 2 }
+    ]));
+
+    const changes = await repo.assignMissingIds();
+
+    expect(changes).toEqual([
+      { index: 2, previousId: null, id: 3, reason: 'missing' },
+      { index: 3, previousId: 2, id: 4, reason: 'duplicate' }
+    ]);
+    expect(readFile().map(item => item.id)).toEqual([1, 2, 3, 4]);
+    expect(await repo.assignMissingIds()).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+
+describe('SqliteItemRepository', () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+  });
+
+  afterEach(async () => {
+    await repo.close();
+  });
+
+  it('should create items with sequential ids', async () => {
+    const first = await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    const second = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    expect(first).toEqual({ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    expect(second.id).toBe(2);
+    expect(await repo.findAll()).toEqual([first, second]);
+  });
+
+  it('should find items by id', async () => {
+    const created = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    expect(await repo.findById(created.id)).toEqual(created);
+    expect(await repo.findById(999)).toBeNull();
+  });
+
+  it('should update items through the updater', async () => {
+    const created = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    const updated = await repo.update(created.id, current => ({ ...current, price: 450 }));
+
+    expect(updated).toEqual({ ...created, price: 450 });
+    expect(await repo.findById(created.id)).toEqual(updated);
+    expect(await repo.update(999, current => current)).toBeNull();
+  });
+
+  it('should keep fields without a dedicated column', async () => {
+    const created = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    await repo.update(created.id, current => ({ ...current, color: 'oak' }));
+
+    expect((await repo.findById(created.id)).color).toBe('oak');
+  });
+
+  it('should upsert a batch by id in one transaction', async () => {
+    const desk = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    const results = await repo.upsertMany([
+      { id: desk.id, fields: { name: 'Desk', category: 'Furniture', price: 450 } },
+      { id: 99, fields: { name: 'Lamp', category: 'Lighting', price: 40 } },
+      { fields: { name: 'Stool', category: 'Furniture', price: 45 } }
+    ]);
+
+    expect(results).toEqual([
+      { item: { ...desk, price: 450 }, previous: desk },
+      { item: { id: 2, name: 'Lamp', category: 'Lighting', price: 40 }, previous: null },
+      { item: { id: 3, name: 'Stool', category: 'Furniture', price: 45 }, previous: null }
+    ]);
+    expect(await repo.findAll()).toEqual(results.map(result => result.item));
+  });
+
+  it('should not reuse the id of a deleted item', async () => {
+    const first = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+    await repo.remove(first.id);
+    const second = await repo.create({ name: 'Lamp', category: 'Furniture', price: 40 });
+
+    expect(second.id).toBe(first.id + 1);
+  });
+
+  it('should remove items', async () => {
+    const created = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    expect(await repo.remove(created.id)).toEqual(created);
+    expect(await repo.findAll()).toEqual([]);
+    expect(await repo.remove(created.id)).toBeNull();
+  });
+
+  it('should only remove items the predicate accepts', async () => {
+    const created = await repo.create({ name: 'Desk', category: 'Furniture', price: 500 });
+
+    expect(await repo.remove(created.id, item => item.price > 1000)).toBeNull();
+    expect(await repo.findAll()).toEqual([created]);
+    expect(await repo.remove(created.id, item => item.price === 500)).toEqual(created);
+  });
+
+  it('should seed an empty database from the JSON catalog', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'items-'));
+    const seedPath = path.join(dir, 'items.json');
+    fs.writeFileSync(seedPath, JSON.stringify([
+      { name: 'Orphan', category: 'Misc', price: 1 },
+      { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+    ]));
+
+    const seeded = new SqliteItemRepository({ filename: ':memory:', seedPath });
+    jest.spyOn(console, 'log').mockImplementation();
+    await seeded.init();
+    console.log.mockRestore();
+
+    expect(await seeded.findAll()).toEqual([
+      { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+      { id: 5, name: 'Orphan', category: 'Misc', price: 1 }
+    ]);
+
+    await seeded.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
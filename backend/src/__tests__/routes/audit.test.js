@@ -0,0 +1,243 @@
+const request = require('supertest');
+const express = require('express');
+const itemsRouter = require('../../routes/items');
+const auditRouter = require('../../routes/audit');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+
+// Requests act as whoever the X-Test-User header names
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const username = req.get('X-Test-User');
+    req.user = username ? { username, role: 'editor' } : null;
+    next();
+  });
+  app.use('/api/items', itemsRouter);
+  app.use('/api/audit', auditRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Audit log routes', () => {
+  let app;
+  let repo;
+  let auditLog;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    setItemRepository(repo);
+    auditLog = new AuditLog();
+    setAuditLog(auditLog);
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    await repo.close();
+  });
+
+  // Create, reprice and rename one item as two different users
+  const makeHistory = async () => {
+    const { body: item } = await request(app)
+      .post('/api/items')
+      .set('X-Test-User', 'erin')
+      .send({ name: 'Desk Lamp', category: 'Lighting', price: 79 })
+      .expect(201);
+    await request(app)
+      .patch(`/api/items/${item.id}`)
+      .set('X-Test-User', 'sam')
+      .send({ price: 89 })
+      .expect(200);
+    await request(app)
+      .put(`/api/items/${item.id}`)
+      .set('X-Test-User', 'erin')
+      .send({ name: 'Desk Lamp XL', category: 'Lighting', price: 99 })
+      .expect(200);
+    return item;
+  };
+
+  describe('recording', () => {
+    it('should record every mutation with actor, time and diff', async () => {
+      const item = await makeHistory();
+      await request(app).delete(`/api/items/${item.id}`).expect(204);
+
+      const { entries } = auditLog.find();
+      expect(entries.map(entry => [entry.action, entry.actor && entry.actor.username])).toEqual([
+        ['delete', null],
+        ['update', 'erin'],
+        ['update', 'sam'],
+        ['create', 'erin']
+      ]);
+      expect(entries[2]).toEqual({
+        id: 2,
+        timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        action: 'update',
+        itemId: item.id,
+        actor: { username: 'sam', role: 'editor' },
+        changes: { price: { from: 79, to: 89 } },
+        before: { ...item },
+        after: { ...item, price: 89 }
+      });
+      expect(entries[0].changes).toEqual({
+        deletedAt: { from: null, to: entries[0].after.deletedAt }
+      });
+    });
+
+    it('should not record rejected changes', async () => {
+      await request(app).post('/api/items').send({ name: '' }).expect(400);
+      await request(app).patch('/api/items/999').send({ price: 1 }).expect(404);
+
+      expect(auditLog.find().entries).toEqual([]);
+    });
+
+    it('should record imported rows', async () => {
+      await request(app)
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .set('X-Test-User', 'erin')
+        .send('name,category,price\nDesk Lamp,Lighting,79\nStool,Furniture,45\n')
+        .expect(200);
+
+      expect(auditLog.find().entries.map(entry => [entry.action, entry.itemId, entry.source])).toEqual([
+        ['create', 2, 'import'],
+        ['create', 1, 'import']
+      ]);
+    });
+  });
+
+  describe('GET /api/items/:id/history', () => {
+    it('should list the item\'s entries newest first', async () => {
+      const item = await makeHistory();
+      await request(app)
+        .post('/api/items')
+        .send({ name: 'Stool', category: 'Furniture', price: 45 })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/items/${item.id}/history`)
+        .set('X-Test-User', 'vic')
+        .expect(200);
+
+      expect(response.body.entries.map(entry => entry.id)).toEqual([3, 2, 1]);
+      expect(response.body.entries[0].changes).toEqual({
+        name: { from: 'Desk Lamp', to: 'Desk Lamp XL' },
+        price: { from: 89, to: 99 }
+      });
+    });
+
+    it('should reject invalid ids', async () => {
+      await request(app).get('/api/items/abc/history').set('X-Test-User', 'vic').expect(400);
+    });
+
+    it('should not show who changed what to anonymous clients', async () => {
+      const item = await makeHistory();
+
+      const response = await request(app).get(`/api/items/${item.id}/history`).expect(401);
+
+      expect(response.body.error.code).toBe('unauthorized');
+    });
+  });
+
+  describe('POST /api/items/:id/revert', () => {
+    it('should restore the item as of a revision and record the revert', async () => {
+      const item = await makeHistory();
+
+      const response = await request(app)
+        .post(`/api/items/${item.id}/revert`)
+        .set('X-Test-User', 'sam')
+        .send({ revision: 1 })
+        .expect(200);
+
+      expect(response.body).toEqual(item);
+      expect(await repo.findById(item.id)).toEqual(item);
+      const [latest] = auditLog.find().entries;
+      expect(latest).toMatchObject({
+        action: 'revert',
+        revision: 1,
+        actor: { username: 'sam' },
+        changes: { name: { from: 'Desk Lamp XL', to: 'Desk Lamp' }, price: { from: 99, to: 79 } }
+      });
+    });
+
+    it('should only accept revisions of the same item', async () => {
+      const item = await makeHistory();
+      const { body: other } = await request(app)
+        .post('/api/items')
+        .send({ name: 'Stool', category: 'Furniture', price: 45 })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/items/${other.id}/revert`)
+        .send({ revision: 1 })
+        .expect(404);
+
+      expect(response.body.error).toMatchObject({ code: 'not_found', message: 'Revision not found' });
+      expect(await repo.findById(item.id)).toMatchObject({ price: 99 });
+    });
+
+    it('should refuse to revert to a deletion or a deleted item', async () => {
+      const item = await makeHistory();
+      await request(app).delete(`/api/items/${item.id}`).expect(204);
+
+      await request(app)
+        .post(`/api/items/${item.id}/revert`)
+        .send({ revision: 4 })
+        .expect(400);
+      await request(app)
+        .post(`/api/items/${item.id}/revert`)
+        .send({ revision: 1 })
+        .expect(404);
+      await request(app)
+        .post(`/api/items/${item.id}/revert`)
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('should filter by item, actor and action', async () => {
+      await makeHistory();
+
+      const byActor = await request(app).get('/api/audit?actor=erin').expect(200);
+      const byAction = await request(app).get('/api/audit?action=update&itemId=1').expect(200);
+
+      expect(byActor.body.entries.map(entry => entry.id)).toEqual([3, 1]);
+      expect(byAction.body.entries.map(entry => entry.id)).toEqual([3, 2]);
+    });
+
+    it('should filter by time range', async () => {
+      await makeHistory();
+      const future = new Date(Date.now() + 60000).toISOString();
+
+      const until = await request(app).get(`/api/audit?until=${future}`).expect(200);
+      const since = await request(app).get(`/api/audit?since=${future}`).expect(200);
+
+      expect(until.body.entries).toHaveLength(3);
+      expect(since.body.entries).toEqual([]);
+    });
+
+    it('should page with limit and before', async () => {
+      await makeHistory();
+
+      const first = await request(app).get('/api/audit?limit=2').expect(200);
+      expect(first.body.entries.map(entry => entry.id)).toEqual([3, 2]);
+      expect(first.body.nextBefore).toBe(2);
+
+      const second = await request(app).get(`/api/audit?limit=2&before=${first.body.nextBefore}`).expect(200);
+      expect(second.body.entries.map(entry => entry.id)).toEqual([1]);
+      expect(second.body.nextBefore).toBeNull();
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/audit?action=rename&limit=0&since=yesterday')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['limit', 'since', 'action']);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+const authRouter = require('../../routes/auth');
+const itemsRouter = require('../../routes/items');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { authenticate, requireRoleForWrites } = require('../../middleware/auth');
+const { setItemRepository } = require('../../repositories');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { setCredentials, hashPassword, hashApiKey } = require('../../utils/auth');
+
+// Same wiring as src/index.js
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.use('/api/auth', authRouter);
+  app.use('/api/items', requireRoleForWrites('editor'), itemsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+const newItem = { name: 'Desk Lamp', category: 'Lighting', price: 79 };
+
+describe('Auth', () => {
+  let app;
+  let repo;
+
+  beforeAll(async () => {
+    setCredentials({
+      users: [
+        { username: 'erin', role: 'editor', passwordHash: await hashPassword('editor-pass') },
+        { username: 'vic', role: 'viewer', passwordHash: await hashPassword('viewer-pass') }
+      ],
+      apiKeys: [{ name: 'ci', role: 'editor', keyHash: hashApiKey('ak_test') }]
+    });
+  });
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    setItemRepository(repo);
+    setAuditLog(new AuditLog());
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    await repo.close();
+  });
+
+  const login = async (username, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ username, password })
+      .expect(200);
+    return response.body.token;
+  };
+
+  describe('POST /api/auth/login', () => {
+    it('should issue a token for valid credentials', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'erin', password: 'editor-pass' })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        token: expect.any(String),
+        expiresAt: expect.any(String),
+        user: { username: 'erin', role: 'editor' }
+      });
+      expect(new Date(response.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject a wrong password or unknown user alike', async () => {
+      const wrongPassword = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'erin', password: 'nope' })
+        .expect(401);
+      const unknownUser = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'mallory', password: 'nope' })
+        .expect(401);
+
+      expect(wrongPassword.body.error).toMatchObject({ code: 'unauthorized', message: 'Invalid username or password' });
+      expect(unknownUser.body).toEqual(wrongPassword.body);
+    });
+
+    it('should require both fields', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'erin' })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'password', code: 'required', message: 'password is required' }
+      ]);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('should describe the token holder', async () => {
+      const token = await login('vic', 'viewer-pass');
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ user: { username: 'vic', role: 'viewer' } });
+    });
+
+    it('should require credentials', async () => {
+      await request(app).get('/api/auth/me').expect(401);
+    });
+  });
+
+  describe('item routes', () => {
+    it('should keep reads open to anonymous clients', async () => {
+      await request(app).get('/api/items').expect(200);
+      await request(app).get('/api/items/1').expect(200);
+    });
+
+    it('should reject anonymous writes', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send(newItem)
+        .expect(401);
+
+      expect(response.body.error).toMatchObject({ code: 'unauthorized', message: 'Authentication required' });
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      await request(app).delete('/api/items/1').expect(401);
+      expect(await repo.findAll()).toHaveLength(1);
+    });
+
+    it('should reject writes from viewers', async () => {
+      const token = await login('vic', 'viewer-pass');
+
+      const response = await request(app)
+        .patch('/api/items/1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ price: 1 })
+        .expect(403);
+
+      expect(response.body.error).toMatchObject({ code: 'forbidden', message: 'Requires the editor role' });
+    });
+
+    it('should let editors write with a token or an API key', async () => {
+      const token = await login('erin', 'editor-pass');
+
+      await request(app)
+        .post('/api/items')
+        .set('Authorization', `Bearer ${token}`)
+        .send(newItem)
+        .expect(201);
+      await request(app)
+        .delete('/api/items/1')
+        .set('X-API-Key', 'ak_test')
+        .expect(204);
+
+      const items = await repo.findAll();
+      expect(items.filter(item => !item.deletedAt).map(item => item.name)).toEqual(['Desk Lamp']);
+    });
+
+    it('should reject bad credentials even on reads', async () => {
+      const token = await login('erin', 'editor-pass');
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+        role: 'editor',
+        sub: 'mallory'
+      })).toString('base64url');
+
+      const response = await request(app)
+        .get('/api/items')
+        .set('Authorization', `Bearer ${forged}.${signature}`)
+        .expect(401);
+
+      expect(response.body.error).toMatchObject({ code: 'unauthorized', message: 'Invalid or expired token' });
+      await request(app).get('/api/items').set('X-API-Key', 'ak_wrong').expect(401);
+    });
+  });
+});
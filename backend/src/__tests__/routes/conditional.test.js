@@ -0,0 +1,169 @@
+const request = require('supertest');
+const express = require('express');
+const itemsRouter = require('../../routes/items');
+const statsRouter = require('../../routes/stats');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const { initStatsCache, stopStatsCache } = require('../../utils/stats');
+const { initCatalogVersion, stopCatalogVersion } = require('../../utils/catalogVersion');
+const { purgeExpiredItems } = require('../../utils/trash');
+const { encodeCursor } = require('../../utils/cursor');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/items', itemsRouter);
+  app.use('/api/stats', statsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Conditional requests', () => {
+  let app;
+  let repo;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    await repo.create({ name: 'Ergonomic Chair', category: 'Furniture', price: 799 });
+    setItemRepository(repo);
+    setAuditLog(new AuditLog());
+    jest.spyOn(console, 'log').mockImplementation();
+    initCatalogVersion();
+    await initStatsCache();
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    stopStatsCache();
+    stopCatalogVersion();
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  describe.each(['/api/items?page=1', '/api/stats'])('GET %s', (url) => {
+    it('should send strong validators', async () => {
+      const response = await request(app).get(url).expect(200);
+
+      expect(response.headers.etag).toMatch(/^"[^"]+"$/);
+      expect(new Date(response.headers['last-modified']).toString()).not.toBe('Invalid Date');
+      expect(response.headers['cache-control']).toBe('no-cache');
+    });
+
+    it('should answer 304 while the catalog is unchanged', async () => {
+      const { headers } = await request(app).get(url).expect(200);
+
+      const response = await request(app).get(url).set('If-None-Match', headers.etag).expect(304);
+
+      expect(response.headers.etag).toBe(headers.etag);
+      expect(response.text).toBe('');
+    });
+
+    it('should send the new body once the catalog changes', async () => {
+      const { headers } = await request(app).get(url).expect(200);
+      await request(app).post('/api/items').send({ name: 'Desk Lamp', category: 'Lighting', price: 89 }).expect(201);
+
+      const response = await request(app).get(url).set('If-None-Match', headers.etag).expect(200);
+
+      expect(response.headers.etag).not.toBe(headers.etag);
+    });
+  });
+
+  it('should give each query its own validator', async () => {
+    const first = await request(app).get('/api/items?page=1');
+    const second = await request(app).get('/api/items?page=2');
+
+    expect(first.headers.etag).not.toBe(second.headers.etag);
+    await request(app).get('/api/items?page=2').set('If-None-Match', first.headers.etag).expect(200);
+  });
+
+  it.each([
+    ['an empty price range', '/api/items?minPrice=500&maxPrice=100'],
+    ['an unknown sort', '/api/items?sort=colour'],
+    ['a bad flag', '/api/items?includeDeleted=maybe'],
+    ['a malformed cursor', '/api/items?cursor=not-a-cursor'],
+    ['a cursor for another order', `/api/items?cursor=${encodeCursor({ order: 'price', value: 10, id: 1 })}`]
+  ])('should keep rejecting %s rather than answer 304', async (name, url) => {
+    const { headers } = await request(app).get(url).expect(400);
+
+    expect(headers['last-modified']).toBeUndefined();
+    const response = await request(app).get(url).set('If-None-Match', headers.etag || '*').expect(400);
+    expect(response.body.error.code).toBe('validation_failed');
+  });
+
+  it('should change the validator when the trash is purged', async () => {
+    await request(app).delete('/api/items/1').expect(204);
+    const { headers } = await request(app).get('/api/items?includeDeleted=true');
+
+    await purgeExpiredItems(new Date('2999-01-01'));
+
+    await request(app).get('/api/items?includeDeleted=true').set('If-None-Match', headers.etag).expect(200);
+  });
+
+  describe('GET /api/items/:id', () => {
+    it('should answer 304 until the item changes', async () => {
+      const { headers } = await request(app).get('/api/items/1').expect(200);
+      await request(app).get('/api/items/1').set('If-None-Match', headers.etag).expect(304);
+
+      // Other items changing does not matter
+      await request(app).patch('/api/items/2').send({ price: 699 }).expect(200);
+      await request(app).get('/api/items/1').set('If-None-Match', headers.etag).expect(304);
+
+      await request(app).patch('/api/items/1').send({ price: 2299 }).expect(200);
+      await request(app).get('/api/items/1').set('If-None-Match', headers.etag).expect(200);
+    });
+  });
+
+  describe('If-Match', () => {
+    it('should apply a write made against the current version', async () => {
+      const { headers } = await request(app).get('/api/items/1');
+
+      const response = await request(app)
+        .put('/api/items/1')
+        .set('If-Match', headers.etag)
+        .send({ name: 'Laptop Pro', category: 'Electronics', price: 2299 })
+        .expect(200);
+
+      expect(response.body.price).toBe(2299);
+      // The new ETag allows the next conditional write
+      expect(response.headers.etag).not.toBe(headers.etag);
+      await request(app).patch('/api/items/1').set('If-Match', response.headers.etag).send({ price: 2199 }).expect(200);
+    });
+
+    it('should reject writes made against an older version with 412', async () => {
+      const { headers } = await request(app).get('/api/items/1');
+      await request(app).patch('/api/items/1').send({ price: 2299 }).expect(200);
+
+      const response = await request(app)
+        .patch('/api/items/1')
+        .set('If-Match', headers.etag)
+        .send({ price: 1999 })
+        .expect(412);
+
+      expect(response.body.error.code).toBe('precondition_failed');
+      expect((await repo.findById(1)).price).toBe(2299);
+      await request(app).delete('/api/items/1').set('If-Match', headers.etag).expect(412);
+      expect((await repo.findById(1)).deletedAt).toBeUndefined();
+    });
+
+    it('should never match weak validators', async () => {
+      const { headers } = await request(app).get('/api/items/1');
+
+      await request(app).patch('/api/items/1').set('If-Match', `W/${headers.etag}`).send({ price: 1 }).expect(412);
+    });
+
+    it('should accept * and lists of validators', async () => {
+      const { headers } = await request(app).get('/api/items/1');
+
+      await request(app).patch('/api/items/1').set('If-Match', `"stale", ${headers.etag}`).send({ price: 1 }).expect(200);
+      await request(app).patch('/api/items/1').set('If-Match', '*').send({ price: 2 }).expect(200);
+    });
+
+    it('should still report missing items as 404', async () => {
+      await request(app).patch('/api/items/99').set('If-Match', '"stale"').send({ price: 1 }).expect(404);
+    });
+  });
+});
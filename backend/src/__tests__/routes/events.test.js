@@ -0,0 +1,185 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const itemsRouter = require('../../routes/items');
+const eventsRouter = require('../../routes/events');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setItemRepository } = require('../../repositories');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { initStatsCache, stopStatsCache } = require('../../utils/stats');
+const { initEventStream, stopEventStream, currentEventId, publish } = require('../../utils/eventStream');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/items', itemsRouter);
+  app.use('/api/events', eventsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+// Open an SSE connection and collect parsed events as they arrive
+function connect(server, { path = '/api/events', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path, headers }, res => {
+      const stream = { req, res, events: [], buffer: '' };
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        stream.buffer += chunk;
+        const blocks = stream.buffer.split('\n\n');
+        stream.buffer = blocks.pop();
+        for (const block of blocks) {
+          const fields = Object.fromEntries(block.split('\n')
+            .filter(line => line && !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.event) {
+            stream.events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+          }
+        }
+      });
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+// Event ids are `<boot id>.<sequence>`
+const bootId = id => id.split('.')[0];
+const sequence = id => Number(id.split('.')[1]);
+
+async function waitForEvents(stream, count) {
+  while (stream.events.length < count) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return stream.events;
+}
+
+describe('Events Route', () => {
+  let app;
+  let server;
+  let repo;
+  let streams;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    setItemRepository(repo);
+    setAuditLog(new AuditLog());
+    jest.spyOn(console, 'log').mockImplementation();
+    initEventStream();
+    await initStatsCache();
+    app = createApp();
+    server = app.listen(0);
+    streams = [];
+  });
+
+  afterEach(async () => {
+    streams.forEach(stream => stream.req.destroy());
+    await new Promise(resolve => server.close(resolve));
+    stopStatsCache();
+    stopEventStream();
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  const open = async (options) => {
+    const stream = await connect(server, options);
+    streams.push(stream);
+    return stream;
+  };
+
+  it('should respond with an event stream', async () => {
+    const stream = await open();
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(stream.res.headers['cache-control']).toBe('no-cache');
+  });
+
+  it('should publish item changes followed by the stats they cause', async () => {
+    const stream = await open();
+
+    const { body: created } = await request(app)
+      .post('/api/items')
+      .send({ name: 'Desk Lamp', category: 'Lighting', price: 79 })
+      .expect(201);
+    await request(app)
+      .patch(`/api/items/${created.id}`)
+      .send({ price: 89 })
+      .expect(200);
+    await request(app)
+      .delete(`/api/items/${created.id}`)
+      .expect(204);
+
+    const events = await waitForEvents(stream, 6);
+    expect(events.map(event => event.type)).toEqual([
+      'item.created', 'stats.changed',
+      'item.updated', 'stats.changed',
+      'item.deleted', 'stats.changed'
+    ]);
+    expect(events[0].data).toEqual({ item: created });
+    expect(events[1].data.stats).toMatchObject({ total: 2, maxPrice: 2499, minPrice: 79 });
+    expect(events[2].data.item).toMatchObject({ id: created.id, price: 89 });
+    expect(events[4].data).toEqual({ id: created.id });
+    expect(events[5].data.stats.total).toBe(1);
+
+    // Ids increase so clients can resume from the last one they saw
+    events.slice(1).forEach((event, i) => {
+      expect(bootId(event.id)).toBe(bootId(events[i].id));
+      expect(sequence(event.id)).toBe(sequence(events[i].id) + 1);
+    });
+  });
+
+  it('should replay events missed since Last-Event-ID', async () => {
+    const lastSeen = currentEventId();
+    publish('item.deleted', { id: 41 });
+    publish('item.deleted', { id: 42 });
+
+    const stream = await open({ headers: { 'Last-Event-ID': lastSeen } });
+
+    const events = await waitForEvents(stream, 2);
+    expect(events.map(event => event.data.id)).toEqual([41, 42]);
+    expect(events[1].id).toBe(currentEventId());
+    expect(sequence(events[1].id)).toBe(sequence(lastSeen) + 2);
+  });
+
+  it('should accept the resume position as a query parameter', async () => {
+    const lastSeen = currentEventId();
+    publish('item.deleted', { id: 41 });
+
+    const stream = await open({ path: `/api/events?lastEventId=${lastSeen}` });
+
+    const events = await waitForEvents(stream, 1);
+    expect(events[0]).toEqual({ id: currentEventId(), type: 'item.deleted', data: { id: 41 } });
+  });
+
+  it('should ask the client to reload when missed events are unavailable', async () => {
+    publish('item.deleted', { id: 41 });
+
+    const ahead = `${bootId(currentEventId())}.${sequence(currentEventId()) + 100}`;
+    const stream = await open({ headers: { 'Last-Event-ID': ahead } });
+
+    const events = await waitForEvents(stream, 1);
+    expect(events[0]).toEqual({ id: currentEventId(), type: 'reset', data: {} });
+  });
+
+  it('should ask the client to reload when its event id is from another run', async () => {
+    const lastSeen = currentEventId();
+    publish('item.deleted', { id: 41 });
+
+    // Same sequence number, issued before a restart
+    const stream = await open({ headers: { 'Last-Event-ID': `ffffffffff.${sequence(lastSeen)}` } });
+
+    const events = await waitForEvents(stream, 1);
+    expect(events[0]).toEqual({ id: currentEventId(), type: 'reset', data: {} });
+  });
+
+  it('should ask the client to reload when its event id has no boot id', async () => {
+    const stream = await open({ path: `/api/events?lastEventId=${sequence(currentEventId())}` });
+
+    const events = await waitForEvents(stream, 1);
+    expect(events[0].type).toBe('reset');
+  });
+});
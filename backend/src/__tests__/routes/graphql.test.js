@@ -0,0 +1,327 @@
+const request = require('supertest');
+const express = require('express');
+const graphqlRouter = require('../../routes/graphql');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { AuditLog, setAuditLog, getAuditLog } = require('../../utils/auditLog');
+const { getStats, initStatsCache, stopStatsCache } = require('../../utils/stats');
+const { initSearchIndex, stopSearchIndex } = require('../../utils/searchIndex');
+
+const seedItems = [
+  { name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+// Requests act as whoever X-Test-User names, with the X-Test-Role role
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const username = req.get('X-Test-User');
+    req.user = username ? { username, role: req.get('X-Test-Role') || 'editor' } : null;
+    next();
+  });
+  app.use('/api/graphql', graphqlRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('GraphQL route', () => {
+  let app;
+  let repo;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    for (const item of seedItems) {
+      await repo.create(item);
+    }
+    setItemRepository(repo);
+    setAuditLog(new AuditLog());
+    jest.spyOn(console, 'log').mockImplementation();
+    await initStatsCache();
+    await initSearchIndex();
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    stopStatsCache();
+    stopSearchIndex();
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  const query = (source, variables) => request(app).post('/api/graphql').send({ query: source, variables });
+  const asEditor = (source, variables) => query(source, variables).set('X-Test-User', 'erin');
+
+  describe('queries', () => {
+    it('should return items, category aggregates and stats in one request', async () => {
+      const response = await query(`{
+        items(sort: "-price", pageSize: 2) {
+          items { id name price }
+          pagination { currentPage totalItems totalPages hasNextPage }
+        }
+        categories { category count averagePrice }
+        stats(buckets: 2) { total maxPrice percentiles { p50 } histogram { count } }
+      }`).expect(200);
+
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data).toEqual({
+        items: {
+          items: [
+            { id: 1, name: 'Laptop Pro', price: 2499 },
+            { id: 3, name: 'Ergonomic Chair', price: 799 }
+          ],
+          pagination: { currentPage: 1, totalItems: 3, totalPages: 2, hasNextPage: true }
+        },
+        categories: [
+          { category: 'Electronics', count: 2, averagePrice: 1449 },
+          { category: 'Furniture', count: 1, averagePrice: 799 }
+        ],
+        stats: { total: 3, maxPrice: 2499, percentiles: { p50: 799 }, histogram: [{ count: 2 }, { count: 1 }] }
+      });
+    });
+
+    it('should search and filter items like the list route', async () => {
+      const response = await query(`{
+        search: items(q: "laptop") { items { name } }
+        filtered: items(category: ["electronics"], maxPrice: 500) { items { name } }
+      }`).expect(200);
+
+      expect(response.body.data.search.items).toEqual([{ name: 'Laptop Pro' }]);
+      expect(response.body.data.filtered.items).toEqual([{ name: 'Noise Cancelling Headphones' }]);
+    });
+
+    it('should page by cursor', async () => {
+      const first = await query('{ items(cursor: "", pageSize: 2) { items { id } pagination { nextCursor hasNextPage } } }')
+        .expect(200);
+      const { nextCursor } = first.body.data.items.pagination;
+      const second = await query('query ($cursor: String) { items(cursor: $cursor, pageSize: 2) { items { id } pagination { nextCursor } } }', {
+        cursor: nextCursor
+      }).expect(200);
+
+      expect(first.body.data.items.items).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(second.body.data.items).toEqual({ items: [{ id: 3 }], pagination: { nextCursor: null } });
+    });
+
+    it('should report invalid arguments with the validation details the REST API gives', async () => {
+      const response = await query('{ items(pageSize: 500) { items { id } } stats { total } }').expect(200);
+
+      expect(response.body.data).toEqual({ items: null, stats: { total: 3 } });
+      expect(response.body.errors).toEqual([{
+        message: 'Validation failed',
+        locations: [{ line: 1, column: 3 }],
+        path: ['items'],
+        extensions: {
+          code: 'validation_failed',
+          details: [{ field: 'pageSize', code: 'invalid_value', message: 'pageSize must be an integer between 1 and 100' }]
+        }
+      }]);
+    });
+
+    it('should return a single item, hiding trashed ones unless asked', async () => {
+      await asEditor('mutation { deleteItem(id: 2) { id } }').expect(200);
+
+      const response = await query(`{
+        live: item(id: 1) { name etag }
+        trashed: item(id: 2) { name }
+        withTrash: item(id: 2, includeDeleted: true) { name deletedAt }
+        missing: item(id: 99) { name }
+      }`).expect(200);
+
+      expect(response.body.data).toEqual({
+        live: { name: 'Laptop Pro', etag: expect.stringMatching(/^".+"$/) },
+        trashed: null,
+        withTrash: { name: 'Noise Cancelling Headphones', deletedAt: expect.any(String) },
+        missing: null
+      });
+    });
+
+    it('should read and change items whose ids exceed 32 bits', async () => {
+      const id = 1765483142263;
+      repo.seed([{ id, name: 'Desk Lamp', category: 'Lighting', price: 79 }]);
+
+      const read = await query(`{ item(id: ${id}) { id name } items(category: ["Lighting"]) { items { id } } }`).expect(200);
+      const update = await asEditor('mutation ($id: SafeInt!) { updateItem(id: $id, input: { price: 89 }) { id price } }', { id })
+        .expect(200);
+
+      expect(read.body).toEqual({ data: { item: { id, name: 'Desk Lamp' }, items: { items: [{ id }] } } });
+      expect(update.body).toEqual({ data: { updateItem: { id, price: 89 } } });
+    });
+
+    it('should reject ids a JavaScript number cannot hold exactly', async () => {
+      const literal = await query('{ item(id: 9007199254740993) { id } }').expect(400);
+      const variable = await query('query ($id: SafeInt!) { item(id: $id) { id } }', { id: 1.5 }).expect(400);
+
+      expect(literal.body.errors[0]).toMatchObject({
+        message: 'SafeInt cannot represent non safe-integer value: 9007199254740993',
+        extensions: { code: 'invalid_query' }
+      });
+      expect(variable.body.errors[0].extensions.code).toBe('invalid_query');
+    });
+
+    it('should scope stats and categories to matching items', async () => {
+      const response = await query('{ stats(category: ["Electronics"]) { total minPrice } categories(q: "chair") { category } }')
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        stats: { total: 2, minPrice: 399 },
+        categories: [{ category: 'Furniture' }]
+      });
+    });
+
+    it('should accept queries sent with GET', async () => {
+      const response = await request(app)
+        .get('/api/graphql')
+        .query({ query: 'query ($id: SafeInt!) { item(id: $id) { name } }', variables: JSON.stringify({ id: 3 }) })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ item: { name: 'Ergonomic Chair' } });
+    });
+  });
+
+  describe('mutations', () => {
+    it('should create items through the same store, audit log, cache and index', async () => {
+      const response = await asEditor(`mutation {
+        createItem(input: { name: "Desk Lamp", category: "Lighting", price: 79 }) { id name category price }
+      }`).expect(200);
+
+      expect(response.body.data.createItem).toEqual({ id: 4, name: 'Desk Lamp', category: 'Lighting', price: 79 });
+      expect(getAuditLog().find({ itemId: 4 }).entries).toEqual([
+        expect.objectContaining({ action: 'create', actor: { username: 'erin', role: 'editor' } })
+      ]);
+      expect(getStats().total).toBe(4);
+      const search = await query('{ items(q: "lamp") { items { id } } }');
+      expect(search.body.data.items.items).toEqual([{ id: 4 }]);
+    });
+
+    it('should validate input like the REST routes', async () => {
+      const response = await asEditor('mutation { createItem(input: { name: " ", category: "Lighting", price: -1 }) { id } }')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ createItem: null });
+      expect(response.body.errors[0].extensions).toEqual({
+        code: 'validation_failed',
+        details: [
+          { field: 'name', code: 'required', message: 'name must not be empty' },
+          { field: 'price', code: 'too_small', message: 'price must be at least 0' }
+        ]
+      });
+      expect(await repo.findAll()).toHaveLength(3);
+    });
+
+    it('should require the editor role', async () => {
+      const mutation = 'mutation { deleteItem(id: 1) { id } }';
+      const anonymous = await query(mutation).expect(200);
+      const viewer = await query(mutation).set('X-Test-User', 'vic').set('X-Test-Role', 'viewer').expect(200);
+
+      expect(anonymous.body.errors[0]).toMatchObject({ message: 'Authentication required', extensions: { code: 'unauthorized' } });
+      expect(viewer.body.errors[0]).toMatchObject({ message: 'Requires the editor role', extensions: { code: 'forbidden' } });
+      expect(await repo.findById(1)).not.toHaveProperty('deletedAt');
+    });
+
+    it('should make updates conditional on ifMatch', async () => {
+      const { body } = await query('{ item(id: 1) { etag } }');
+      const update = 'mutation ($ifMatch: String) { updateItem(id: 1, input: { price: 1999 }, ifMatch: $ifMatch) { price } }';
+
+      const stale = await asEditor(update, { ifMatch: '"stale"' }).expect(200);
+      const current = await asEditor(update, { ifMatch: body.data.item.etag }).expect(200);
+
+      expect(stale.body.errors[0].extensions.code).toBe('precondition_failed');
+      expect(current.body.data.updateItem).toEqual({ price: 1999 });
+      expect(getStats().maxPrice).toBe(1999);
+    });
+
+    it('should replace and trash items', async () => {
+      const response = await asEditor(`mutation {
+        replaceItem(id: 2, input: { name: "Headphones", category: "Audio", price: 299 }) { name category }
+        deleteItem(id: 3) { id deletedAt }
+      }`).expect(200);
+
+      expect(response.body.data.replaceItem).toEqual({ name: 'Headphones', category: 'Audio' });
+      expect(response.body.data.deleteItem).toEqual({ id: 3, deletedAt: expect.any(String) });
+      const { body } = await query('{ items { items { id } } }');
+      expect(body.data.items.items).toEqual([{ id: 1 }, { id: 2 }]);
+    });
+
+    it('should report missing items as not_found', async () => {
+      const response = await asEditor('mutation { updateItem(id: 99, input: { price: 1 }) { id } }').expect(200);
+
+      expect(response.body.errors[0]).toMatchObject({ message: 'Item not found', extensions: { code: 'not_found' } });
+    });
+
+    it('should not run mutations sent with GET', async () => {
+      const response = await request(app)
+        .get('/api/graphql')
+        .query({ query: 'mutation { deleteItem(id: 1) { id } }' })
+        .set('X-Test-User', 'erin')
+        .expect(405);
+
+      expect(response.headers.allow).toBe('POST');
+      expect(response.body.error.code).toBe('method_not_allowed');
+      expect(await repo.findById(1)).not.toHaveProperty('deletedAt');
+    });
+  });
+
+  describe('malformed requests', () => {
+    it('should answer 400 for queries that do not parse or match the schema', async () => {
+      const syntax = await query('{ items { ').expect(400);
+      const unknown = await query('{ widgets }').expect(400);
+
+      expect(syntax.body.errors[0].extensions.code).toBe('invalid_query');
+      expect(unknown.body).toEqual({
+        errors: [{
+          message: 'Cannot query field "widgets" on type "Query".',
+          locations: [{ line: 1, column: 3 }],
+          extensions: { code: 'invalid_query' }
+        }]
+      });
+    });
+
+    it('should answer 400 for variables that do not match the operation', async () => {
+      const response = await query('query ($id: SafeInt!) { item(id: $id) { id } }', { id: 'one' }).expect(400);
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.errors[0].extensions.code).toBe('invalid_query');
+    });
+
+    it('should cap the mutations one request runs, counting aliases', async () => {
+      const creates = Array.from({ length: 6 }, (_, i) => `c${i}: createItem(input: { name: "Lamp ${i}", category: "Lighting", price: 10 }) { id }`);
+
+      const response = await asEditor(`mutation { ${creates.join(' ')} }`).expect(400);
+
+      expect(response.body.errors).toEqual([{
+        message: 'Operations may run at most 5 top-level mutation fields; split the request',
+        locations: [{ line: 1, column: expect.any(Number) }],
+        extensions: { code: 'invalid_query' }
+      }]);
+      expect(await repo.findAll()).toHaveLength(3);
+      await asEditor(`mutation { ${creates.slice(0, 5).join(' ')} }`).expect(200);
+      expect(await repo.findAll()).toHaveLength(8);
+    });
+
+    it('should cap the top-level fields of a query, through fragments', async () => {
+      const aliases = Array.from({ length: 6 }, (_, i) => `s${i}: stats(q: "${i}") { total }`).join(' ');
+
+      const response = await query(`{ ...Stats ... on Query { ${aliases} } } fragment Stats on Query { ${aliases.replace(/s(\d)/g, 't$1')} }`)
+        .expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({
+        message: 'Operations may run at most 10 top-level query fields; split the request',
+        extensions: { code: 'invalid_query' }
+      });
+    });
+
+    it('should require a query and object variables', async () => {
+      const missing = await request(app).post('/api/graphql').send({}).expect(400);
+      const badVariables = await request(app).get('/api/graphql?query={ stats { total } }&variables=[1').expect(400);
+
+      expect(missing.body.error.details).toEqual([{ field: 'query', code: 'required', message: 'query is required' }]);
+      expect(badVariables.body.error.details).toEqual([
+        { field: 'variables', code: 'invalid_value', message: 'variables must be a JSON object' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const express = require('express');
+const healthRouter = require('../../routes/health');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { initStatsCache, stopStatsCache } = require('../../utils/stats');
+const { setPhase } = require('../../utils/health');
+
+const createApp = () => {
+  const app = express();
+  app.use(healthRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Health Routes', () => {
+  let app;
+  let repo;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    setItemRepository(repo);
+    jest.spyOn(console, 'log').mockImplementation();
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    setPhase('starting');
+    stopStatsCache();
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  describe('GET /healthz', () => {
+    it('should report the process alive even while starting', async () => {
+      const response = await request(app).get('/healthz').expect(200);
+
+      expect(response.body).toEqual({ status: 'ok' });
+    });
+  });
+
+  describe('GET /readyz', () => {
+    it('should be ready once started with stats and a readable store', async () => {
+      await initStatsCache();
+      setPhase('ready');
+
+      const response = await request(app).get('/readyz').expect(200);
+
+      expect(response.body).toEqual({
+        status: 'ready',
+        checks: { phase: 'ok', stats: 'ok', store: 'ok' }
+      });
+    });
+
+    it('should be unavailable while starting', async () => {
+      const response = await request(app).get('/readyz').expect(503);
+
+      expect(response.body.status).toBe('unavailable');
+      expect(response.body.checks).toMatchObject({ phase: 'starting', stats: 'not initialized' });
+    });
+
+    it('should be unavailable when the stats cache is not initialized', async () => {
+      setPhase('ready');
+
+      const response = await request(app).get('/readyz').expect(503);
+
+      expect(response.body.checks).toEqual({ phase: 'ok', stats: 'not initialized', store: 'ok' });
+    });
+
+    it('should be unavailable when the store cannot be read', async () => {
+      await initStatsCache();
+      setPhase('ready');
+      await repo.close();
+
+      const response = await request(app).get('/readyz').expect(503);
+
+      expect(response.body.checks.store).toMatch(/before init/);
+    });
+
+    it('should be unavailable once shutdown begins', async () => {
+      await initStatsCache();
+      setPhase('stopping');
+
+      const response = await request(app).get('/readyz').expect(503);
+
+      expect(response.body.checks.phase).toBe('stopping');
+    });
+  });
+});
@@ -7,10 +7,19 @@ jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
     writeFile: jest.fn(),
+    stat: jest.fn(),
+    rename: jest.fn(),
+    copyFile: jest.fn(),
   }
 }));
 
 const itemsRouter = require('../../routes/items');
+const { setItemRepository } = require('../../repositories');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const JsonFileItemRepository = require('../../repositories/JsonFileItemRepository');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { getStats, initStatsCache, stopStatsCache, verifyStatsConsistency } = require('../../utils/stats');
+const { initSearchIndex, stopSearchIndex } = require('../../utils/searchIndex');
 
 // Test data
 const mockItems = [
@@ -25,10 +34,7 @@ const createApp = () => {
   app.use(express.json());
   app.use('/api/items', itemsRouter);
   
-  // Error handler
-  app.use((err, req, res, next) => {
-    res.status(err.status || 500).json({ error: err.message });
-  });
+  app.use(errorHandler);
   
   return app;
 };
@@ -38,11 +44,17 @@ describe('Items Routes', () => {
 
   beforeEach(() => {
     app = createApp();
+    // Fresh store per test so no parsed data is cached between tests
+    setItemRepository(new JsonFileItemRepository({ filePath: '/tmp/items.json' }));
+    setAuditLog(new AuditLog());
     // Reset mocks before each test
     jest.clearAllMocks();
     // Default mock: successful file read
     fs.readFile.mockResolvedValue(JSON.stringify(mockItems));
     fs.writeFile.mockResolvedValue();
+    fs.stat.mockResolvedValue({ mtimeMs: 1, size: 100 });
+    fs.rename.mockResolvedValue();
+    fs.copyFile.mockResolvedValue();
   });
 
   describe('GET /api/items', () => {
@@ -103,6 +115,115 @@ describe('Items Routes', () => {
       expect(response.body[0].name).toContain("Noise");
     });
 
+    it('should cap page sizes', async () => {
+      const response = await request(app)
+        .get('/api/items?pageSize=101&limit=5000&page=0')
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'page', code: 'invalid_value', message: 'page must be a positive integer' },
+        { field: 'pageSize', code: 'invalid_value', message: 'pageSize must be an integer between 1 and 100' },
+        { field: 'limit', code: 'invalid_value', message: 'limit must be an integer between 1 and 100' }
+      ]);
+      await request(app).get('/api/items?pageSize=100').expect(200);
+      await request(app).get('/api/items?pageSize=ten').expect(400);
+    });
+
+    it('should sort items by price ascending and descending', async () => {
+      const asc = await request(app).get('/api/items?sort=price').expect(200);
+      const desc = await request(app).get('/api/items?sort=-price').expect(200);
+
+      expect(asc.body.items.map(i => i.price)).toEqual([399, 799, 2499]);
+      expect(desc.body.items.map(i => i.price)).toEqual([2499, 799, 399]);
+    });
+
+    it('should sort items by name and category', async () => {
+      const byName = await request(app).get('/api/items?sort=name').expect(200);
+      const byCategory = await request(app).get('/api/items?sort=-category').expect(200);
+
+      expect(byName.body.items.map(i => i.id)).toEqual([3, 1, 2]);
+      expect(byCategory.body.items.map(i => i.id)).toEqual([3, 1, 2]);
+    });
+
+    it('should reject unknown sort fields', async () => {
+      const response = await request(app)
+        .get('/api/items?sort=id')
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'sort', code: 'invalid_value' });
+    });
+
+    it('should filter by category (case insensitive)', async () => {
+      const response = await request(app)
+        .get('/api/items?category=electronics')
+        .expect(200);
+
+      expect(response.body.items.map(i => i.id)).toEqual([1, 2]);
+    });
+
+    it('should accept multiple categories as repeated or comma-separated params', async () => {
+      const repeated = await request(app).get('/api/items?category=Furniture&category=Electronics').expect(200);
+      const commaSeparated = await request(app).get('/api/items?category=Furniture,Electronics').expect(200);
+
+      expect(repeated.body.items).toHaveLength(3);
+      expect(commaSeparated.body.items).toHaveLength(3);
+    });
+
+    it('should filter by price range', async () => {
+      const response = await request(app)
+        .get('/api/items?minPrice=400&maxPrice=2499')
+        .expect(200);
+
+      expect(response.body.items.map(i => i.id)).toEqual([1, 3]);
+    });
+
+    it('should reject invalid price filters', async () => {
+      const response = await request(app)
+        .get('/api/items?minPrice=cheap&maxPrice=10')
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'minPrice', code: 'invalid_type' })
+      ]);
+
+      await request(app).get('/api/items?minPrice=100&maxPrice=10').expect(400);
+    });
+
+    it('should compute pagination after filtering and sorting', async () => {
+      const response = await request(app)
+        .get('/api/items?category=Electronics&sort=price&page=2&pageSize=1')
+        .expect(200);
+
+      expect(response.body.items.map(i => i.id)).toEqual([1]);
+      expect(response.body.pagination).toMatchObject({
+        currentPage: 2,
+        totalItems: 2,
+        totalPages: 2,
+        hasNextPage: false,
+        hasPreviousPage: true
+      });
+    });
+
+    it('should apply filters and sort to the legacy limit response', async () => {
+      const response = await request(app)
+        .get('/api/items?sort=-price&maxPrice=800&limit=1')
+        .expect(200);
+
+      expect(response.body.map(i => i.id)).toEqual([3]);
+    });
+
+    it('should reuse the parsed catalog while the file is unchanged', async () => {
+      await request(app).get('/api/items').expect(200);
+      await request(app).get('/api/items?q=laptop').expect(200);
+
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+
+      fs.stat.mockResolvedValue({ mtimeMs: 2, size: 100 });
+      await request(app).get('/api/items').expect(200);
+
+      expect(fs.readFile).toHaveBeenCalledTimes(2);
+    });
+
     it('should handle file read errors', async () => {
       fs.readFile.mockRejectedValue(new Error('File not found'));
 
@@ -124,6 +245,84 @@ describe('Items Routes', () => {
     });
   });
 
+  describe('GET /api/items (cursor mode)', () => {
+    const ids = response => response.body.items.map(i => i.id);
+
+    it('should page through items with nextCursor', async () => {
+      const first = await request(app)
+        .get('/api/items?cursor=&pageSize=2')
+        .expect(200);
+
+      expect(ids(first)).toEqual([1, 2]);
+      expect(first.body.pagination).toMatchObject({ pageSize: 2, totalItems: 3, hasNextPage: true });
+      expect(typeof first.body.pagination.nextCursor).toBe('string');
+
+      const second = await request(app)
+        .get('/api/items')
+        .query({ cursor: first.body.pagination.nextCursor, pageSize: 2 })
+        .expect(200);
+
+      expect(ids(second)).toEqual([3]);
+      expect(second.body.pagination).toMatchObject({ nextCursor: null, hasNextPage: false });
+    });
+
+    it('should not skip or repeat items when rows are created and deleted between pages', async () => {
+      const first = await request(app).get('/api/items?cursor=&pageSize=2').expect(200);
+
+      await request(app).delete('/api/items/1').expect(204);
+      await request(app)
+        .post('/api/items')
+        .send({ name: "Desk Lamp", category: "Furniture", price: 79 })
+        .expect(201);
+
+      const second = await request(app)
+        .get('/api/items')
+        .query({ cursor: first.body.pagination.nextCursor, pageSize: 2 })
+        .expect(200);
+
+      expect(ids(second)).toEqual([3, 4]);
+    });
+
+    it('should follow the requested sort order', async () => {
+      const first = await request(app).get('/api/items?cursor=&pageSize=2&sort=-price').expect(200);
+      const second = await request(app)
+        .get('/api/items')
+        .query({ cursor: first.body.pagination.nextCursor, pageSize: 2, sort: '-price' })
+        .expect(200);
+
+      expect(ids(first)).toEqual([1, 3]);
+      expect(ids(second)).toEqual([2]);
+    });
+
+    it('should respect search and filters', async () => {
+      const response = await request(app)
+        .get('/api/items?cursor=&q=electronics&maxPrice=500')
+        .expect(200);
+
+      expect(ids(response)).toEqual([2]);
+      expect(response.body.pagination.totalItems).toBe(1);
+    });
+
+    it('should reject malformed cursors', async () => {
+      const response = await request(app)
+        .get('/api/items?cursor=not-a-cursor')
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'cursor', code: 'invalid_cursor' });
+    });
+
+    it('should reject cursors issued for a different sort order', async () => {
+      const first = await request(app).get('/api/items?cursor=&pageSize=1&sort=price').expect(200);
+
+      const response = await request(app)
+        .get('/api/items')
+        .query({ cursor: first.body.pagination.nextCursor, sort: 'name' })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'cursor', code: 'cursor_mismatch' });
+    });
+  });
+
   describe('GET /api/items/:id', () => {
     it('should return item by id when it exists', async () => {
       const response = await request(app)
@@ -151,16 +350,29 @@ describe('Items Routes', () => {
         .expect(404);
 
       expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toBe('Item not found');
+      expect(response.body.error.message).toBe('Item not found');
     });
 
-    it('should handle invalid id format gracefully', async () => {
+    it('should reject malformed ids', async () => {
       const response = await request(app)
         .get('/api/items/invalid')
-        .expect(404);
+        .expect(400);
 
-      // parseInt('invalid') returns NaN, which won't match any item
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.error.details[0]).toMatchObject({ field: 'id', code: 'invalid_type' });
+    });
+
+    it.each([
+      ['get', '/api/items/1abc'],
+      ['put', '/api/items/1abc'],
+      ['patch', '/api/items/1.5'],
+      ['delete', '/api/items/1e0x']
+    ])('should reject a %s to an id with trailing characters', async (method, path) => {
+      const response = await request(app)[method](path)
+        .send({ name: 'Desk', category: 'Furniture', price: 100 })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'id', code: 'invalid_type' });
+      expect(fs.writeFile).not.toHaveBeenCalled();
     });
 
     it('should handle file read errors', async () => {
@@ -197,24 +409,32 @@ describe('Items Routes', () => {
       expect(fs.writeFile).toHaveBeenCalledTimes(1);
     });
 
-    it('should assign unique id using Date.now()', async () => {
+    it('should assign the next sequential id', async () => {
       const newItem = {
         name: "Test Item",
         category: "Test",
         price: 100
       };
 
-      const beforeTime = Date.now();
-      
       const response = await request(app)
         .post('/api/items')
         .send(newItem)
         .expect(201);
 
-      const afterTime = Date.now();
+      expect(response.body.id).toBe(4);
+    });
+
+    it('should assign distinct ids to concurrent creates', async () => {
+      const newItem = { name: "Test Item", category: "Test", price: 100 };
+
+      const responses = await Promise.all([
+        request(app).post('/api/items').send(newItem),
+        request(app).post('/api/items').send(newItem),
+        request(app).post('/api/items').send(newItem)
+      ]);
 
-      expect(response.body.id).toBeGreaterThanOrEqual(beforeTime);
-      expect(response.body.id).toBeLessThanOrEqual(afterTime);
+      const ids = responses.map(r => r.body.id).sort((a, b) => a - b);
+      expect(ids).toEqual([4, 5, 6]);
     });
 
     it('should write updated data to file', async () => {
@@ -273,17 +493,18 @@ describe('Items Routes', () => {
       expect(response.body).toHaveProperty('error');
     });
 
-    it('should handle empty request body', async () => {
+    it('should reject empty request body', async () => {
       const response = await request(app)
         .post('/api/items')
         .send({})
-        .expect(201);
+        .expect(400);
 
-      // Without validation, it will still create an item (intentional for assessment)
-      expect(response.body).toHaveProperty('id');
+      expect(response.body.error.message).toBe('Validation failed');
+      expect(response.body.error.details.map(d => d.field)).toEqual(['name', 'category', 'price']);
+      expect(fs.writeFile).not.toHaveBeenCalled();
     });
 
-    it('should handle missing fields in request body', async () => {
+    it('should reject missing fields in request body', async () => {
       const incompleteItem = {
         name: "Only Name"
         // missing category and price
@@ -292,11 +513,574 @@ describe('Items Routes', () => {
       const response = await request(app)
         .post('/api/items')
         .send(incompleteItem)
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'category', code: 'required', message: 'category is required' },
+        { field: 'price', code: 'required', message: 'price is required' }
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid field types and values', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ name: '   ', category: 42, price: -5 })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'name', code: 'required' }),
+        expect.objectContaining({ field: 'category', code: 'invalid_type' }),
+        expect.objectContaining({ field: 'price', code: 'too_small' })
+      ]);
+    });
+
+    it('should reject non-numeric price strings', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ name: 'Desk', category: 'Furniture', price: '100' })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'price', code: 'invalid_type' });
+    });
+
+    it('should reject unknown fields', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ name: 'Desk', category: 'Furniture', price: 100, id: 5, stock: 3 })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'id', code: 'unknown_field' }),
+        expect.objectContaining({ field: 'stock', code: 'unknown_field' })
+      ]);
+    });
+
+    it('should reject fields named like inherited object properties', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ name: 'Desk', category: 'Furniture', price: 100, constructor: 'x', hasOwnProperty: 'y' })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'constructor', code: 'unknown_field' }),
+        expect.objectContaining({ field: 'hasOwnProperty', code: 'unknown_field' })
+      ]);
+    });
+
+    it('should reject oversized strings', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ name: 'x'.repeat(201), category: 'Furniture', price: 100 })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'name', code: 'too_long' });
+    });
+
+    it('should reject non-object bodies', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send([{ name: 'Desk', category: 'Furniture', price: 100 }])
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: null, code: 'invalid_type' });
+    });
+
+    it('should trim string fields before saving', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ name: '  Desk Lamp  ', category: 'Furniture ', price: 0 })
         .expect(201);
 
-      // Without validation, it will accept incomplete data
-      expect(response.body.name).toBe("Only Name");
-      expect(response.body).toHaveProperty('id');
+      expect(response.body.name).toBe('Desk Lamp');
+      expect(response.body.category).toBe('Furniture');
+      expect(response.body.price).toBe(0);
+    });
+  });
+
+  describe('PUT /api/items/:id', () => {
+    it('should replace an existing item', async () => {
+      const replacement = { name: "Laptop Air", category: "Electronics", price: 1299 };
+
+      const response = await request(app)
+        .put('/api/items/1')
+        .send(replacement)
+        .expect(200);
+
+      expect(response.body).toEqual({ ...replacement, id: 1 });
+      const writtenData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(writtenData).toHaveLength(3);
+      expect(writtenData[0]).toEqual({ ...replacement, id: 1 });
+    });
+
+    it('should require every field', async () => {
+      const response = await request(app)
+        .put('/api/items/1')
+        .send({ price: 1299 })
+        .expect(400);
+
+      expect(response.body.error.details.map(d => d.field)).toEqual(['name', 'category']);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when item not found', async () => {
+      const response = await request(app)
+        .put('/api/items/999')
+        .send({ name: "Ghost", category: "None", price: 1 })
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Item not found');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/items/:id', () => {
+    it('should update only the provided fields', async () => {
+      const response = await request(app)
+        .patch('/api/items/2')
+        .send({ price: 349 })
+        .expect(200);
+
+      expect(response.body).toEqual({ ...mockItems[1], price: 349 });
+      const writtenData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(writtenData[1].price).toBe(349);
+    });
+
+    it('should validate the provided fields', async () => {
+      const response = await request(app)
+        .patch('/api/items/2')
+        .send({ price: 'cheap', id: 7 })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'id', code: 'unknown_field' }),
+        expect.objectContaining({ field: 'price', code: 'invalid_type' })
+      ]);
+    });
+
+    it('should return 404 when item not found', async () => {
+      await request(app)
+        .patch('/api/items/999')
+        .send({ price: 1 })
+        .expect(404);
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/items/:id', () => {
+    it('should move the item to the trash', async () => {
+      await request(app)
+        .delete('/api/items/3')
+        .expect(204);
+
+      const writtenData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(writtenData.map(i => i.id)).toEqual([1, 2, 3]);
+      expect(writtenData[2]).toEqual({ ...mockItems[2], deletedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/) });
+    });
+
+    it('should return 404 when item not found', async () => {
+      const response = await request(app)
+        .delete('/api/items/999')
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Item not found');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should handle file write errors', async () => {
+      fs.writeFile.mockRejectedValue(new Error('Cannot write file'));
+
+      await request(app)
+        .delete('/api/items/1')
+        .expect(500);
+    });
+  });
+
+  describe('GET /api/items/export', () => {
+    it('should default to a JSON array download', async () => {
+      const response = await request(app)
+        .get('/api/items/export')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="items.json"');
+      expect(JSON.parse(response.text)).toEqual(mockItems);
+    });
+
+    it('should export CSV with a header row', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify([
+        ...mockItems,
+        { id: 4, name: 'Chair, "Deluxe"', category: 'Furniture', price: 999 }
+      ]));
+
+      const response = await request(app)
+        .get('/api/items/export?format=csv')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.text).toBe([
+        'id,name,category,price',
+        '1,Laptop Pro,Electronics,2499',
+        '2,Noise Cancelling Headphones,Electronics,399',
+        '3,Ergonomic Chair,Furniture,799',
+        '4,"Chair, ""Deluxe""",Furniture,999',
+        ''
+      ].join('\r\n'));
+    });
+
+    it('should escape cells that start like a formula', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify([
+        { id: 1, name: '=HYPERLINK("http://example.com","Click")', category: '@Tools', price: 5 },
+        { id: 2, name: '-Desk', category: '+Furniture', price: 10 }
+      ]));
+
+      const response = await request(app)
+        .get('/api/items/export?format=csv')
+        .expect(200);
+
+      expect(response.text).toBe([
+        'id,name,category,price',
+        `1,"'=HYPERLINK(""http://example.com"",""Click"")",'@Tools,5`,
+        "2,'-Desk,'+Furniture,10",
+        ''
+      ].join('\r\n'));
+    });
+
+    it('should apply the list search, filters and sort', async () => {
+      const response = await request(app)
+        .get('/api/items/export?format=ndjson&category=Electronics&sort=price')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/x-ndjson/);
+      expect(response.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([2, 1]);
+
+      const searched = await request(app)
+        .get('/api/items/export?format=json&q=chair')
+        .expect(200);
+      expect(JSON.parse(searched.text)).toEqual([mockItems[2]]);
+    });
+
+    it('should export an empty JSON array when nothing matches', async () => {
+      const response = await request(app)
+        .get('/api/items/export?q=nothing')
+        .expect(200);
+
+      expect(JSON.parse(response.text)).toEqual([]);
+    });
+
+    it('should reject unknown formats', async () => {
+      const response = await request(app)
+        .get('/api/items/export?format=xml')
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'format', code: 'invalid_value' })
+      ]);
+    });
+  });
+
+  describe('POST /api/items/import', () => {
+    const importCsv = (query, body) => request(app)
+      .post(`/api/items/import${query}`)
+      .set('Content-Type', 'text/csv')
+      .send(body);
+
+    const writtenItems = () => JSON.parse(fs.writeFile.mock.calls[0][1]);
+
+    it('should create items from CSV in a single write', async () => {
+      const response = await importCsv('', 'name,category,price\r\nDesk Lamp,Lighting,79\r\n"Bookshelf, tall",Furniture,149.5\r\n')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        dryRun: false,
+        mode: 'create',
+        summary: { rows: 2, created: 2, updated: 0, failed: 0 },
+        results: [
+          { row: 1, action: 'create', id: 4 },
+          { row: 2, action: 'create', id: 5 }
+        ],
+        errors: []
+      });
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(writtenItems().slice(3)).toEqual([
+        { name: 'Desk Lamp', category: 'Lighting', price: 79, id: 4 },
+        { name: 'Bookshelf, tall', category: 'Furniture', price: 149.5, id: 5 }
+      ]);
+    });
+
+    it('should report invalid rows and import the rest', async () => {
+      const response = await importCsv('', [
+        'name,category,price',
+        'Desk Lamp,Lighting,79',
+        ',Lighting,abc',
+        'Stool,Furniture,-1'
+      ].join('\n'))
+        .expect(200);
+
+      expect(response.body.summary).toEqual({ rows: 3, created: 1, updated: 0, failed: 2 });
+      expect(response.body.errors).toEqual([
+        { row: 2, line: 3, field: 'name', code: 'required', message: 'name must not be empty' },
+        { row: 2, line: 3, field: 'price', code: 'invalid_type', message: 'price must be a finite number' },
+        { row: 3, line: 4, field: 'price', code: 'too_small', message: 'price must be at least 0' }
+      ]);
+      expect(writtenItems()).toHaveLength(4);
+    });
+
+    it('should replace items by id in upsert mode', async () => {
+      const response = await importCsv('?mode=upsert', 'id,name,category,price\n2,Headphones,Audio,349\n99,Desk Lamp,Lighting,79\n,Stool,Furniture,45\n')
+        .expect(200);
+
+      expect(response.body.results).toEqual([
+        { row: 1, action: 'update', id: 2 },
+        { row: 2, action: 'create', id: 4 },
+        { row: 3, action: 'create', id: 5 }
+      ]);
+      const written = writtenItems();
+      expect(written[1]).toEqual({ name: 'Headphones', category: 'Audio', price: 349, id: 2 });
+      expect(written).toHaveLength(5);
+    });
+
+    it('should ignore ids outside upsert mode', async () => {
+      const response = await importCsv('', 'id,name,category,price\n2,Headphones,Audio,349\n')
+        .expect(200);
+
+      expect(response.body.results).toEqual([{ row: 1, action: 'create', id: 4 }]);
+      expect(writtenItems()[1]).toEqual(mockItems[1]);
+    });
+
+    it('should accept NDJSON and report unparseable lines', async () => {
+      const response = await request(app)
+        .post('/api/items/import?format=ndjson&mode=upsert')
+        .set('Content-Type', 'text/plain')
+        .send([
+          JSON.stringify({ id: 1, name: 'Laptop Pro 2', category: 'Electronics', price: 2599 }),
+          '{not json',
+          '',
+          JSON.stringify({ name: 'Desk Lamp', category: 'Lighting', price: 79, color: 'black' }),
+          JSON.stringify({ id: 'x', name: 'Stool', category: 'Furniture', price: 45 })
+        ].join('\n'))
+        .expect(200);
+
+      expect(response.body.summary).toEqual({ rows: 4, created: 0, updated: 1, failed: 3 });
+      expect(response.body.errors).toEqual([
+        { row: 2, line: 2, field: null, code: 'invalid_json', message: 'Line is not valid JSON' },
+        { row: 3, line: 4, field: 'color', code: 'unknown_field', message: 'color is not allowed' },
+        { row: 4, line: 5, field: 'id', code: 'invalid_type', message: 'id must be a positive integer' }
+      ]);
+    });
+
+    it('should emit one catalog event for the written rows', async () => {
+      const { catalogEvents } = require('../../utils/catalogEvents');
+      const imported = jest.fn();
+      const created = jest.fn();
+      catalogEvents.on('items.imported', imported);
+      catalogEvents.on('item.created', created);
+
+      await importCsv('?mode=upsert', 'id,name,category,price\n3,Chair,Furniture,699\n,Desk Lamp,Lighting,79\n')
+        .expect(200);
+
+      catalogEvents.off('items.imported', imported);
+      catalogEvents.off('item.created', created);
+      expect(imported).toHaveBeenCalledTimes(1);
+      expect(imported).toHaveBeenCalledWith([
+        { item: { name: 'Chair', category: 'Furniture', price: 699, id: 3 }, previous: mockItems[2] },
+        { item: { name: 'Desk Lamp', category: 'Lighting', price: 79, id: 4 }, previous: null }
+      ]);
+      expect(created).not.toHaveBeenCalled();
+    });
+
+    it('should not write anything on a dry run', async () => {
+      const response = await importCsv('?mode=upsert&dryRun=true', 'id,name,category,price\n1,Laptop,Electronics,1999\n7,Desk Lamp,Lighting,79\n')
+        .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.results).toEqual([
+        { row: 1, action: 'update', id: 1 },
+        { row: 2, action: 'create', id: null }
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject CSV with unknown or missing columns', async () => {
+      const response = await importCsv('', 'name,colour\nDesk Lamp,black\n')
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'colour', code: 'unknown_field', message: 'Unknown CSV column "colour"' },
+        { field: 'category', code: 'required', message: 'CSV column "category" is required' },
+        { field: 'price', code: 'required', message: 'CSV column "price" is required' }
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown formats, modes and flags', async () => {
+      await request(app)
+        .post('/api/items/import')
+        .set('Content-Type', 'application/xml')
+        .send('<items/>')
+        .expect(400);
+      await importCsv('?mode=replace', 'name,category,price\n').expect(400);
+      const response = await importCsv('?dryRun=maybe', 'name,category,price\n').expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'dryRun', code: 'invalid_value' });
+    });
+  });
+
+  describe('search index', () => {
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation();
+      await initSearchIndex();
+    });
+
+    afterEach(() => {
+      stopSearchIndex();
+      console.log.mockRestore();
+    });
+
+    it('should match categories as well as names', async () => {
+      const response = await request(app)
+        .get('/api/items?q=electronics')
+        .expect(200);
+
+      expect(response.body.items.map(i => i.id)).toEqual([1, 2]);
+    });
+
+    it('should find items with typos and partial words', async () => {
+      const response = await request(app)
+        .get('/api/items?q=headphone')
+        .expect(200);
+
+      expect(response.body.items.map(i => i.name)).toEqual(["Noise Cancelling Headphones"]);
+
+      const typo = await request(app).get('/api/items?q=ergonmic').expect(200);
+      expect(typo.body.items.map(i => i.id)).toEqual([3]);
+    });
+
+    it('should index created, updated and deleted items immediately', async () => {
+      const created = await request(app)
+        .post('/api/items')
+        .send({ name: "Wireless Headphones", category: "Electronics", price: 199 })
+        .expect(201);
+
+      let response = await request(app).get('/api/items?q=wireless').expect(200);
+      expect(response.body.items.map(i => i.id)).toEqual([created.body.id]);
+
+      await request(app).patch('/api/items/2').send({ name: "Studio Monitors" }).expect(200);
+      response = await request(app).get('/api/items?q=headphones').expect(200);
+      expect(response.body.items.map(i => i.id)).toEqual([created.body.id]);
+
+      await request(app).delete(`/api/items/${created.body.id}`).expect(204);
+      response = await request(app).get('/api/items?q=headphones').expect(200);
+      expect(response.body.items).toEqual([]);
+    });
+
+    it('should let an explicit sort override relevance order', async () => {
+      const response = await request(app)
+        .get('/api/items?q=electronics&sort=price')
+        .expect(200);
+
+      expect(response.body.items.map(i => i.id)).toEqual([2, 1]);
+    });
+  });
+
+  describe('stats cache', () => {
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation();
+      await initStatsCache();
+      jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+      stopStatsCache();
+      console.log.mockRestore();
+    });
+
+    it('should reflect mutations immediately', async () => {
+      await request(app)
+        .delete('/api/items/1')
+        .expect(204);
+
+      expect(getStats()).toMatchObject({ total: 2, averagePrice: (399 + 799) / 2 });
+    });
+
+    it('should update aggregates in place without re-reading the store', async () => {
+      await request(app)
+        .post('/api/items')
+        .send({ name: "Desk Lamp", category: "Lighting", price: 79 })
+        .expect(201);
+      await request(app)
+        .patch('/api/items/3')
+        .send({ category: "Electronics", price: 899 })
+        .expect(200);
+
+      const stats = getStats();
+      expect(stats).toMatchObject({ total: 4, minPrice: 79, maxPrice: 2499 });
+      expect(stats.categories).toEqual([
+        expect.objectContaining({ category: 'Electronics', count: 3, averagePrice: (2499 + 399 + 899) / 3 }),
+        expect.objectContaining({ category: 'Lighting', count: 1 })
+      ]);
+      // Neither the writes nor the stats cache re-read the file
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should apply an import to the aggregates and publish them once', async () => {
+      const { catalogEvents } = require('../../utils/catalogEvents');
+      const published = jest.fn();
+      catalogEvents.on('stats.changed', published);
+      const rows = Array.from({ length: 50 }, (_, i) => `,Lamp ${i},Lighting,${i + 1}`);
+
+      await request(app)
+        .post('/api/items/import?mode=upsert')
+        .set('Content-Type', 'text/csv')
+        .send(['id,name,category,price', '1,Laptop Pro,Electronics,1999', ...rows].join('\n'))
+        .expect(200);
+
+      catalogEvents.off('stats.changed', published);
+      expect(published).toHaveBeenCalledTimes(1);
+      expect(getStats()).toMatchObject({ total: 53, minPrice: 1, maxPrice: 1999 });
+      expect(getStats().categories.map(c => [c.category, c.count])).toEqual([
+        ['Electronics', 2], ['Furniture', 1], ['Lighting', 50]
+      ]);
+    });
+
+    it('should stay current with the store when the audit log fails', async () => {
+      const auditLog = new AuditLog();
+      jest.spyOn(auditLog, 'recordMany').mockRejectedValue(new Error('disk full'));
+      setAuditLog(auditLog);
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await request(app)
+        .post('/api/items')
+        .send({ name: "Desk Lamp", category: "Lighting", price: 79 })
+        .expect(500);
+      await request(app).patch('/api/items/3').send({ price: 899 }).expect(500);
+      await request(app).delete('/api/items/1').expect(500);
+      await request(app)
+        .post('/api/items/import?mode=upsert')
+        .set('Content-Type', 'text/csv')
+        .send('id,name,category,price\n,Stool,Furniture,45')
+        .expect(500);
+      consoleErrorSpy.mockRestore();
+
+      expect(getStats()).toMatchObject({ total: 4, minPrice: 45, maxPrice: 899 });
+      expect(getStats().categories.map(c => [c.category, c.count])).toEqual([
+        ['Electronics', 1], ['Furniture', 2], ['Lighting', 1]
+      ]);
+    });
+
+    it('should detect drift and resync from the store', async () => {
+      expect(await verifyStatsConsistency()).toEqual([]);
+
+      // Simulate a change the cache never heard about
+      fs.readFile.mockResolvedValue(JSON.stringify(mockItems.slice(0, 2)));
+      fs.stat.mockResolvedValue({ mtimeMs: 2, size: 50 });
+
+      const problems = await verifyStatsConsistency();
+
+      expect(problems).toContain('catalog count 3 != 2');
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('"msg":"Stats drift detected'));
+      expect(getStats().total).toBe(2);
     });
   });
 });
@@ -0,0 +1,105 @@
+const request = require('supertest');
+const express = require('express');
+const statsRouter = require('../../routes/stats');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { initStatsCache } = require('../../utils/stats');
+
+const seedItems = [
+  { name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+const createApp = () => {
+  const app = express();
+  app.use('/api/stats', statsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Stats Routes', () => {
+  let app;
+  let repo;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    for (const item of seedItems) {
+      await repo.create(item);
+    }
+    setItemRepository(repo);
+    jest.spyOn(console, 'log').mockImplementation();
+    await initStatsCache();
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  describe('GET /api/stats', () => {
+    it('should return cached catalog stats', async () => {
+      const response = await request(app)
+        .get('/api/stats')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        total: 3,
+        averagePrice: (2499 + 399 + 799) / 3,
+        minPrice: 399,
+        maxPrice: 2499,
+        medianPrice: 799
+      });
+      expect(response.body.categories.map(c => c.category)).toEqual(['Electronics', 'Furniture']);
+      expect(response.body.histogram).toHaveLength(5);
+    });
+
+    it('should scope stats to a category', async () => {
+      const response = await request(app)
+        .get('/api/stats?category=Electronics')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ total: 2, averagePrice: 1449, minPrice: 399 });
+    });
+
+    it('should scope stats to a search query', async () => {
+      const response = await request(app)
+        .get('/api/stats?q=chair')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ total: 1, averagePrice: 799 });
+    });
+
+    it('should shape the histogram from query params', async () => {
+      const response = await request(app)
+        .get('/api/stats?buckets=2')
+        .expect(200);
+
+      expect(response.body.histogram).toEqual([
+        { min: 399, max: 1449, count: 2 },
+        { min: 1449, max: 2499, count: 1 }
+      ]);
+    });
+
+    it('should reject invalid histogram params', async () => {
+      const response = await request(app)
+        .get('/api/stats?buckets=0&bucketSize=-5')
+        .expect(400);
+
+      expect(response.body.error.details.map(d => d.field)).toEqual(['buckets', 'bucketSize']);
+    });
+
+    it.each(['0.001', '2.5', '1e12'])('should reject a bucketSize of %s', async (bucketSize) => {
+      const response = await request(app)
+        .get(`/api/stats?bucketSize=${bucketSize}`)
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'bucketSize', code: 'invalid_value', message: 'bucketSize must be an integer between 1 and 1000000' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const express = require('express');
+const itemsRouter = require('../../routes/items');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const { initStatsCache, stopStatsCache, getStats, calculateStats } = require('../../utils/stats');
+const { initSearchIndex, stopSearchIndex } = require('../../utils/searchIndex');
+const { TRASH_RETENTION_DAYS } = require('../../utils/trash');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/items', itemsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Trash', () => {
+  let app;
+  let repo;
+  let auditLog;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    await repo.create({ name: 'Laptop Pro', category: 'Electronics', price: 2499 });
+    await repo.create({ name: 'Desk Lamp', category: 'Lighting', price: 79 });
+    setItemRepository(repo);
+    auditLog = new AuditLog();
+    setAuditLog(auditLog);
+    jest.spyOn(console, 'log').mockImplementation();
+    await initStatsCache();
+    await initSearchIndex();
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    stopSearchIndex();
+    stopStatsCache();
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  const trash = id => request(app).delete(`/api/items/${id}`).expect(204);
+
+  describe('DELETE /api/items/:id', () => {
+    it('should hide the item from the list, search and stats', async () => {
+      await trash(2);
+
+      const list = await request(app).get('/api/items').expect(200);
+      expect(list.body.items.map(item => item.id)).toEqual([1]);
+      const search = await request(app).get('/api/items?q=lamp').expect(200);
+      expect(search.body.items).toEqual([]);
+      expect(getStats()).toMatchObject({ total: 1, minPrice: 2499 });
+      expect(await calculateStats()).toMatchObject({ total: 1 });
+      expect(await calculateStats({ includeDeleted: true })).toMatchObject({ total: 2 });
+    });
+
+    it('should treat trashed items as missing', async () => {
+      await trash(2);
+
+      await request(app).get('/api/items/2').expect(404);
+      await request(app).patch('/api/items/2').send({ price: 1 }).expect(404);
+      await request(app).delete('/api/items/2').expect(404);
+
+      const response = await request(app).get('/api/items/2?includeDeleted=true').expect(200);
+      expect(response.body).toMatchObject({ id: 2, name: 'Desk Lamp', deletedAt: expect.any(String) });
+    });
+
+    it('should list trashed items only when asked', async () => {
+      await trash(2);
+
+      const response = await request(app).get('/api/items?includeDeleted=true').expect(200);
+      expect(response.body.items.map(item => item.id)).toEqual([1, 2]);
+
+      await request(app).get('/api/items?includeDeleted=maybe').expect(400);
+    });
+  });
+
+  describe('GET /api/items/trash', () => {
+    it('should list trashed items, most recently deleted first, with their purge date', async () => {
+      await trash(1);
+      await trash(2);
+
+      const response = await request(app).get('/api/items/trash').expect(200);
+
+      expect(response.body.retentionDays).toBe(TRASH_RETENTION_DAYS);
+      expect(response.body.items.map(item => item.id)).toEqual([2, 1]);
+      const [item] = response.body.items;
+      expect(new Date(item.purgeAt) - new Date(item.deletedAt)).toBe(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('POST /api/items/:id/restore', () => {
+    it('should bring the item back everywhere and record the restore', async () => {
+      await trash(2);
+
+      const response = await request(app).post('/api/items/2/restore').expect(200);
+
+      expect(response.body).toEqual({ id: 2, name: 'Desk Lamp', category: 'Lighting', price: 79 });
+      const search = await request(app).get('/api/items?q=lamp').expect(200);
+      expect(search.body.items.map(item => item.id)).toEqual([2]);
+      expect(getStats()).toMatchObject({ total: 2, minPrice: 79 });
+      expect(auditLog.find().entries.map(entry => entry.action)).toEqual(['restore', 'delete']);
+    });
+
+    it('should only restore items that are in the trash', async () => {
+      const response = await request(app).post('/api/items/1/restore').expect(409);
+      expect(response.body.error).toMatchObject({ code: 'conflict', message: 'Item is not in the trash' });
+      await request(app).post('/api/items/999/restore').expect(404);
+      await request(app).post('/api/items/abc/restore').expect(400);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, diffItems } = require('../../utils/auditLog');
+
+describe('AuditLog', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    filePath = path.join(dir, 'audit.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const item = { id: 1, name: 'Desk Lamp', category: 'Lighting', price: 79 };
+
+  it('should append one line per entry and reload them', async () => {
+    const log = new AuditLog({ filePath });
+    await log.init();
+    await log.record({ action: 'create', after: item });
+    await log.recordMany([
+      { action: 'update', before: item, after: { ...item, price: 89 } },
+      { action: 'delete', before: { ...item, price: 89 } }
+    ]);
+
+    const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).id)).toEqual([1, 2, 3]);
+
+    const reloaded = new AuditLog({ filePath });
+    await reloaded.init();
+    expect(reloaded.find().entries).toEqual(log.find().entries);
+
+    // Ids keep counting after a restart
+    expect((await reloaded.record({ action: 'create', after: { ...item, id: 2 } })).id).toBe(4);
+  });
+
+  it('should number concurrent entries in file order', async () => {
+    const log = new AuditLog({ filePath });
+    await Promise.all([1, 2, 3, 4].map(id => log.record({ action: 'create', after: { ...item, id } })));
+
+    const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(entry => entry.id)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should skip a torn last line', async () => {
+    fs.writeFileSync(filePath, JSON.stringify({ id: 1, action: 'create', itemId: 1 }) + '\n{"id":2,"act');
+    jest.spyOn(console, 'log').mockImplementation();
+
+    const log = new AuditLog({ filePath });
+    await log.init();
+
+    expect(log.find().entries.map(entry => entry.id)).toEqual([1]);
+    expect(JSON.parse(console.log.mock.calls[0][0])).toMatchObject({ level: 'warn', line: 2 });
+
+    // New entries start on a line of their own
+    await log.record({ action: 'create', after: item });
+    const reloaded = new AuditLog({ filePath });
+    await reloaded.init();
+    expect(reloaded.find().entries.map(entry => entry.id)).toEqual([2, 1]);
+    jest.restoreAllMocks();
+  });
+
+  it('should diff every field but the id', () => {
+    expect(diffItems(item, { ...item, id: 9, price: 89, color: 'black' })).toEqual({
+      price: { from: 79, to: 89 },
+      color: { from: null, to: 'black' }
+    });
+    expect(diffItems(null, item)).toEqual({
+      name: { from: null, to: 'Desk Lamp' },
+      category: { from: null, to: 'Lighting' },
+      price: { from: null, to: 79 }
+    });
+  });
+});
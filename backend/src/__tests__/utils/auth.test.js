@@ -0,0 +1,51 @@
+const {
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken
+} = require('../../utils/auth');
+
+describe('auth utils', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should verify only the password that was hashed', async () => {
+    const stored = await hashPassword('correct horse');
+
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(await verifyPassword('correct horse', stored)).toBe(true);
+    expect(await verifyPassword('Correct horse', stored)).toBe(false);
+    expect(await verifyPassword('correct horse', 'plaintext')).toBe(false);
+  });
+
+  it('should salt every hash', async () => {
+    expect(await hashPassword('same')).not.toBe(await hashPassword('same'));
+  });
+
+  it('should round-trip tokens until they expire', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const { token, expiresAt } = issueToken({ username: 'erin', role: 'editor' });
+
+    expect(verifyToken(token)).toEqual({ username: 'erin', role: 'editor' });
+
+    jest.setSystemTime(new Date(expiresAt));
+    expect(verifyToken(token)).toBeNull();
+  });
+
+  it('should reject malformed and tampered tokens', () => {
+    const { token } = issueToken({ username: 'vic', role: 'viewer' });
+
+    expect(verifyToken('')).toBeNull();
+    expect(verifyToken('abc')).toBeNull();
+    expect(verifyToken(`${token}.extra`)).toBeNull();
+    expect(verifyToken(token.slice(0, -2))).toBeNull();
+  });
+
+  it('should rank editors above viewers', () => {
+    expect(hasRole({ role: 'editor' }, 'viewer')).toBe(true);
+    expect(hasRole({ role: 'viewer' }, 'editor')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+const { escapeFormula, formatCsvRow, parseCsv } = require('../../utils/csv');
+
+describe('csv', () => {
+  it('should quote only fields that need it', () => {
+    expect(formatCsvRow([1, 'Desk', 'a,b', 'say "hi"', 'two\nlines', null, undefined]))
+      .toBe('1,Desk,"a,b","say ""hi""","two\nlines",,\r\n');
+  });
+
+  it('should escape text that a spreadsheet would read as a formula', () => {
+    expect(['=SUM(A1)', '+1', '-2+3', '@cmd', '\tx', '\rx'].map(escapeFormula))
+      .toEqual(["'=SUM(A1)", "'+1", "'-2+3", "'@cmd", "'\tx", "'\rx"]);
+    expect(['Desk', 'a=b', '', -5, null, undefined].map(escapeFormula))
+      .toEqual(['Desk', 'a=b', '', -5, null, undefined]);
+  });
+
+  it('should parse quoted fields, escaped quotes and embedded line breaks', () => {
+    const text = 'name,notes\r\n"Chair, ""Deluxe""","line one\nline two"\r\nLamp,\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { line: 1, fields: ['name', 'notes'] },
+      { line: 2, fields: ['Chair, "Deluxe"', 'line one\nline two'] },
+      { line: 4, fields: ['Lamp', ''] }
+    ]);
+  });
+
+  it('should skip blank lines and a byte order mark', () => {
+    expect(parseCsv('﻿name\n\nDesk\n\n')).toEqual([
+      { line: 1, fields: ['name'] },
+      { line: 3, fields: ['Desk'] }
+    ]);
+  });
+
+  it('should round-trip formatted rows', () => {
+    const rows = [['id', 'name'], ['1', 'Chair, "Deluxe"'], ['2', 'multi\r\nline']];
+
+    expect(parseCsv(rows.map(formatCsvRow).join('')).map(record => record.fields)).toEqual(rows);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    expect(() => parseCsv('name\n"Desk\n')).toThrow('Unterminated quoted field starting on line 2');
+  });
+});
@@ -0,0 +1,35 @@
+const { redact, redactUrl, log } = require('../../utils/log');
+
+describe('log', () => {
+  it('should redact sensitive fields at any depth', () => {
+    expect(redact({
+      username: 'erin',
+      password: 'hunter2',
+      headers: { Authorization: 'Bearer abc', 'X-API-Key': 'ak_1', accept: 'json' },
+      users: [{ passwordHash: 'scrypt$...', role: 'editor' }]
+    })).toEqual({
+      username: 'erin',
+      password: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]', 'X-API-Key': '[REDACTED]', accept: 'json' },
+      users: [{ passwordHash: '[REDACTED]', role: 'editor' }]
+    });
+  });
+
+  it('should redact sensitive query params only', () => {
+    expect(redactUrl('/api/items')).toBe('/api/items');
+    expect(redactUrl('/api/events?lastEventId=4&access_token=abc'))
+      .toBe('/api/events?lastEventId=4&access_token=%5BREDACTED%5D');
+  });
+
+  it('should write errors to stderr and everything else to stdout', () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    log.info('started', { port: 3001 });
+    log.error('failed', { secret: 'x' });
+
+    expect(JSON.parse(console.log.mock.calls[0][0])).toMatchObject({ level: 'info', msg: 'started', port: 3001 });
+    expect(JSON.parse(console.error.mock.calls[0][0])).toMatchObject({ level: 'error', msg: 'failed', secret: '[REDACTED]' });
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,58 @@
+const request = require('supertest');
+const express = require('express');
+const metricsRouter = require('../../routes/metrics');
+const { Counter, Histogram, recordStatsRecompute, renderMetrics, resetMetrics } = require('../../utils/metrics');
+
+describe('metrics', () => {
+  afterEach(() => resetMetrics());
+
+  it('should render counters per label set', () => {
+    const counter = new Counter('jobs_total', 'Jobs run');
+    counter.inc({ kind: 'import' });
+    counter.inc({ kind: 'import' }, 2);
+    counter.inc({ kind: 'say "hi"' });
+
+    expect(counter.render()).toBe([
+      '# HELP jobs_total Jobs run',
+      '# TYPE jobs_total counter',
+      'jobs_total{kind="import"} 3',
+      'jobs_total{kind="say \\"hi\\""} 1'
+    ].join('\n'));
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const histogram = new Histogram('wait_seconds', 'Waits', [0.1, 1]);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+
+    expect(histogram.render()).toBe([
+      '# HELP wait_seconds Waits',
+      '# TYPE wait_seconds histogram',
+      'wait_seconds_bucket{le="0.1"} 1',
+      'wait_seconds_bucket{le="1"} 2',
+      'wait_seconds_bucket{le="+Inf"} 3',
+      'wait_seconds_sum 3.55',
+      'wait_seconds_count 3'
+    ].join('\n'));
+  });
+
+  it('should expose stats recompute timings', () => {
+    recordStatsRecompute('init', 12);
+
+    expect(renderMetrics()).toContain('stats_recompute_duration_seconds_sum{reason="init"} 0.012');
+  });
+
+  it('should serve the Prometheus text format from /api/metrics', async () => {
+    const app = express();
+    app.use('/api/metrics', metricsRouter);
+    recordStatsRecompute('store_changed', 5);
+
+    const response = await request(app).get('/api/metrics').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(response.headers['content-type']).toContain('version=0.0.4');
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('stats_recompute_duration_seconds_count{reason="store_changed"} 1');
+  });
+});
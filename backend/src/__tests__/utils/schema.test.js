@@ -0,0 +1,75 @@
+const { checkSchema, resolveRef } = require('../../utils/schema');
+
+describe('checkSchema', () => {
+  const document = {
+    components: {
+      schemas: {
+        Item: {
+          type: 'object',
+          required: ['name', 'price'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 5 },
+            price: { type: 'number', minimum: 0 },
+            tags: { type: 'array', items: { type: 'string', enum: ['new', 'sale'] } }
+          }
+        }
+      }
+    }
+  };
+  const item = { $ref: '#/components/schemas/Item' };
+
+  it('should accept a matching value', () => {
+    expect(checkSchema({ name: 'Lamp', price: 5, tags: ['new'] }, item, { document })).toEqual([]);
+  });
+
+  it('should report every problem with its field', () => {
+    expect(checkSchema({ name: 'Desk Lamp', tags: ['old'], color: 'red' }, item, { document })).toEqual([
+      { field: 'color', code: 'unknown_field', message: 'color is not allowed' },
+      { field: 'name', code: 'too_long', message: 'name must be at most 5 characters' },
+      { field: 'price', code: 'required', message: 'price is required' },
+      { field: 'tags[0]', code: 'invalid_value', message: 'tags[0] must be one of new, sale' }
+    ]);
+  });
+
+  it('should not take inherited names for declared properties', () => {
+    expect(checkSchema({ name: 'Lamp', price: 5, constructor: 'x', toString: 'y' }, item, { document })).toEqual([
+      { field: 'constructor', code: 'unknown_field', message: 'constructor is not allowed' },
+      { field: 'toString', code: 'unknown_field', message: 'toString is not allowed' }
+    ]);
+  });
+
+  it('should name the value by its label at the top level', () => {
+    expect(checkSchema([], item, { document, label: 'Request body' })).toEqual([
+      { field: null, code: 'invalid_type', message: 'Request body must be a JSON object' }
+    ]);
+  });
+
+  it('should allow null only where nullable', () => {
+    const nullableItem = { allOf: [item], nullable: true };
+
+    expect(checkSchema(null, nullableItem, { document })).toEqual([]);
+    expect(checkSchema(null, item, { document })[0]).toMatchObject({ code: 'invalid_type' });
+  });
+
+  it('should accept a value matching any of several shapes', () => {
+    const schema = { anyOf: [{ type: 'integer' }, { type: 'array', items: { type: 'integer' } }] };
+
+    expect(checkSchema([1, 2], schema)).toEqual([]);
+    expect(checkSchema('1', schema, { field: 'ids' })).toEqual([
+      { field: 'ids', code: 'invalid_value', message: 'ids does not match any of the allowed shapes' }
+    ]);
+  });
+
+  it('should check exclusive minimums and date-times', () => {
+    expect(checkSchema(0, { type: 'number', minimum: 0, exclusiveMinimum: true }, { field: 'size' })[0].message)
+      .toBe('size must be greater than 0');
+    expect(checkSchema('soon', { type: 'string', format: 'date-time' }, { field: 'since' })[0].message)
+      .toBe('since must be an ISO 8601 date');
+  });
+
+  it('should throw on a reference that does not resolve', () => {
+    expect(() => resolveRef(document, { $ref: '#/components/schemas/Missing' }))
+      .toThrow('Unresolved schema reference #/components/schemas/Missing');
+  });
+});
@@ -0,0 +1,79 @@
+const { tokenize, editDistance, SearchIndex } = require('../../utils/searchIndex');
+
+const items = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { id: 3, name: 'Ultra‑Wide Monitor', category: 'Electronics', price: 999 },
+  { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 5, name: 'Headphone Stand', category: 'Accessories', price: 25 },
+  { id: 6, name: 'Head Massager', category: 'Wellness', price: 60 }
+];
+
+const ids = results => results.map(r => r.id);
+
+describe('tokenize', () => {
+  it('should lowercase, strip accents and split on punctuation', () => {
+    expect(tokenize('Ultra‑Wide Monitor')).toEqual(['ultra', 'wide', 'monitor']);
+    expect(tokenize('Café Chair, 2-pack')).toEqual(['cafe', 'chair', '2', 'pack']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  it('should count edits and adjacent transpositions', () => {
+    expect(editDistance('chair', 'chair', 2)).toBe(0);
+    expect(editDistance('chiar', 'chair', 2)).toBe(1);
+    expect(editDistance('chr', 'chair', 2)).toBe(2);
+    expect(editDistance('table', 'chair', 2)).toBe(3);
+  });
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = SearchIndex.fromItems(items);
+  });
+
+  it('should rank the closest name match first', () => {
+    expect(ids(index.search('headphone'))).toEqual([5, 2]);
+    expect(ids(index.search('headphones'))[0]).toBe(2);
+  });
+
+  it('should match prefixes', () => {
+    expect(ids(index.search('ergo'))).toEqual([4]);
+  });
+
+  it('should tolerate typos', () => {
+    expect(ids(index.search('hedphones'))).toEqual([2, 5]);
+    expect(ids(index.search('labtop'))).toEqual([1]);
+  });
+
+  it('should not apply typo tolerance to short tokens', () => {
+    expect(index.search('pri')).toEqual([]);
+  });
+
+  it('should require every query token to match', () => {
+    expect(ids(index.search('laptop pro'))).toEqual([1]);
+    expect(index.search('laptop chair')).toEqual([]);
+  });
+
+  it('should weigh name matches above category matches', () => {
+    index.add({ id: 7, name: 'Electronics Cleaning Kit', category: 'Accessories', price: 15 });
+
+    expect(ids(index.search('electronics'))[0]).toBe(7);
+  });
+
+  it('should update and remove items incrementally', () => {
+    index.add({ id: 1, name: 'Gaming Laptop', category: 'Electronics', price: 1999 });
+    expect(ids(index.search('gaming'))).toEqual([1]);
+    expect(index.search('pro')).toEqual([]);
+
+    index.remove(1);
+    expect(index.search('laptop')).toEqual([]);
+  });
+
+  it('should return nothing for blank queries', () => {
+    expect(index.search('  ')).toEqual([]);
+  });
+});
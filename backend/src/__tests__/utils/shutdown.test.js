@@ -0,0 +1,101 @@
+const http = require('http');
+const express = require('express');
+const eventsRouter = require('../../routes/events');
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const { initStatsCache, getStats } = require('../../utils/stats');
+const { initEventStream } = require('../../utils/eventStream');
+const { setPhase, getPhase } = require('../../utils/health');
+const { gracefulShutdown } = require('../../utils/shutdown');
+
+// Resolve with the response body once the request completes
+function get(server, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('gracefulShutdown', () => {
+  let server;
+  let repo;
+  let auditLog;
+  let finishSlowRequest;
+  let slowRequestStarted;
+
+  beforeEach(async () => {
+    repo = new SqliteItemRepository({ filename: ':memory:' });
+    await repo.init();
+    setItemRepository(repo);
+    auditLog = new AuditLog();
+    setAuditLog(auditLog);
+    jest.spyOn(console, 'log').mockImplementation();
+    initEventStream();
+    await initStatsCache();
+    setPhase('ready');
+
+    let started;
+    slowRequestStarted = new Promise(resolve => { started = resolve; });
+    const app = express();
+    app.get('/slow', (req, res) => {
+      finishSlowRequest = () => res.send('done');
+      started();
+    });
+    app.use('/api/events', eventsRouter);
+    server = app.listen(0);
+  });
+
+  afterEach(async () => {
+    setPhase('starting');
+    console.log.mockRestore();
+    await repo.close();
+  });
+
+  it('should let in-flight requests finish before stopping', async () => {
+    const slow = get(server, '/slow');
+    await slowRequestStarted;
+
+    const shutdown = gracefulShutdown(server, { timeoutMs: 5000 });
+    expect(getPhase()).toBe('stopping');
+    finishSlowRequest();
+
+    await expect(slow).resolves.toEqual({ status: 200, body: 'done' });
+    await expect(shutdown).resolves.toBe(true);
+    expect(server.listening).toBe(false);
+  });
+
+  it('should end event streams so the server can close', async () => {
+    const stream = get(server, '/api/events');
+    // Wait for the stream to be subscribed
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await expect(gracefulShutdown(server, { timeoutMs: 5000 })).resolves.toBe(true);
+    await expect(stream).resolves.toMatchObject({ status: 200 });
+  });
+
+  it('should cut off requests that outlive the timeout', async () => {
+    const slow = get(server, '/slow').catch(err => err);
+    await slowRequestStarted;
+
+    await expect(gracefulShutdown(server, { timeoutMs: 50 })).resolves.toBe(false);
+    expect(await slow).toMatchObject({ code: 'ECONNRESET' });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Shutdown timed out'));
+  });
+
+  it('should stop background work, flush writes and close the store', async () => {
+    const flush = jest.spyOn(auditLog, 'flush');
+    const close = jest.spyOn(repo, 'close');
+
+    await gracefulShutdown(server, { timeoutMs: 5000 });
+
+    expect(getStats()).toBeNull();
+    expect(flush).toHaveBeenCalled();
+    expect(close).toHaveBeenCalled();
+    expect(flush.mock.invocationCallOrder[0]).toBeLessThan(close.mock.invocationCallOrder[0]);
+  });
+});
@@ -0,0 +1,98 @@
+const { percentile, histogram, computeStats } = require('../../utils/stats');
+
+const items = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { id: 3, name: 'Ultra-Wide Monitor', category: 'Electronics', price: 999 },
+  { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 5, name: 'Standing Desk', category: 'Furniture', price: 1199 },
+  { id: 6, name: 'Mystery Box', category: 'Furniture' }
+];
+
+describe('percentile', () => {
+  it('should interpolate between neighbouring values', () => {
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([1, 2, 3, 4], 0)).toBe(1);
+    expect(percentile([1, 2, 3, 4], 100)).toBe(4);
+    expect(percentile([], 50)).toBeNull();
+  });
+});
+
+describe('histogram', () => {
+  it('should split prices into equal-width buckets', () => {
+    expect(histogram([0, 10, 20, 30, 40], { buckets: 2 })).toEqual([
+      { min: 0, max: 20, count: 2 },
+      { min: 20, max: 40, count: 3 }
+    ]);
+  });
+
+  it('should accept a bucket width instead of a count', () => {
+    expect(histogram([5, 12, 18], { bucketSize: 5 })).toEqual([
+      { min: 5, max: 10, count: 1 },
+      { min: 10, max: 15, count: 1 },
+      { min: 15, max: 18, count: 1 }
+    ]);
+  });
+
+  it('should use a single bucket when every price is equal', () => {
+    expect(histogram([7, 7], { buckets: 4 })).toEqual([{ min: 7, max: 7, count: 2 }]);
+    expect(histogram([])).toEqual([]);
+  });
+});
+
+describe('computeStats', () => {
+  it('should ignore missing prices in price figures', () => {
+    const stats = computeStats(items);
+
+    expect(stats).toMatchObject({
+      total: 6,
+      pricedItems: 5,
+      averagePrice: 1179,
+      minPrice: 399,
+      maxPrice: 2499,
+      medianPrice: 999
+    });
+    expect(stats.percentiles).toMatchObject({ p25: 799, p50: 999, p75: 1199 });
+  });
+
+  it('should break stats down per category', () => {
+    expect(computeStats(items).categories).toEqual([
+      {
+        category: 'Electronics',
+        count: 3,
+        pricedItems: 3,
+        averagePrice: 1299,
+        minPrice: 399,
+        maxPrice: 2499,
+        medianPrice: 999
+      },
+      {
+        category: 'Furniture',
+        count: 3,
+        pricedItems: 2,
+        averagePrice: 999,
+        minPrice: 799,
+        maxPrice: 1199,
+        medianPrice: 999
+      }
+    ]);
+  });
+
+  it('should count every priced item in the histogram', () => {
+    const { histogram: buckets } = computeStats(items, { buckets: 3 });
+
+    expect(buckets).toHaveLength(3);
+    expect(buckets.reduce((sum, b) => sum + b.count, 0)).toBe(5);
+  });
+
+  it('should handle an empty catalog', () => {
+    expect(computeStats([])).toMatchObject({
+      total: 0,
+      averagePrice: 0,
+      minPrice: null,
+      medianPrice: null,
+      categories: [],
+      histogram: []
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { StatsAggregator } = require('../../utils/statsAggregator');
+
+const items = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { id: 3, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 4, name: 'Mystery Box', category: 'Furniture' }
+];
+
+describe('StatsAggregator', () => {
+  it('should match a full recompute after incremental changes', () => {
+    const aggregator = new StatsAggregator(items);
+
+    aggregator.add({ id: 5, name: 'Desk Lamp', category: 'Lighting', price: 79 });
+    aggregator.update(items[1], { ...items[1], price: 349 });
+    aggregator.update(items[2], { ...items[2], category: 'Office' });
+    aggregator.remove(items[0]);
+
+    const expected = new StatsAggregator([
+      { ...items[1], price: 349 },
+      { ...items[2], category: 'Office' },
+      items[3],
+      { id: 5, name: 'Desk Lamp', category: 'Lighting', price: 79 }
+    ]);
+
+    expect(aggregator.snapshot()).toEqual(expected.snapshot());
+    expect(aggregator.diff(expected)).toEqual([]);
+  });
+
+  it('should apply a batch of writes like the same writes one by one', () => {
+    const batched = new StatsAggregator(items);
+    const incremental = new StatsAggregator(items);
+    const changes = [
+      { item: { id: 5, name: 'Desk Lamp', category: 'Lighting', price: 79 }, previous: null },
+      { item: { ...items[1], price: 349 }, previous: items[1] },
+      { item: { ...items[2], category: 'Office' }, previous: items[2] },
+      { item: { ...items[3], price: 15 }, previous: items[3] }
+    ];
+
+    batched.applyMany(changes);
+    changes.forEach(({ item, previous }) => (previous ? incremental.update(previous, item) : incremental.add(item)));
+
+    expect(batched.snapshot()).toEqual(incremental.snapshot());
+    expect(batched.diff(incremental)).toEqual([]);
+    expect(batched.snapshot().categories.map(c => c.category)).toEqual(['Electronics', 'Furniture', 'Lighting', 'Office']);
+  });
+
+  it('should drop categories that become empty', () => {
+    const aggregator = new StatsAggregator(items);
+
+    aggregator.remove(items[2]);
+    aggregator.remove(items[3]);
+
+    expect(aggregator.snapshot().categories.map(c => c.category)).toEqual(['Electronics']);
+  });
+
+  it('should cache snapshots until the next change', () => {
+    const aggregator = new StatsAggregator(items);
+    const first = aggregator.snapshot();
+
+    expect(aggregator.snapshot()).toBe(first);
+    aggregator.add({ id: 5, name: 'Desk Lamp', category: 'Lighting', price: 79 });
+    expect(aggregator.snapshot()).not.toBe(first);
+    expect(aggregator.snapshot().total).toBe(5);
+  });
+
+  it('should keep only the most recently used snapshots', () => {
+    const aggregator = new StatsAggregator(items);
+    const first = aggregator.snapshot();
+    const narrow = aggregator.snapshot({ bucketSize: 1 });
+
+    // The default stays in use, the rest are asked for once each
+    for (let bucketSize = 2; bucketSize <= 20; bucketSize += 1) {
+      aggregator.snapshot({ bucketSize });
+      aggregator.snapshot();
+    }
+
+    expect(aggregator.snapshots.size).toBe(8);
+    expect(aggregator.snapshot()).toBe(first);
+    expect(aggregator.snapshot({ bucketSize: 1 })).not.toBe(narrow);
+    expect(aggregator.snapshot({ bucketSize: 1 })).toEqual(narrow);
+  });
+
+  it('should report drift against a freshly built aggregator', () => {
+    const aggregator = new StatsAggregator(items);
+    const expected = new StatsAggregator(items.slice(1));
+
+    expect(aggregator.diff(expected)).toEqual([
+      'catalog count 4 != 3',
+      'catalog price sum 3697 != 1198',
+      'catalog priced items 3 != 2',
+      'category "Electronics" count 2 != 1',
+      'category "Electronics" price sum 2898 != 399',
+      'category "Electronics" priced items 2 != 1'
+    ]);
+  });
+});
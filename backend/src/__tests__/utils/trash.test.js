@@ -0,0 +1,78 @@
+const { setItemRepository } = require('../../repositories');
+const SqliteItemRepository = require('../../repositories/SqliteItemRepository');
+const { AuditLog, setAuditLog } = require('../../utils/auditLog');
+const {
+  TRASH_RETENTION_DAYS,
+  isDeleted,
+  withoutDeleted,
+  purgeDate,
+  purgeExpiredItems
+} = require('../../utils/trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('trash', () => {
+  it('should tell trashed items apart', () => {
+    const items = [{ id: 1 }, { id: 2, deletedAt: '2026-01-01T00:00:00.000Z' }];
+
+    expect(items.map(isDeleted)).toEqual([false, true]);
+    expect(withoutDeleted(items)).toEqual([{ id: 1 }]);
+    expect(purgeDate(items[1])).toEqual(new Date(Date.parse(items[1].deletedAt) + TRASH_RETENTION_DAYS * DAY_MS));
+  });
+
+  describe('purgeExpiredItems', () => {
+    let repo;
+    let auditLog;
+    const now = new Date('2026-06-01T00:00:00.000Z');
+    const daysAgo = days => new Date(now.getTime() - days * DAY_MS).toISOString();
+
+    beforeEach(async () => {
+      repo = new SqliteItemRepository({ filename: ':memory:' });
+      await repo.init();
+      await repo.create({ name: 'Kept', category: 'A', price: 1 });
+      await repo.create({ name: 'Recently deleted', category: 'A', price: 2, deletedAt: daysAgo(1) });
+      await repo.create({ name: 'Expired', category: 'A', price: 3, deletedAt: daysAgo(TRASH_RETENTION_DAYS) });
+      setItemRepository(repo);
+      auditLog = new AuditLog();
+      setAuditLog(auditLog);
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(async () => {
+      console.log.mockRestore();
+      await repo.close();
+    });
+
+    it('should remove only items past the retention period', async () => {
+      const purged = await purgeExpiredItems(now);
+
+      expect(purged.map(item => item.name)).toEqual(['Expired']);
+      expect((await repo.findAll()).map(item => item.name)).toEqual(['Kept', 'Recently deleted']);
+    });
+
+    it('should record each purge in the audit log', async () => {
+      await purgeExpiredItems(now);
+
+      const { entries } = auditLog.find();
+      expect(entries).toEqual([expect.objectContaining({ action: 'purge', itemId: 3, actor: null, after: null })]);
+    });
+
+    it('should keep items restored while the purge runs', async () => {
+      const findAll = repo.findAll.bind(repo);
+      jest.spyOn(repo, 'findAll').mockImplementationOnce(async () => {
+        const items = await findAll();
+        await repo.update(3, ({ deletedAt, ...item }) => item);
+        return items;
+      });
+
+      expect(await purgeExpiredItems(now)).toEqual([]);
+      expect((await repo.findAll()).map(item => item.name)).toEqual(['Kept', 'Recently deleted', 'Expired']);
+      expect(auditLog.find().entries).toEqual([]);
+    });
+
+    it('should do nothing when no item has expired', async () => {
+      expect(await purgeExpiredItems(new Date(daysAgo(TRASH_RETENTION_DAYS)))).toEqual([]);
+      expect(auditLog.find().entries).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const express = require('express');
+const cors = require('cors');
+const itemsRouter = require('./routes/items');
+const statsRouter = require('./routes/stats');
+const eventsRouter = require('./routes/events');
+const authRouter = require('./routes/auth');
+const auditRouter = require('./routes/audit');
+const metricsRouter = require('./routes/metrics');
+const graphqlRouter = require('./routes/graphql');
+const healthRouter = require('./routes/health');
+const { createDocsRouter } = require('./routes/docs');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { authenticate, requireRole, requireRoleForWrites } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/logger');
+const { createRateLimiter, chargeRefused } = require('./middleware/rateLimit');
+const { createRequestValidator, createResponseValidator } = require('./middleware/openapi');
+const { apiVersion } = require('./middleware/apiVersion');
+const { getPhase } = require('./utils/health');
+const { ServiceUnavailableError } = require('./utils/errors');
+const { buildDocument } = require('./openapi');
+const { config } = require('./config');
+
+// Routers under each API version's base path, with the guards in front
+// of them. Catalog reads are open, the audit trail takes a signed-in
+// caller and changing the catalog an editor (GraphQL checks that per
+// mutation). Routers that differ between versions check
+// req.apiVersion.
+const API_ROUTES = [
+  { path: '/auth', router: authRouter },
+  { path: '/items', router: itemsRouter, guards: [requireRoleForWrites('editor')] },
+  { path: '/audit', router: auditRouter, guards: [requireRole('viewer')] },
+  { path: '/stats', router: statsRouter },
+  { path: '/events', router: eventsRouter },
+  { path: '/metrics', router: metricsRouter },
+  { path: '/graphql', router: graphqlRouter }
+];
+
+// Mounted in this order. Unversioned paths predate versioning and answer
+// as v1; both are deprecated in favour of v2. The contract tests compare
+// each version's routes with its OpenAPI document.
+const API_VERSIONS = [
+  { basePath: '/api/v2', version: 2 },
+  { basePath: '/api/v1', version: 1, successor: '/api/v2' },
+  { basePath: '/api', version: 1, successor: '/api/v2' }
+].map(version => ({ ...version, document: buildDocument(version) }));
+
+/**
+ * Build the Express app. Startup (opening the store, building caches) is
+ * separate: until it marks the server ready, /api answers 503.
+ * @param {Object} [options]
+ * @param {'off'|'warn'|'strict'} [options.validateResponses] - See createResponseValidator
+ * @param {Object} [options.rateLimitStore] - See createRateLimiter
+ * @returns {express.Application}
+ */
+function createApp({ validateResponses = config.validateResponses, rateLimitStore } = {}) {
+  const app = express();
+
+  // The app reads validators cross-origin to make its requests conditional,
+  // the rate limit headers to back off, and deprecation notices
+  app.use(cors({
+    origin: config.corsOrigin,
+    exposedHeaders: [
+      'ETag',
+      'Last-Modified',
+      'Retry-After',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'Deprecation',
+      'Link'
+    ]
+  }));
+  app.use(createResponseValidator(API_VERSIONS.map(({ document }) => document), { mode: validateResponses }));
+  // Probes are polled every few seconds; keep them out of the request logs
+  app.use(healthRouter);
+  // Basic middleware
+  app.use(requestId);
+  app.use(requestLogger);
+  // The API needs the store and caches that startup prepares
+  app.use('/api', (req, res, next) => {
+    next(getPhase() === 'starting' ? new ServiceUnavailableError('Server is starting') : undefined);
+  });
+  app.use(authenticate);
+  // Throttle before reading bodies, so a flood costs as little as possible.
+  // Requests with bad credentials draw from their address's budget too, so
+  // guessing tokens or keys is throttled.
+  const rateLimiter = createRateLimiter({
+    reads: { perMinute: config.rateLimitReadsPerMinute, burst: config.rateLimitReadBurst },
+    writes: { perMinute: config.rateLimitWritesPerMinute, burst: config.rateLimitWriteBurst },
+    store: rateLimitStore
+  });
+  app.use('/api', chargeRefused(rateLimiter), rateLimiter);
+  app.use(express.json({ limit: config.jsonBodyLimitBytes }));
+
+  for (const { basePath, document, ...version } of API_VERSIONS) {
+    const tagVersion = apiVersion({ basePath, ...version });
+    // Requests are checked against the spec once the caller may make them
+    const validateRequest = createRequestValidator(document);
+    for (const { path, router, guards = [] } of API_ROUTES) {
+      app.use(basePath + path, tagVersion, ...guards, validateRequest, router);
+    }
+    app.use(basePath, tagVersion, createDocsRouter(document));
+    // Unknown versioned paths must not fall through to the unversioned mounts
+    if (basePath !== '/api') {
+      app.use(basePath, notFound);
+    }
+  }
+
+  // Not Found
+  app.use('*', notFound);
+
+  // Error handler
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { API_ROUTES, API_VERSIONS, createApp };
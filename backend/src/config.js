@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Every setting the backend reads. Each one can come from its environment
+ * variable or from the JSON file named by CONFIG_FILE, whose keys are the
+ * setting names below. The environment wins over the file, the file over
+ * the default.
+ */
+const SCHEMA = {
+  port: { env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3001 },
+  corsOrigin: { env: 'CORS_ORIGIN', type: 'string', default: 'http://localhost:3000' },
+  itemStore: { env: 'ITEM_STORE', type: 'enum', values: ['json', 'sqlite'], default: 'json' },
+  dataPath: { env: 'DATA_PATH', type: 'path', default: path.join(DATA_DIR, 'items.json') },
+  sqlitePath: { env: 'SQLITE_PATH', type: 'path', default: path.join(DATA_DIR, 'items.db') },
+  auditLogPath: { env: 'AUDIT_LOG_PATH', type: 'path', default: path.join(DATA_DIR, 'audit.ndjson') },
+  credentialsPath: { env: 'AUTH_CREDENTIALS_PATH', type: 'path', default: path.join(DATA_DIR, 'credentials.json') },
+  // Random per process when unset, which signs everyone out on restart
+  authSecret: { env: 'AUTH_SECRET', type: 'string', default: null },
+  authTokenTtlSeconds: { env: 'AUTH_TOKEN_TTL_SECONDS', type: 'integer', min: 1, default: 12 * 60 * 60 },
+  defaultPageSize: { env: 'DEFAULT_PAGE_SIZE', type: 'integer', min: 1, default: 10 },
+  maxPageSize: { env: 'MAX_PAGE_SIZE', type: 'integer', min: 1, default: 100 },
+  jsonBodyLimitBytes: { env: 'JSON_BODY_LIMIT_BYTES', type: 'integer', min: 1, default: 16 * 1024 },
+  importBodyLimitBytes: { env: 'IMPORT_BODY_LIMIT_BYTES', type: 'integer', min: 1, default: 10 * 1024 * 1024 },
+  // Token buckets per client: `Burst` requests at once, refilled at `PerMinute`
+  rateLimitReadsPerMinute: { env: 'RATE_LIMIT_READS_PER_MINUTE', type: 'number', min: 1, default: 600 },
+  rateLimitReadBurst: { env: 'RATE_LIMIT_READ_BURST', type: 'integer', min: 1, default: 120 },
+  rateLimitWritesPerMinute: { env: 'RATE_LIMIT_WRITES_PER_MINUTE', type: 'number', min: 1, default: 60 },
+  rateLimitWriteBurst: { env: 'RATE_LIMIT_WRITE_BURST', type: 'integer', min: 1, default: 20 },
+  // Top-level fields (each alias counts) one GraphQL operation may select.
+  // A request takes one rate-limit token however many it runs.
+  graphqlMaxFields: { env: 'GRAPHQL_MAX_FIELDS', type: 'integer', min: 1, default: 10 },
+  graphqlMaxMutations: { env: 'GRAPHQL_MAX_MUTATIONS', type: 'integer', min: 1, default: 5 },
+  storeWatchDebounceMs: { env: 'STORE_WATCH_DEBOUNCE_MS', type: 'integer', min: 0, default: 300 },
+  statsConsistencyIntervalMs: { env: 'STATS_CONSISTENCY_INTERVAL_MS', type: 'integer', min: 1, default: 5 * 60 * 1000 },
+  trashRetentionDays: { env: 'TRASH_RETENTION_DAYS', type: 'number', min: 0, default: 30 },
+  trashPurgeIntervalMs: { env: 'TRASH_PURGE_INTERVAL_MS', type: 'integer', min: 1, default: 60 * 60 * 1000 },
+  shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 0, default: 10000 },
+  // Check JSON responses against the OpenAPI document. Defaults given as
+  // functions are computed from the environment.
+  validateResponses: {
+    env: 'VALIDATE_RESPONSES',
+    type: 'enum',
+    values: ['off', 'warn', 'strict'],
+    default: env => (env.NODE_ENV === 'production' ? 'off' : 'warn')
+  }
+};
+
+/**
+ * Thrown when the configuration is unusable; lists every problem at once
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super('Invalid configuration:\n' + problems.map(problem => '  - ' + problem).join('\n'));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Convert one raw value, or return a description of what is wrong with it
+function parse(spec, raw, fromEnv) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = fromEnv ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (fromEnv && raw.trim() === '')) {
+        return { problem: spec.type === 'integer' ? 'must be an integer' : 'must be a number' };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return { problem: 'must be an integer' };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { problem: `must be at least ${spec.min}` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { problem: `must be at most ${spec.max}` };
+      }
+      return { value };
+    }
+    case 'enum':
+      return spec.values.includes(raw)
+        ? { value: raw }
+        : { problem: `must be one of ${spec.values.map(v => `"${v}"`).join(', ')}` };
+    case 'path':
+    case 'string':
+      if (typeof raw !== 'string' || raw === '') {
+        return { problem: 'must be a non-empty string' };
+      }
+      return { value: spec.type === 'path' ? path.resolve(raw) : raw };
+    default:
+      throw new Error(`Unknown setting type "${spec.type}"`);
+  }
+}
+
+// Settings from the CONFIG_FILE, if any
+function readConfigFile(filePath, problems) {
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    problems.push(`CONFIG_FILE ${filePath} could not be read: ${err.message}`);
+    return {};
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    problems.push(`CONFIG_FILE ${filePath} must contain a JSON object`);
+    return {};
+  }
+  for (const key of Object.keys(values)) {
+    if (!SCHEMA[key]) {
+      problems.push(`${filePath}: unknown setting "${key}"`);
+    }
+  }
+  return values;
+}
+
+/**
+ * Build the configuration from the environment and the optional file
+ * @param {Object} [env] - Environment variables, process.env by default
+ * @returns {Object} Frozen settings keyed by the names in SCHEMA
+ * @throws {ConfigError} When the file or any value is invalid
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const file = env.CONFIG_FILE ? readConfigFile(path.resolve(env.CONFIG_FILE), problems) : {};
+  const config = {};
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let result;
+    if (env[spec.env] !== undefined && env[spec.env] !== '') {
+      result = parse(spec, env[spec.env], true);
+      if (result.problem) {
+        result.problem = `${spec.env}=${JSON.stringify(env[spec.env])} ${result.problem}`;
+      }
+    } else if (file[key] !== undefined) {
+      result = parse(spec, file[key], false);
+      if (result.problem) {
+        result.problem = `${key} in CONFIG_FILE ${result.problem}`;
+      }
+    } else {
+      result = { value: typeof spec.default === 'function' ? spec.default(env) : spec.default };
+    }
+
+    if (result.problem) {
+      problems.push(result.problem);
+    } else {
+      config[key] = result.value;
+    }
+  }
+
+  if (config.defaultPageSize > config.maxPageSize) {
+    problems.push(`defaultPageSize (${config.defaultPageSize}) must not exceed maxPageSize (${config.maxPageSize})`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return Object.freeze(config);
+}
+
+module.exports = {
+  SCHEMA,
+  ConfigError,
+  loadConfig,
+  config: loadConfig()
+};
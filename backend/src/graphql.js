@@ -0,0 +1,235 @@
+const { buildSchema, GraphQLError, Kind, print } = require('graphql');
+const { getItemRepository } = require('./repositories');
+const { ITEM_SCHEMA } = require('./utils/validation');
+const {
+  actorOf,
+  parsePaging,
+  selectItems,
+  pageOfItems,
+  createItem,
+  replaceItem,
+  updateItem,
+  deleteItem
+} = require('./utils/itemActions');
+const { parseStatsQuery, readStats } = require('./utils/stats');
+const { PERCENTILES } = require('./utils/statsAggregator');
+const { isDeleted } = require('./utils/trash');
+const { itemETag } = require('./utils/httpCache');
+const { roleError } = require('./middleware/auth');
+
+/**
+ * GraphQL schema over the item catalog and its stats, served at
+ * <base path>/graphql. Resolvers go through the same item actions and
+ * stats cache as the REST routes, so validation, auditing, If-Match and
+ * role checks behave alike; errors carry the REST error code (and details)
+ * in their extensions.
+ */
+
+const SCALARS = { string: 'String', number: 'Float' };
+
+// Item payload fields, derived from the schema the routes validate with
+function itemInputFields({ partial }) {
+  return Object.entries(ITEM_SCHEMA)
+    .map(([field, rule]) => `  ${field}: ${SCALARS[rule.type]}${rule.required && !partial ? '!' : ''}`)
+    .join('\n');
+}
+
+const SDL = `
+"An integer up to 2^53 - 1, as JavaScript numbers hold exactly; item ids outgrow Int's 32 bits"
+scalar SafeInt
+
+"A catalog item"
+type Item {
+  id: SafeInt!
+  name: String!
+  category: String!
+  price: Float
+  "Set while the item is in the trash"
+  deletedAt: String
+  "Pass back as ifMatch to make a change conditional on this version"
+  etag: String!
+}
+
+"By number (currentPage, totalPages) or, for cursor pages, nextCursor"
+type Pagination {
+  pageSize: Int!
+  totalItems: Int!
+  hasNextPage: Boolean!
+  currentPage: Int
+  totalPages: Int
+  hasPreviousPage: Boolean
+  nextCursor: String
+}
+
+type ItemPage {
+  items: [Item!]!
+  pagination: Pagination!
+}
+
+type Percentiles {
+${PERCENTILES.map(p => `  p${p}: Float`).join('\n')}
+}
+
+type CategoryStats {
+  category: String!
+  count: Int!
+  pricedItems: Int!
+  averagePrice: Float!
+  minPrice: Float
+  maxPrice: Float
+  medianPrice: Float
+}
+
+type HistogramBucket {
+  min: Float!
+  max: Float!
+  count: Int!
+}
+
+type Stats {
+  total: Int!
+  pricedItems: Int!
+  averagePrice: Float!
+  minPrice: Float
+  maxPrice: Float
+  medianPrice: Float
+  percentiles: Percentiles!
+  categories: [CategoryStats!]!
+  histogram: [HistogramBucket!]!
+}
+
+input ItemInput {
+${itemInputFields({ partial: false })}
+}
+
+input ItemPatch {
+${itemInputFields({ partial: true })}
+}
+
+"Fields that fail are null, with the reason in errors, and the rest still resolve"
+type Query {
+  "Items as GET /items lists them; cursor pages when cursor is given (empty for the first page)"
+  items(
+    q: String
+    category: [String!]
+    minPrice: Float
+    maxPrice: Float
+    "price, name or category; prefix with - for descending"
+    sort: String
+    includeDeleted: Boolean = false
+    page: Int
+    pageSize: Int
+    cursor: String
+  ): ItemPage
+  "Null when there is no such item, or it is in the trash and includeDeleted is false"
+  item(id: SafeInt!, includeDeleted: Boolean = false): Item
+  "Per-category aggregates, optionally for items matching a search"
+  categories(q: String): [CategoryStats!]
+  stats(category: [String!], q: String, buckets: Int, bucketSize: Int): Stats
+}
+
+"Changes take the editor role. A change that fails is null, with the reason in errors."
+type Mutation {
+  createItem(input: ItemInput!): Item
+  replaceItem(id: SafeInt!, input: ItemInput!, ifMatch: String): Item
+  updateItem(id: SafeInt!, input: ItemPatch!, ifMatch: String): Item
+  "Moves the item to the trash and returns it as trashed"
+  deleteItem(id: SafeInt!, ifMatch: String): Item
+}
+`;
+
+// SafeInt only passes integers a JavaScript number holds exactly
+function safeInt(value, shown = value) {
+  if (!Number.isSafeInteger(value)) {
+    throw new GraphQLError(`SafeInt cannot represent non safe-integer value: ${shown}`);
+  }
+  return value;
+}
+
+const SAFE_INT = {
+  serialize: value => safeInt(value),
+  parseValue: value => safeInt(value, JSON.stringify(value)),
+  parseLiteral: ast => safeInt(ast.kind === Kind.INT ? Number(ast.value) : NaN, print(ast))
+};
+
+// Arguments the caller gave; GraphQL passes explicit nulls, which the
+// shared parsers would read as values
+function given(args) {
+  return Object.fromEntries(Object.entries(args).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Mutations throw the 401/403 the REST routes would answer with
+function requireEditor({ user }) {
+  const error = roleError(user, 'editor');
+  if (error) {
+    throw error;
+  }
+}
+
+// Who is writing and what the write is conditional on
+function writeContext(context, { ifMatch }) {
+  return { actor: context.actor, ifMatch: ifMatch || undefined };
+}
+
+const resolvers = {
+  Query: {
+    items: async (parent, args) => {
+      const { page, pageSize, cursor, includeDeleted, ...query } = given(args);
+      const paging = parsePaging({ page, pageSize }, 2);
+      const selection = await selectItems(query, { includeDeleted });
+      return pageOfItems(selection, { ...paging, cursor, q: query.q });
+    },
+    item: async (parent, { id, includeDeleted }) => {
+      const item = await getItemRepository().findById(id);
+      return item && (!isDeleted(item) || includeDeleted) ? item : null;
+    },
+    categories: async (parent, args) => (await readStats(parseStatsQuery(given(args)))).categories,
+    stats: (parent, args) => readStats(parseStatsQuery(given(args)))
+  },
+  Mutation: {
+    createItem: (parent, { input }, context) => {
+      requireEditor(context);
+      return createItem({ ...input }, writeContext(context, {}));
+    },
+    replaceItem: (parent, { id, input, ...args }, context) => {
+      requireEditor(context);
+      return replaceItem(id, { ...input }, writeContext(context, args));
+    },
+    updateItem: (parent, { id, input, ...args }, context) => {
+      requireEditor(context);
+      return updateItem(id, { ...input }, writeContext(context, args));
+    },
+    deleteItem: (parent, { id, ...args }, context) => {
+      requireEditor(context);
+      return deleteItem(id, writeContext(context, args));
+    }
+  },
+  Item: {
+    etag: item => itemETag(item)
+  }
+};
+
+// Attach resolvers to the fields of the schema built from SDL
+function withResolvers(schema, resolverMap) {
+  for (const [typeName, fields] of Object.entries(resolverMap)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+}
+
+const schema = withResolvers(buildSchema(SDL), resolvers);
+Object.assign(schema.getType('SafeInt'), SAFE_INT);
+
+/**
+ * Context for executing an operation on behalf of a request
+ * @param {express.Request} req - After authenticate
+ * @returns {{ user: Object|null, actor: Object|null }}
+ */
+function contextFor(req) {
+  return { user: req.user, actor: actorOf(req) };
+}
+
+module.exports = { schema, contextFor };
@@ -1,39 +1,90 @@
-const express = require('express');
-const path = require('path');
-const morgan = require('morgan');
-const itemsRouter = require('./routes/items');
-const statsRouter = require('./routes/stats');
-const cors = require('cors');
-const { notFound } = require('./middleware/errorHandler');
-const { initStatsCache } = require('./utils/stats');
+const { log } = require('./utils/log');
 
-const app = express();
-const port = process.env.PORT || 3001;
+// Configuration problems are reported on their own, before anything
+// else is loaded
+let config;
+try {
+  ({ config } = require('./config'));
+} catch (err) {
+  log.error(err.name === 'ConfigError' ? err.message : 'Cannot load the configuration', { error: err.message, stack: err.stack });
+  process.exit(1);
+}
 
-app.use(cors({ origin: 'http://localhost:3000' }));
-// Basic middleware
-app.use(express.json());
-app.use(morgan('dev'));
+const { createApp } = require('./app');
+const { loadCredentials } = require('./utils/auth');
+const { getAuditLog } = require('./utils/auditLog');
+const { initStatsCache } = require('./utils/stats');
+const { initSearchIndex } = require('./utils/searchIndex');
+const { watchStore } = require('./utils/catalogEvents');
+const { initEventStream } = require('./utils/eventStream');
+const { initCatalogVersion } = require('./utils/catalogVersion');
+const { initTrashPurge } = require('./utils/trash');
+const { setPhase } = require('./utils/health');
+const { gracefulShutdown } = require('./utils/shutdown');
+const { getItemRepository } = require('./repositories');
+const assignMissingIds = require('./migrations/assignMissingIds');
 
-// Routes
-app.use('/api/items', itemsRouter);
-app.use('/api/stats', statsRouter);
+const app = createApp();
+// Delay between startup attempts: 1s, 2s, 4s ... up to 30s
+const STARTUP_RETRY_BASE_MS = 1000;
+const STARTUP_RETRY_MAX_MS = 30000;
 
-// Not Found
-app.use('*', notFound);
+// Open the item store, then build the caches. Every step can be re-run
+// after a failure.
+async function initialize() {
+  await loadCredentials();
+  await getItemRepository().init();
+  await getAuditLog().init();
+  await assignMissingIds(getItemRepository());
+  // Relay events before the caches subscribe so clients see each item
+  // change ahead of the stats change it causes
+  initEventStream();
+  initCatalogVersion();
+  await initStatsCache();
+  await initSearchIndex();
+  watchStore(getItemRepository());
+  await initTrashPurge();
+}
 
-// Initialize stats cache and start server
+// Listen right away so the supervisor sees a live process, and keep
+// retrying startup until it succeeds; /readyz reports 503 until then
 async function startServer() {
-  try {
-    // Initialize stats cache before starting server
-    await initStatsCache();
-    
-    app.listen(port, () => {
-      console.log('Backend running on http://localhost:' + port);
-    });
-  } catch (err) {
-    console.error('Failed to start server:', err);
-    process.exit(1);
+  const server = app.listen(config.port, () => {
+    log.info('Backend running', { port: server.address().port });
+  });
+
+  let stopping = false;
+  const shutdown = async (signal) => {
+    // A second signal means "now"
+    if (stopping) {
+      process.exit(1);
+    }
+    stopping = true;
+    log.info('Shutting down', { signal });
+    try {
+      const drained = await gracefulShutdown(server);
+      log.info('Shutdown complete', { drained });
+      process.exit(0);
+    } catch (err) {
+      log.error('Shutdown failed', { error: err.message, stack: err.stack });
+      process.exit(1);
+    }
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  for (let attempt = 0; !stopping; attempt++) {
+    try {
+      await initialize();
+      if (!stopping) {
+        setPhase('ready');
+      }
+      return;
+    } catch (err) {
+      const delay = Math.min(STARTUP_RETRY_BASE_MS * 2 ** attempt, STARTUP_RETRY_MAX_MS);
+      log.error('Startup failed, retrying', { error: err.message, stack: err.stack, retryInMs: delay });
+      await new Promise(resolve => setTimeout(resolve, delay).unref());
+    }
   }
 }
 
@@ -0,0 +1,27 @@
+const { recordDeprecatedRequest } = require('../utils/metrics');
+
+/**
+ * Tag requests with the API version their base path serves, as
+ * req.apiVersion. Deprecated versions answer with a Deprecation header and
+ * a Link to the same path under the successor, and are counted in
+ * api_deprecated_requests_total so we can tell when their callers are gone.
+ * @param {Object} options
+ * @param {string} options.basePath - Where the version is mounted, e.g. /api/v1
+ * @param {number} options.version
+ * @param {string} [options.successor] - Base path replacing this one; marks the version deprecated
+ * @returns {Function} Express middleware
+ */
+function apiVersion({ basePath, version, successor }) {
+  return (req, res, next) => {
+    req.apiVersion = version;
+    if (successor) {
+      const path = req.baseUrl.slice(basePath.length) + req.path;
+      res.set('Deprecation', 'true');
+      res.append('Link', `<${successor}${path.replace(/\/$/, '')}>; rel="successor-version"`);
+      recordDeprecatedRequest(basePath, req.baseUrl);
+    }
+    next();
+  };
+}
+
+module.exports = { apiVersion };
@@ -0,0 +1,57 @@
+const { verifyToken, authenticateApiKey, hasRole } = require('../utils/auth');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Methods that never change data; open to anonymous clients
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Identify the caller from `Authorization: Bearer <token>` or `X-API-Key`.
+// Anonymous requests pass through with req.user = null; bad credentials
+// are rejected even on open routes so clients notice expired tokens.
+const authenticate = (req, res, next) => {
+  req.user = null;
+  const header = req.get('Authorization');
+  const apiKey = req.get('X-API-Key');
+
+  if (header) {
+    const [scheme, token] = header.split(' ');
+    req.user = scheme === 'Bearer' && token ? verifyToken(token) : null;
+    if (!req.user) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return next(new UnauthorizedError('Invalid or expired token'));
+    }
+  } else if (apiKey) {
+    req.user = authenticateApiKey(apiKey);
+    if (!req.user) {
+      return next(new UnauthorizedError('Invalid API key'));
+    }
+  }
+  next();
+}
+
+// The error refusing `user` something that takes `role`, or null when allowed
+const roleError = (user, role) => {
+  if (!user) {
+    return new UnauthorizedError('Authentication required');
+  }
+  if (!hasRole(user, role)) {
+    return new ForbiddenError(`Requires the ${role} role`);
+  }
+  return null;
+}
+
+// Require a signed-in caller with at least `role`
+const requireRole = (role) => (req, res, next) => {
+  const error = roleError(req.user, role);
+  if (error instanceof UnauthorizedError) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  next(error || undefined);
+}
+
+// Leave reads open and require `role` for everything else
+const requireRoleForWrites = (role) => {
+  const check = requireRole(role);
+  return (req, res, next) => (SAFE_METHODS.includes(req.method) ? next() : check(req, res, next));
+}
+
+module.exports = { authenticate, roleError, requireRole, requireRoleForWrites };
@@ -1,8 +1,64 @@
+const { HttpError, NotFoundError } = require('../utils/errors');
+const { log } = require('../utils/log');
+
+// Codes for errors raised outside our own classes (body-parser, Express)
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  503: 'service_unavailable'
+};
+const BODY_PARSER_CODES = {
+  'entity.parse.failed': 'invalid_json',
+  'entity.too.large': 'payload_too_large',
+  'encoding.unsupported': 'unsupported_media_type'
+};
 
 const notFound = (req, res, next) => {
-  const err = new Error('Route Not Found');
-  err.status = 404;
-  next(err);
+  next(new NotFoundError('Route Not Found'));
+}
+
+// Status, code and client-safe message for any thrown value
+function describeError(err) {
+  if (err instanceof HttpError) {
+    return { status: err.status, code: err.code, message: err.message };
+  }
+
+  // body-parser errors (e.g. malformed JSON) carry statusCode and `expose`
+  const status = err.status || err.statusCode || 500;
+  if (status < 500 && err.expose !== false) {
+    return { status, code: BODY_PARSER_CODES[err.type] || STATUS_CODES[status] || 'bad_request', message: err.message };
+  }
+  // Never echo internal messages in production: they may name files or queries
+  return {
+    status,
+    code: STATUS_CODES[status] || 'internal_error',
+    message: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message
+  };
+}
+
+// Final error middleware: every error becomes
+// { error: { code, message, details?, requestId } }. Stack traces of
+// server errors are included outside production to ease debugging.
+const errorHandler = (err, req, res, next) => {
+  const { status, code, message } = describeError(err);
+  if (status >= 500) {
+    log.error('Unhandled error', { requestId: req.id || null, error: err.message, stack: err.stack });
+  }
+
+  const error = { code, message };
+  if (err.details) {
+    error.details = err.details;
+  }
+  error.requestId = req.id || null;
+  if (status >= 500 && process.env.NODE_ENV !== 'production' && err.stack) {
+    error.stack = err.stack;
+  }
+  res.status(status).json({ error });
 }
 
-module.exports = { notFound };
\ No newline at end of file
+module.exports = { notFound, describeError, errorHandler };
@@ -1,5 +1,60 @@
-// Extra logger middleware stub for candidate to enhance
-module.exports = (req, res, next) => {
-  console.log(req.method, req.originalUrl);
+const { log, redactUrl } = require('../utils/log');
+const { recordRequest } = require('../utils/metrics');
+
+// Requests no route matched share one label so 404 scans cannot blow up
+// the number of metric series
+const UNMATCHED_ROUTE = 'unmatched';
+
+// Log one JSON line per request and feed the request metrics. Relies on
+// the requestId middleware running first.
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  // Express sets req.route when a route matches, while req.baseUrl still
+  // holds the router's mount path; by the time an error reaches the error
+  // handler the mount path has been reset, so remember it here
+  let route = null;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => (route ? route.value : undefined),
+    set: (value) => {
+      route = { value, template: `${req.baseUrl}${value.path === '/' && req.baseUrl ? '' : value.path}` };
+    }
+  });
+
+  // SSE responses never 'finish' when the client goes away, only 'close'
+  let done = false;
+  const onDone = () => {
+    if (done) {
+      return;
+    }
+    done = true;
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const template = route ? route.template : UNMATCHED_ROUTE;
+
+    recordRequest({ method: req.method, route: template, status: res.statusCode, durationMs });
+    const entry = {
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      route: template,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 1000) / 1000,
+      user: req.user ? req.user.username : null
+    };
+    if (!res.writableFinished) {
+      entry.aborted = true;
+    }
+    if (res.statusCode >= 500) {
+      log.error('request', entry);
+    } else {
+      log.info('request', entry);
+    }
+  };
+  res.once('finish', onDone);
+  res.once('close', onDone);
   next();
-};
\ No newline at end of file
+}
+
+module.exports = { requestLogger };
@@ -0,0 +1,189 @@
+const { checkSchema, resolveRef } = require('../utils/schema');
+const { validationError } = require('../utils/validation');
+const { log } = require('../utils/log');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+// Query values that stand for true and false
+const FLAGS = { true: true, 1: true, false: false, 0: false };
+
+// Every operation in the document with a regex for its path. Templated
+// paths sort after static ones so /api/items/trash is not read as an id.
+function compileOperations(document) {
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(document.paths)) {
+    const names = [];
+    const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    for (const method of METHODS.filter(m => pathItem[m])) {
+      operations.push({
+        method,
+        template,
+        names,
+        regex: new RegExp(`^${pattern}/?$`),
+        operation: pathItem[method],
+        document
+      });
+    }
+  }
+  return operations.sort((a, b) => a.names.length - b.names.length);
+}
+
+// A path segment as text, or undefined when its percent-encoding is malformed
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// The documented operation a request is for, with its path params. Paths
+// that do not decode match nothing, leaving Express to answer them with 400.
+function findOperation(operations, method, path) {
+  const wanted = method === 'head' ? 'get' : method;
+  for (const candidate of operations) {
+    const match = candidate.method === wanted && candidate.regex.exec(path);
+    if (match) {
+      const params = Object.fromEntries(candidate.names.map((name, i) => [name, decodeSegment(match[i + 1])]));
+      return Object.values(params).includes(undefined) ? null : { ...candidate, params };
+    }
+  }
+  return null;
+}
+
+// Query and path values arrive as strings; convert them to the parameter's
+// type so the schema can check them. Lists may be repeated or comma-separated.
+function coerce(value, schema) {
+  if (schema.type === 'array') {
+    return (Array.isArray(value) ? value : [value])
+      .flatMap(v => String(v).split(','))
+      .map(v => v.trim())
+      .filter(Boolean)
+      .map(v => coerce(v, schema.items || {}));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (schema.type === 'integer' || schema.type === 'number') {
+    return Number.isNaN(Number(value)) ? value : Number(value);
+  }
+  if (schema.type === 'boolean') {
+    return value in FLAGS ? FLAGS[value] : value;
+  }
+  return value;
+}
+
+// An empty value only means something for free-text params (?q=, ?cursor=)
+function isAbsent(value, schema) {
+  return value === undefined || (value === '' && !(schema.type === 'string' && !schema.enum));
+}
+
+function checkParameters(document, operation, { params, query }) {
+  const problems = [];
+  for (const parameter of operation.parameters || []) {
+    const source = { path: params, query }[parameter.in];
+    if (!source) {
+      continue;
+    }
+    const schema = resolveRef(document, parameter.schema);
+    const value = source[parameter.name];
+    if (isAbsent(value, schema)) {
+      if (parameter.required) {
+        problems.push({ field: parameter.name, code: 'required', message: `${parameter.name} is required` });
+      }
+      continue;
+    }
+    problems.push(...checkSchema(coerce(value, schema), schema, { document, field: parameter.name }));
+  }
+  return problems;
+}
+
+function jsonSchemaOf(document, container) {
+  const resolved = container && resolveRef(document, container);
+  const content = resolved && resolved.content && resolved.content['application/json'];
+  return content ? content.schema : null;
+}
+
+/**
+ * Reject requests whose path params, query params or JSON body do not
+ * match the operation the document describes for them, with the same 400
+ * the routes give. Unknown query params are allowed; headers and non-JSON
+ * bodies are left to the routes. Mount after express.json().
+ * @param {Object} document - OpenAPI document
+ * @returns {Function} Express middleware
+ */
+function createRequestValidator(document) {
+  const operations = compileOperations(document);
+
+  return (req, res, next) => {
+    const found = findOperation(operations, req.method.toLowerCase(), req.baseUrl + req.path);
+    if (!found) {
+      return next();
+    }
+
+    const problems = checkParameters(document, found.operation, { params: found.params, query: req.query });
+    const bodySchema = jsonSchemaOf(document, found.operation.requestBody);
+    if (bodySchema) {
+      problems.push(...checkSchema(req.body, bodySchema, { document, label: 'Request body' }));
+    }
+    next(problems.length > 0 ? validationError(problems) : undefined);
+  };
+}
+
+// Problems with a JSON body sent with `status` for an operation
+function checkResponse(document, operation, status, body) {
+  const documented = operation.responses[status] || operation.responses.default;
+  if (!documented) {
+    return [{ field: null, code: 'undocumented_status', message: `Status ${status} is not documented` }];
+  }
+  const schema = jsonSchemaOf(document, documented);
+  if (!schema) {
+    return [{ field: null, code: 'undocumented_body', message: `Status ${status} is documented without a JSON body` }];
+  }
+  return checkSchema(body, schema, { document, label: 'Response body' });
+}
+
+/**
+ * Check JSON responses against the documents, to catch routes drifting
+ * from them. In 'warn' mode mismatches are logged; in 'strict' mode
+ * (tests) they become 500s so they cannot go unnoticed.
+ * @param {Object[]} documents - OpenAPI documents, one per API version
+ * @param {Object} options
+ * @param {'off'|'warn'|'strict'} options.mode
+ * @returns {Function} Express middleware
+ */
+function createResponseValidator(documents, { mode }) {
+  const operations = documents.flatMap(compileOperations)
+    .sort((a, b) => a.names.length - b.names.length);
+
+  return (req, res, next) => {
+    if (mode === 'off') {
+      return next();
+    }
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      const found = findOperation(operations, req.method.toLowerCase(), req.originalUrl.split('?')[0]);
+      const problems = found ? checkResponse(found.document, found.operation, res.statusCode, body) : [];
+      if (problems.length > 0 && mode === 'strict') {
+        throw new Error(`Response does not match the API spec (${req.method} ${found.template} ${res.statusCode}): ` +
+          problems.map(problem => problem.message).join('; '));
+      }
+      if (problems.length > 0) {
+        log.warn('Response does not match the API spec', {
+          requestId: req.id || null,
+          method: req.method,
+          path: found.template,
+          status: res.statusCode,
+          problems
+        });
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { createRequestValidator, createResponseValidator };
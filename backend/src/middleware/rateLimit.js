@@ -0,0 +1,112 @@
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Methods that never change data draw from the read budget
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// How often idle buckets are dropped from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Token buckets kept in process memory. Any object with the same async
+ * take() can replace it, e.g. a shared store for several instances.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerMs }
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Take one token from the bucket `key`, refilling it for the time passed
+   * @param {string} key
+   * @param {Object} budget
+   * @param {number} budget.capacity - Most tokens the bucket holds
+   * @param {number} budget.refillPerMs - Tokens added per millisecond
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterMs: number }>}
+   */
+  async take(key, { capacity, refillPerMs }, now) {
+    this.sweep(now);
+
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    Object.assign(bucket, { updatedAt: now, capacity, refillPerMs });
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+  }
+
+  // Forget buckets that have refilled completely; they start full anyway
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweep = now;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Signed-in users and API keys have their own budget wherever they connect
+// from; anonymous clients share one per address
+function clientKey(req) {
+  return req.user ? `user:${req.user.username}` : `ip:${req.ip}`;
+}
+
+/**
+ * Throttle each client with separate token buckets for reads and writes.
+ * Sets RateLimit-Limit/-Remaining on every response and answers 429 with
+ * Retry-After once a budget is spent. Mount after authenticate so clients
+ * with credentials are told apart.
+ * @param {Object} options
+ * @param {{ perMinute: number, burst: number }} options.reads
+ * @param {{ perMinute: number, burst: number }} options.writes
+ * @param {MemoryRateLimitStore} [options.store]
+ * @param {Function} [options.now] - Clock, Date.now by default
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ reads, writes, store = new MemoryRateLimitStore(), now = Date.now }) {
+  const budgets = {
+    read: { capacity: reads.burst, refillPerMs: reads.perMinute / 60000 },
+    write: { capacity: writes.burst, refillPerMs: writes.perMinute / 60000 }
+  };
+
+  return async (req, res, next) => {
+    try {
+      const kind = READ_METHODS.includes(req.method) ? 'read' : 'write';
+      const budget = budgets[kind];
+      const { allowed, remaining, retryAfterMs } = await store.take(`${kind}:${clientKey(req)}`, budget, now());
+
+      res.set('RateLimit-Limit', String(budget.capacity));
+      res.set('RateLimit-Remaining', String(remaining));
+      if (!allowed) {
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return next(new TooManyRequestsError(retryAfter));
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Error middleware that charges `limiter` for a request an earlier
+ * middleware refused (e.g. bad credentials, which authenticate rejects
+ * before the limiter runs), so such requests are throttled like any other.
+ * Passes the refusal on, or a 429 once the budget is spent.
+ * @param {Function} limiter - Result of createRateLimiter()
+ * @returns {Function} Express error middleware
+ */
+function chargeRefused(limiter) {
+  return (err, req, res, next) => limiter(req, res, limited => next(limited || err));
+}
+
+module.exports = { MemoryRateLimitStore, createRateLimiter, chargeRefused };
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Accept a caller's id only if it is short and plain enough to log safely
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tag each request with an id (the caller's X-Request-Id, or a fresh one)
+// and echo it back so error reports can be matched to server logs
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = { requestId };
@@ -0,0 +1,23 @@
+const { log } = require('../utils/log');
+
+/**
+ * Startup migration: give items without a usable id a fresh one so that
+ * GET /api/items/:id can reach them, and report every change made.
+ * @param {ItemRepository} repository
+ * @returns {Promise<Object[]>} Changes reported by the store
+ */
+async function assignMissingIds(repository) {
+  const changes = await repository.assignMissingIds();
+
+  if (changes.length === 0) {
+    log.info('ID migration: all items already have unique ids');
+    return changes;
+  }
+
+  log.info('ID migration: assigned new ids', {
+    changes: changes.map(({ index, reason, previousId, id }) => ({ index, reason, previousId, id }))
+  });
+  return changes;
+}
+
+module.exports = assignMissingIds;
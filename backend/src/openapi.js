@@ -0,0 +1,851 @@
+const { version } = require('../package.json');
+const { ITEM_SCHEMA } = require('./utils/validation');
+const { SORT_FIELDS } = require('./utils/itemQuery');
+const { EXPORT_FORMATS, IMPORT_FORMATS } = require('./utils/itemTransfer');
+const { MAX_BUCKETS, MAX_BUCKET_SIZE } = require('./utils/statsAggregator');
+const { AUDIT_ACTIONS } = require('./utils/auditLog');
+const { ROLES } = require('./utils/auth');
+const { config } = require('./config');
+
+/**
+ * OpenAPI 3.0 description of every route the server answers, one document
+ * per API version. Served at <base path>/openapi.json, rendered at
+ * <base path>/docs, and used to validate requests (and, outside
+ * production, responses). The contract tests fail when a route is added,
+ * removed or changes shape without an update here.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const response = name => ({ $ref: `#/components/responses/${name}` });
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+
+// Item payload fields, derived from the schema the routes validate with
+function itemInputProperties() {
+  return Object.fromEntries(Object.entries(ITEM_SCHEMA).map(([field, rule]) => [field, rule.type === 'string'
+    ? { type: 'string', minLength: 1, maxLength: rule.maxLength }
+    : { type: 'number', minimum: rule.min }]));
+}
+
+const idParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Item id',
+  schema: { type: 'integer', minimum: 1 }
+};
+const includeDeletedParam = {
+  name: 'includeDeleted',
+  in: 'query',
+  description: 'Include items in the trash',
+  schema: { type: 'boolean' }
+};
+const ifMatchParam = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'ETag of the version being changed; the write fails with 412 when the item has changed since',
+  schema: { type: 'string' }
+};
+
+// q, category, price range and sort, shared by the list and the export
+const listQueryParams = [
+  { name: 'q', in: 'query', description: 'Full-text search; ranks by relevance unless sorted', schema: { type: 'string' } },
+  {
+    name: 'category',
+    in: 'query',
+    description: 'Categories to keep, repeated or comma-separated; case-insensitive',
+    schema: { type: 'array', items: { type: 'string' } }
+  },
+  { name: 'minPrice', in: 'query', schema: { type: 'number' } },
+  { name: 'maxPrice', in: 'query', schema: { type: 'number' } },
+  {
+    name: 'sort',
+    in: 'query',
+    description: 'Sort field; prefix with - for descending',
+    schema: { type: 'string', enum: SORT_FIELDS.flatMap(field => [field, `-${field}`]) }
+  },
+  includeDeletedParam
+];
+
+// Errors any API route can answer with
+const commonResponses = {
+  401: response('Unauthorized'),
+  429: response('TooManyRequests'),
+  500: response('InternalError'),
+  503: response('ServiceUnavailable')
+};
+
+// Anyone may read the catalog; its history needs credentials with any
+// role and writes the editor role
+const readSecurity = [{}, { bearerAuth: [] }, { apiKey: [] }];
+const signedInSecurity = [{ bearerAuth: [] }, { apiKey: [] }];
+const editorSecurity = signedInSecurity;
+
+function operation(operationId, summary, { tags, security = readSecurity, responses, ...rest }) {
+  return {
+    operationId,
+    summary,
+    tags,
+    security,
+    ...rest,
+    responses: { ...responses, ...commonResponses }
+  };
+}
+
+// Writes to one item: editor only, conditional on If-Match
+function itemWrite(operationId, summary, { responses, parameters = [], ...rest }) {
+  return operation(operationId, summary, {
+    tags: ['Items'],
+    security: editorSecurity,
+    parameters: [idParam, ifMatchParam, ...parameters],
+    responses: {
+      400: response('ValidationFailed'),
+      403: response('Forbidden'),
+      404: response('NotFound'),
+      412: response('PreconditionFailed'),
+      ...responses
+    },
+    ...rest
+  });
+}
+
+// Field errors come back with a 200 next to the data that could be
+// resolved; a query that cannot run at all is a 400
+const graphqlResponses = {
+  200: json(ref('GraphqlResponse'), 'The data, and errors for any fields that failed'),
+  400: json({ anyOf: [ref('Error'), ref('GraphqlResponse')] }, 'Missing query, a query that does not match the schema, or one with too many top-level fields')
+};
+
+const itemResponse = description => ({
+  ...json(ref('Item'), description),
+  headers: { ETag: { $ref: '#/components/headers/ETag' } }
+});
+
+// Paths as v1 serves them under /api; buildDocument() moves them under a
+// version's base path
+const BASE_DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Item Catalog API',
+    version,
+    description: 'Items, their history and catalog statistics. Errors use the Error envelope; ' +
+      'list and stats responses carry ETags so clients can revalidate with If-None-Match.'
+  },
+  tags: [
+    { name: 'Items' },
+    { name: 'Stats' },
+    { name: 'Audit' },
+    { name: 'Auth' },
+    { name: 'GraphQL', description: 'Items, categories and stats in one request; introspect for the schema' },
+    { name: 'Operations', description: 'Probes, metrics, events and this document' }
+  ],
+  paths: {
+    '/healthz': {
+      get: {
+        operationId: 'getLiveness',
+        summary: 'Liveness: the process is up',
+        tags: ['Operations'],
+        security: [{}],
+        responses: { 200: json(ref('Liveness'), 'Serving requests'), 500: response('InternalError') }
+      }
+    },
+    '/readyz': {
+      get: {
+        operationId: 'getReadiness',
+        summary: 'Readiness: the store and caches are available',
+        tags: ['Operations'],
+        security: [{}],
+        responses: {
+          200: json(ref('Readiness'), 'Ready for traffic'),
+          503: json(ref('Readiness'), 'Starting, shutting down or a dependency is unavailable'),
+          500: response('InternalError')
+        }
+      }
+    },
+    '/api/auth/login': {
+      post: operation('login', 'Exchange a username and password for a token', {
+        tags: ['Auth'],
+        security: [{}],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['username', 'password'],
+                properties: {
+                  username: { type: 'string', minLength: 1 },
+                  password: { type: 'string', minLength: 1 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['token', 'expiresAt', 'user'],
+            additionalProperties: false,
+            properties: {
+              token: { type: 'string' },
+              expiresAt: { type: 'string', format: 'date-time' },
+              user: ref('User')
+            }
+          }, 'Signed in'),
+          400: response('ValidationFailed'),
+          413: response('PayloadTooLarge')
+        }
+      })
+    },
+    '/api/auth/me': {
+      get: operation('getCurrentUser', 'Who the request\'s credentials belong to', {
+        tags: ['Auth'],
+        security: editorSecurity,
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['user'],
+            additionalProperties: false,
+            properties: { user: ref('User') }
+          }, 'The signed-in user or API key')
+        }
+      })
+    },
+    '/api/items': {
+      get: operation('listItems', 'List items, a page at a time', {
+        tags: ['Items'],
+        description: 'Pages by number (page, pageSize) or, when cursor is given (empty for the first page), ' +
+          'by cursor. The deprecated limit without page returns a bare array.',
+        parameters: [
+          ...listQueryParams,
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: config.maxPageSize } },
+          { name: 'cursor', in: 'query', description: 'nextCursor of the previous page', schema: { type: 'string' } },
+          {
+            name: 'limit',
+            in: 'query',
+            deprecated: true,
+            schema: { type: 'integer', minimum: 1, maximum: config.maxPageSize }
+          }
+        ],
+        responses: {
+          200: {
+            ...json({ anyOf: [ref('ItemPage'), { type: 'array', items: ref('Item') }] }, 'Matching items'),
+            headers: { ETag: { $ref: '#/components/headers/ETag' } }
+          },
+          304: response('NotModified'),
+          400: response('ValidationFailed')
+        }
+      }),
+      post: operation('createItem', 'Create an item', {
+        tags: ['Items'],
+        security: editorSecurity,
+        requestBody: { required: true, content: { 'application/json': { schema: ref('ItemInput') } } },
+        responses: {
+          201: itemResponse('Created'),
+          400: response('ValidationFailed'),
+          403: response('Forbidden'),
+          413: response('PayloadTooLarge')
+        }
+      })
+    },
+    '/api/items/export': {
+      get: operation('exportItems', 'Download every matching item', {
+        tags: ['Items'],
+        parameters: [
+          ...listQueryParams,
+          { name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'json' } }
+        ],
+        responses: {
+          200: {
+            description: 'The items, streamed as an attachment',
+            content: {
+              'application/json': { schema: { type: 'array', items: ref('Item') } },
+              'text/csv': { schema: { type: 'string' } },
+              'application/x-ndjson': { schema: { type: 'string' } }
+            }
+          },
+          400: response('ValidationFailed')
+        }
+      })
+    },
+    '/api/items/import': {
+      post: operation('importItems', 'Create or replace items from CSV or NDJSON', {
+        tags: ['Items'],
+        security: editorSecurity,
+        description: 'Valid rows are applied together; invalid ones are skipped and reported. ' +
+          'The format comes from ?format= or the Content-Type.',
+        parameters: [
+          { name: 'format', in: 'query', schema: { type: 'string', enum: IMPORT_FORMATS } },
+          { name: 'mode', in: 'query', schema: { type: 'string', enum: ['create', 'upsert'], default: 'create' } },
+          { name: 'dryRun', in: 'query', description: 'Report what would happen without writing', schema: { type: 'boolean' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/x-ndjson': { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          200: json(ref('ImportResult'), 'What was (or would be) written'),
+          400: response('ValidationFailed'),
+          403: response('Forbidden'),
+          413: response('PayloadTooLarge')
+        }
+      })
+    },
+    '/api/items/trash': {
+      get: operation('listTrash', 'Deleted items, most recently deleted first', {
+        tags: ['Items'],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['items', 'retentionDays'],
+            additionalProperties: false,
+            properties: {
+              items: { type: 'array', items: ref('TrashedItem') },
+              retentionDays: { type: 'number' }
+            }
+          }, 'Items in the trash')
+        }
+      })
+    },
+    '/api/items/{id}/history': {
+      get: operation('getItemHistory', 'Audit entries for one item, newest first', {
+        tags: ['Items'],
+        security: signedInSecurity,
+        parameters: [idParam],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['entries'],
+            additionalProperties: false,
+            properties: { entries: { type: 'array', items: ref('AuditEntry') } }
+          }, 'The item\'s history, also after it was deleted'),
+          400: response('ValidationFailed')
+        }
+      })
+    },
+    '/api/items/{id}/revert': {
+      post: itemWrite('revertItem', 'Restore the item as it was after an audit entry', {
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['revision'],
+                properties: { revision: { type: 'integer', minimum: 1, description: 'Audit entry id' } }
+              }
+            }
+          }
+        },
+        responses: { 200: itemResponse('Reverted'), 413: response('PayloadTooLarge') }
+      })
+    },
+    '/api/items/{id}/restore': {
+      post: itemWrite('restoreItem', 'Take an item back out of the trash', {
+        responses: { 200: itemResponse('Restored'), 409: response('Conflict') }
+      })
+    },
+    '/api/items/{id}': {
+      get: operation('getItem', 'Get one item', {
+        tags: ['Items'],
+        parameters: [idParam, includeDeletedParam],
+        responses: {
+          200: itemResponse('The item; send its ETag as If-Match to make a write conditional'),
+          304: response('NotModified'),
+          400: response('ValidationFailed'),
+          404: response('NotFound')
+        }
+      }),
+      put: itemWrite('replaceItem', 'Replace every field of an item', {
+        requestBody: { required: true, content: { 'application/json': { schema: ref('ItemInput') } } },
+        responses: { 200: itemResponse('Replaced'), 413: response('PayloadTooLarge') }
+      }),
+      patch: itemWrite('updateItem', 'Update only the fields given', {
+        requestBody: { required: true, content: { 'application/json': { schema: ref('ItemPatch') } } },
+        responses: { 200: itemResponse('Updated'), 413: response('PayloadTooLarge') }
+      }),
+      delete: itemWrite('deleteItem', 'Move an item to the trash', {
+        responses: { 204: { description: 'Moved to the trash' } }
+      })
+    },
+    '/api/audit': {
+      get: operation('listAuditEntries', 'Catalog changes, newest first', {
+        tags: ['Audit'],
+        security: signedInSecurity,
+        parameters: [
+          { name: 'itemId', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'actor', in: 'query', description: 'Username or apikey:<name>', schema: { type: 'string' } },
+          { name: 'action', in: 'query', schema: { type: 'string', enum: AUDIT_ACTIONS } },
+          { name: 'since', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'until', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'before', in: 'query', description: 'nextBefore of the previous page', schema: { type: 'integer', minimum: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } }
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['entries', 'nextBefore'],
+            additionalProperties: false,
+            properties: {
+              entries: { type: 'array', items: ref('AuditEntry') },
+              nextBefore: { type: 'integer', nullable: true }
+            }
+          }, 'Matching entries'),
+          400: response('ValidationFailed')
+        }
+      })
+    },
+    '/api/stats': {
+      get: operation('getStats', 'Catalog statistics', {
+        tags: ['Stats'],
+        parameters: [
+          { name: 'category', in: 'query', description: 'Scope to these categories', schema: { type: 'array', items: { type: 'string' } } },
+          { name: 'q', in: 'query', description: 'Scope to items matching this search', schema: { type: 'string' } },
+          { name: 'buckets', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_BUCKETS } },
+          { name: 'bucketSize', in: 'query', description: 'Bucket width; overrides buckets', schema: { type: 'integer', minimum: 1, maximum: MAX_BUCKET_SIZE } }
+        ],
+        responses: {
+          200: {
+            ...json(ref('Stats'), 'Totals, price summaries and a price histogram'),
+            headers: { ETag: { $ref: '#/components/headers/ETag' } }
+          },
+          304: response('NotModified'),
+          400: response('ValidationFailed')
+        }
+      })
+    },
+    '/api/events': {
+      get: operation('streamEvents', 'Server-Sent Events stream of catalog changes', {
+        tags: ['Operations'],
+        description: 'Events: item.created, item.updated, item.deleted, stats.changed, store.changed (reload ' +
+          'everything, e.g. after an import), and reset when ' +
+          'the missed events are no longer available. Resume with Last-Event-ID.',
+        parameters: [
+          { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+          { name: 'lastEventId', in: 'query', description: 'For clients that cannot set headers', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'An open event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+        }
+      })
+    },
+    '/api/metrics': {
+      get: operation('getMetrics', 'Request and stats metrics in the Prometheus text format', {
+        tags: ['Operations'],
+        responses: {
+          200: { description: 'Current metrics', content: { 'text/plain': { schema: { type: 'string' } } } }
+        }
+      })
+    },
+    '/api/graphql': {
+      get: operation('queryGraphql', 'Run a GraphQL query', {
+        tags: ['GraphQL'],
+        description: 'Queries only; counted against the read rate limit.',
+        parameters: [
+          { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'variables', in: 'query', description: 'JSON-encoded object', schema: { type: 'string' } },
+          { name: 'operationName', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: {
+          ...graphqlResponses,
+          405: response('MethodNotAllowed')
+        }
+      }),
+      post: operation('postGraphql', 'Run a GraphQL query or mutation', {
+        tags: ['GraphQL'],
+        description: 'Mutations take the editor role; without it they fail with an unauthorized or forbidden error.',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('GraphqlRequest') } } },
+        responses: {
+          ...graphqlResponses,
+          413: response('PayloadTooLarge')
+        }
+      })
+    },
+    '/api/openapi.json': {
+      get: operation('getOpenApiDocument', 'This document', {
+        tags: ['Operations'],
+        responses: { 200: json({ type: 'object' }, 'OpenAPI 3.0 document') }
+      })
+    },
+    '/api/docs': {
+      get: operation('getApiDocs', 'This document as a web page', {
+        tags: ['Operations'],
+        responses: { 200: { description: 'HTML reference', content: { 'text/html': { schema: { type: 'string' } } } } }
+      })
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/auth/login' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    headers: {
+      ETag: { description: 'Validator for If-None-Match and If-Match', schema: { type: 'string' } }
+    },
+    schemas: {
+      Item: {
+        type: 'object',
+        required: ['id', 'name', 'category'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string' },
+          category: { type: 'string' },
+          price: { type: 'number', nullable: true },
+          deletedAt: { type: 'string', format: 'date-time', description: 'Set while the item is in the trash' }
+        }
+      },
+      TrashedItem: {
+        type: 'object',
+        required: ['id', 'name', 'category', 'deletedAt', 'purgeAt'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string' },
+          category: { type: 'string' },
+          price: { type: 'number', nullable: true },
+          deletedAt: { type: 'string', format: 'date-time' },
+          purgeAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ItemInput: {
+        type: 'object',
+        required: Object.keys(ITEM_SCHEMA).filter(field => ITEM_SCHEMA[field].required),
+        additionalProperties: false,
+        properties: itemInputProperties()
+      },
+      ItemPatch: {
+        type: 'object',
+        additionalProperties: false,
+        properties: itemInputProperties()
+      },
+      ItemPage: {
+        type: 'object',
+        required: ['items', 'pagination'],
+        additionalProperties: false,
+        properties: {
+          items: { type: 'array', items: ref('Item') },
+          pagination: { anyOf: [ref('PagePagination'), ref('CursorPagination')] }
+        }
+      },
+      PagePagination: {
+        type: 'object',
+        required: ['currentPage', 'pageSize', 'totalItems', 'totalPages', 'hasNextPage', 'hasPreviousPage'],
+        additionalProperties: false,
+        properties: {
+          currentPage: { type: 'integer', minimum: 1 },
+          pageSize: { type: 'integer', minimum: 1 },
+          totalItems: { type: 'integer', minimum: 0 },
+          totalPages: { type: 'integer', minimum: 0 },
+          hasNextPage: { type: 'boolean' },
+          hasPreviousPage: { type: 'boolean' }
+        }
+      },
+      CursorPagination: {
+        type: 'object',
+        required: ['pageSize', 'totalItems', 'nextCursor', 'hasNextPage'],
+        additionalProperties: false,
+        properties: {
+          pageSize: { type: 'integer', minimum: 1 },
+          totalItems: { type: 'integer', minimum: 0 },
+          nextCursor: { type: 'string', nullable: true },
+          hasNextPage: { type: 'boolean' }
+        }
+      },
+      ImportResult: {
+        type: 'object',
+        required: ['dryRun', 'mode', 'summary', 'results', 'errors'],
+        additionalProperties: false,
+        properties: {
+          dryRun: { type: 'boolean' },
+          mode: { type: 'string', enum: ['create', 'upsert'] },
+          summary: {
+            type: 'object',
+            required: ['rows', 'created', 'updated', 'failed'],
+            additionalProperties: false,
+            properties: {
+              rows: { type: 'integer', minimum: 0 },
+              created: { type: 'integer', minimum: 0 },
+              updated: { type: 'integer', minimum: 0 },
+              failed: { type: 'integer', minimum: 0 }
+            }
+          },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['row', 'action', 'id'],
+              additionalProperties: false,
+              properties: {
+                row: { type: 'integer' },
+                action: { type: 'string', enum: ['create', 'update'] },
+                id: { type: 'integer', nullable: true, description: 'Null for items a dry run would create' }
+              }
+            }
+          },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['row', 'line', 'field', 'code', 'message'],
+              properties: {
+                row: { type: 'integer' },
+                line: { type: 'integer' },
+                field: { type: 'string', nullable: true },
+                code: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      AuditEntry: {
+        type: 'object',
+        required: ['id', 'timestamp', 'action', 'itemId', 'actor', 'changes', 'before', 'after'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          timestamp: { type: 'string', format: 'date-time' },
+          action: { type: 'string', enum: AUDIT_ACTIONS },
+          itemId: { type: 'integer' },
+          actor: { allOf: [ref('User')], nullable: true },
+          changes: {
+            type: 'object',
+            description: 'Fields that changed, keyed by name',
+            additionalProperties: { type: 'object', required: ['from', 'to'], properties: {} }
+          },
+          before: { allOf: [ref('Item')], nullable: true },
+          after: { allOf: [ref('Item')], nullable: true },
+          source: { type: 'string', description: 'Set for changes made by an import' },
+          revision: { type: 'integer', description: 'Entry a revert went back to' }
+        }
+      },
+      PriceSummary: {
+        type: 'object',
+        required: ['averagePrice', 'minPrice', 'maxPrice', 'medianPrice'],
+        properties: {
+          averagePrice: { type: 'number' },
+          minPrice: { type: 'number', nullable: true },
+          maxPrice: { type: 'number', nullable: true },
+          medianPrice: { type: 'number', nullable: true }
+        }
+      },
+      Stats: {
+        type: 'object',
+        required: ['total', 'pricedItems', 'averagePrice', 'minPrice', 'maxPrice', 'medianPrice', 'percentiles', 'categories', 'histogram'],
+        additionalProperties: false,
+        properties: {
+          total: { type: 'integer', minimum: 0 },
+          pricedItems: { type: 'integer', minimum: 0 },
+          averagePrice: { type: 'number' },
+          minPrice: { type: 'number', nullable: true },
+          maxPrice: { type: 'number', nullable: true },
+          medianPrice: { type: 'number', nullable: true },
+          percentiles: {
+            type: 'object',
+            description: 'p25, p50, p75, p90, p95 and p99 of the valid prices',
+            additionalProperties: { type: 'number', nullable: true }
+          },
+          categories: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['category', 'count', 'pricedItems', 'averagePrice', 'minPrice', 'maxPrice', 'medianPrice'],
+              additionalProperties: false,
+              properties: {
+                category: { type: 'string' },
+                count: { type: 'integer', minimum: 1 },
+                pricedItems: { type: 'integer', minimum: 0 },
+                averagePrice: { type: 'number' },
+                minPrice: { type: 'number', nullable: true },
+                maxPrice: { type: 'number', nullable: true },
+                medianPrice: { type: 'number', nullable: true }
+              }
+            }
+          },
+          histogram: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['min', 'max', 'count'],
+              additionalProperties: false,
+              properties: {
+                min: { type: 'number' },
+                max: { type: 'number' },
+                count: { type: 'integer', minimum: 0 }
+              }
+            }
+          }
+        }
+      },
+      GraphqlRequest: {
+        type: 'object',
+        required: ['query'],
+        properties: {
+          query: { type: 'string', minLength: 1 },
+          variables: { type: 'object', nullable: true },
+          operationName: { type: 'string', nullable: true }
+        }
+      },
+      GraphqlResponse: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          data: { type: 'object', nullable: true },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['message', 'extensions'],
+              additionalProperties: false,
+              properties: {
+                message: { type: 'string' },
+                locations: { type: 'array' },
+                path: { type: 'array' },
+                extensions: {
+                  type: 'object',
+                  required: ['code'],
+                  properties: {
+                    code: { type: 'string', description: 'As in the Error envelope, or invalid_query' },
+                    details: { type: 'array' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      User: {
+        type: 'object',
+        required: ['username', 'role'],
+        additionalProperties: false,
+        properties: {
+          username: { type: 'string', description: 'apikey:<name> for API keys' },
+          role: { type: 'string', enum: ROLES }
+        }
+      },
+      Liveness: {
+        type: 'object',
+        required: ['status'],
+        additionalProperties: false,
+        properties: { status: { type: 'string', enum: ['ok'] } }
+      },
+      Readiness: {
+        type: 'object',
+        required: ['status', 'checks'],
+        additionalProperties: false,
+        properties: {
+          status: { type: 'string', enum: ['ready', 'unavailable'] },
+          checks: { type: 'object', additionalProperties: { type: 'string', description: '"ok" or what is wrong' } }
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['error'],
+        additionalProperties: false,
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message', 'requestId'],
+            additionalProperties: false,
+            properties: {
+              code: { type: 'string' },
+              message: { type: 'string' },
+              details: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['field', 'code', 'message'],
+                  properties: {
+                    field: { type: 'string', nullable: true },
+                    code: { type: 'string' },
+                    message: { type: 'string' }
+                  }
+                }
+              },
+              requestId: { type: 'string', nullable: true },
+              stack: { type: 'string', description: 'Server errors outside production' }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      NotModified: { description: 'The copy named by If-None-Match is current' },
+      ValidationFailed: json(ref('Error'), 'Invalid parameters or body; details name each bad field'),
+      Unauthorized: json(ref('Error'), 'Missing, invalid or expired credentials'),
+      Forbidden: json(ref('Error'), 'The credentials lack the editor role'),
+      NotFound: json(ref('Error'), 'No such item'),
+      Conflict: json(ref('Error'), 'The item is not in a state that allows this'),
+      PreconditionFailed: json(ref('Error'), 'The item changed since the If-Match ETag was read'),
+      MethodNotAllowed: json(ref('Error'), 'Mutations cannot be sent with GET'),
+      PayloadTooLarge: json(ref('Error'), 'The body is over the size limit'),
+      TooManyRequests: {
+        ...json(ref('Error'), 'Rate limit exceeded'),
+        headers: { 'Retry-After': { description: 'Seconds until the next request is allowed', schema: { type: 'integer' } } }
+      },
+      InternalError: json(ref('Error'), 'Unexpected server error'),
+      ServiceUnavailable: json(ref('Error'), 'Starting up, or the stats are not built yet')
+    }
+  }
+};
+
+const API_PATH = /^\/api(?=\/)/;
+
+// v2 always answers the list with the ItemPage envelope; v1 also returns a
+// bare array for the legacy ?limit=
+function listItemsV2(listItems) {
+  return {
+    ...listItems,
+    description: 'Pages by number (page, pageSize) or, when cursor is given (empty for the first page), by cursor.',
+    parameters: listItems.parameters.filter(parameter => parameter.name !== 'limit'),
+    responses: {
+      ...listItems.responses,
+      200: { ...listItems.responses[200], ...json(ref('ItemPage'), 'Matching items') }
+    }
+  };
+}
+
+/**
+ * The document for one API version
+ * @param {Object} options
+ * @param {string} options.basePath - Where the version is mounted, e.g. /api/v2
+ * @param {number} options.version
+ * @param {string} [options.successor] - Base path of the version replacing this one
+ * @returns {Object} OpenAPI document
+ */
+function buildDocument({ basePath, version, successor }) {
+  const paths = {};
+  for (const [path, pathItem] of Object.entries(BASE_DOCUMENT.paths)) {
+    // Probes live outside the API and are the same for every version
+    if (!API_PATH.test(path)) {
+      paths[path] = pathItem;
+      continue;
+    }
+    const versioned = { ...pathItem };
+    if (version >= 2 && path === '/api/items') {
+      versioned.get = listItemsV2(pathItem.get);
+    }
+    if (successor) {
+      for (const method of Object.keys(versioned)) {
+        versioned[method] = { ...versioned[method], deprecated: true };
+      }
+    }
+    paths[path.replace(API_PATH, basePath)] = versioned;
+  }
+
+  const deprecation = successor
+    ? ` Deprecated: responses carry a Deprecation header and a Link to the same path under ${successor}.`
+    : '';
+  return {
+    ...BASE_DOCUMENT,
+    info: {
+      ...BASE_DOCUMENT.info,
+      title: `${BASE_DOCUMENT.info.title} v${version}`,
+      description: BASE_DOCUMENT.info.description + deprecation
+    },
+    paths
+  };
+}
+
+module.exports = { buildDocument };
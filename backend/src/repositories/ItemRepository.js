@@ -0,0 +1,115 @@
+/**
+ * Storage contract shared by every item store.
+ *
+ * Items are plain objects with a numeric `id`. Callers must treat returned
+ * items as read-only: stores may hand out cached objects.
+ */
+class ItemRepository {
+  /**
+   * Prepare the store (open files, create tables, ...)
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * @returns {Promise<Object[]>} Every item, in insertion order
+   */
+  async findAll() {
+    throw new Error('findAll() not implemented');
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<Object|null>} The item, or null when missing
+   */
+  async findById(id) {
+    const items = await this.findAll();
+    return items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Insert a new item and assign it the next id; ids are positive
+   * integers that are never handed out twice by the same store
+   * @param {Object} item - Validated item fields
+   * @returns {Promise<Object>} Stored item
+   */
+  async create(item) {
+    throw new Error('create() not implemented');
+  }
+
+  /**
+   * Replace an item with the result of `updater(current)`
+   * @param {number} id
+   * @param {Function} updater - Receives the current item, returns its replacement
+   * @returns {Promise<Object|null>} Stored item, or null when missing
+   */
+  async update(id, updater) {
+    throw new Error('update() not implemented');
+  }
+
+  /**
+   * @param {number} id
+   * @param {Function} [predicate] - Receives the current item; the item is
+   *   only removed when it returns true, checked atomically with the removal
+   * @returns {Promise<Object|null>} Removed item, or null when missing or kept
+   */
+  async remove(id, predicate) {
+    throw new Error('remove() not implemented');
+  }
+
+  /**
+   * Apply a batch of writes: an entry whose `id` names an existing item
+   * replaces it, any other entry is created with a fresh id. Stores should
+   * apply the whole batch at once; this fallback writes item by item.
+   * @param {{ id?: number, fields: Object }[]} entries - Validated item fields
+   * @returns {Promise<{ item: Object, previous: Object|null }[]>} One result
+   *   per entry, in order; `previous` is null for created items
+   */
+  async upsertMany(entries) {
+    const results = [];
+    for (const { id, fields } of entries) {
+      let previous = null;
+      const updated = id === undefined ? null : await this.update(id, current => {
+        previous = current;
+        return fields;
+      });
+      results.push(updated ? { item: updated, previous } : { item: await this.create(fields), previous: null });
+    }
+    return results;
+  }
+
+  /**
+   * Give every item lacking a valid (or unique) id a fresh one.
+   * Stores that enforce ids themselves have nothing to repair.
+   * @returns {Promise<Object[]>} One `{ index, previousId, id, reason }` per repaired item
+   */
+  async assignMissingIds() {
+    return [];
+  }
+
+  /**
+   * Call `onChange` when the store is modified outside this process.
+   * Stores without external writers may leave this as a no-op.
+   * @param {Function} onChange
+   * @returns {Function} Stops watching
+   */
+  watch(onChange) {
+    return () => {};
+  }
+
+  /**
+   * Check that the store can be read; used by the readiness probe
+   * @returns {Promise<void>} Rejects when the store is unusable
+   */
+  async ping() {
+    await this.findAll();
+  }
+
+  /**
+   * Release any handles held by the store once pending writes are done
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = ItemRepository;
@@ -0,0 +1,280 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ItemRepository = require('./ItemRepository');
+const { log } = require('../utils/log');
+
+function isValidId(id) {
+  return Number.isSafeInteger(id) && id > 0;
+}
+
+function highestId(items) {
+  let highest = 0;
+  for (const item of items) {
+    if (isValidId(item.id) && item.id > highest) {
+      highest = item.id;
+    }
+  }
+  return highest;
+}
+
+/**
+ * Stores the whole catalog as a JSON array in a single file.
+ *
+ * The parsed array is kept in memory and only re-read when the file's
+ * mtime or size changes, so reads cost a stat() instead of a full parse.
+ *
+ * Mutations run one at a time through a promise queue, and every write
+ * goes to a temp file that is renamed over the original, so a crash can
+ * never leave a half-written catalog behind. The previous version is kept
+ * in `<file>.bak` and restored by init() when the file no longer parses.
+ *
+ * Ids are allocated from a high-water mark that starts above the largest
+ * id in the file and only moves up, so deleting the newest item does not
+ * free its id for reuse. Removing items for good saves the mark in
+ * `<file>.meta.json`, which init() reads back: otherwise a restart after a
+ * purge would hand the purged ids, and their audit history, to new items.
+ */
+class JsonFileItemRepository extends ItemRepository {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Path to the JSON file
+   */
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    this.metaPath = `${filePath}.meta.json`;
+    this.tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    this.cache = null;
+    this.cacheKey = null;
+    this.queue = Promise.resolve();
+    this.lastId = 0;
+  }
+
+  /**
+   * Make sure the catalog parses, falling back to the last good snapshot,
+   * and pick up the id high-water mark
+   */
+  async init() {
+    await this.restoreItems();
+    this.lastId = Math.max(this.lastId, await this.readLastId());
+  }
+
+  async restoreItems() {
+    try {
+      await this.readItems();
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) {
+        throw err;
+      }
+
+      log.error('Item store is corrupt, restoring the backup', { file: this.filePath, backup: this.backupPath, error: err.message });
+      let backup;
+      try {
+        backup = JSON.parse(await fs.readFile(this.backupPath, 'utf-8'));
+      } catch (backupErr) {
+        throw new Error(`Cannot recover ${this.filePath}: no readable backup (${backupErr.message})`);
+      }
+      await this.replaceFile(backup);
+      log.info('Item store restored from the backup', { items: backup.length, backup: this.backupPath });
+    }
+  }
+
+  // Run mutations one after another so read-modify-write cycles never interleave
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Only called from serialized mutations, so two creates can never share an id
+  allocateId(items) {
+    this.lastId = Math.max(this.lastId, highestId(items)) + 1;
+    return this.lastId;
+  }
+
+  // The saved high-water mark; 0 when none was saved yet
+  async readLastId() {
+    let meta;
+    try {
+      meta = JSON.parse(await fs.readFile(this.metaPath, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn('Ignoring an unreadable item store metadata file', { file: this.metaPath, error: err.message });
+      }
+      return 0;
+    }
+    return meta && isValidId(meta.lastId) ? meta.lastId : 0;
+  }
+
+  // Save the high-water mark before ids can disappear from the file
+  async saveLastId(items) {
+    this.lastId = Math.max(this.lastId, highestId(items));
+    await fs.writeFile(this.tempPath, JSON.stringify({ lastId: this.lastId }), 'utf-8');
+    await fs.rename(this.tempPath, this.metaPath);
+  }
+
+  // Read the file unless the cached copy still matches it on disk
+  async readItems() {
+    const { mtimeMs, size } = await fs.stat(this.filePath);
+    const key = `${mtimeMs}:${size}`;
+    if (this.cache && this.cacheKey === key) {
+      return this.cache;
+    }
+
+    const raw = await fs.readFile(this.filePath, 'utf-8');
+    this.cache = JSON.parse(raw);
+    this.cacheKey = key;
+    return this.cache;
+  }
+
+  // Write to a temp file and rename it into place; only cache the new
+  // array once it is safely on disk
+  async replaceFile(items) {
+    await fs.writeFile(this.tempPath, JSON.stringify(items, null, 2), 'utf-8');
+    await fs.rename(this.tempPath, this.filePath);
+    const { mtimeMs, size } = await fs.stat(this.filePath);
+    this.cache = items;
+    this.cacheKey = `${mtimeMs}:${size}`;
+  }
+
+  // Callers have just parsed the current file, so it is a good snapshot
+  async writeItems(items) {
+    await fs.copyFile(this.filePath, this.backupPath);
+    await this.replaceFile(items);
+  }
+
+  async findAll() {
+    const items = await this.readItems();
+    return items.slice();
+  }
+
+  async create(item) {
+    return this.serialize(async () => {
+      const items = await this.readItems();
+      const created = { ...item, id: this.allocateId(items) };
+      await this.writeItems([...items, created]);
+      return created;
+    });
+  }
+
+  async update(id, updater) {
+    return this.serialize(async () => {
+      const items = await this.readItems();
+      const index = items.findIndex(item => item.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      const updated = { ...updater(items[index]), id };
+      const next = items.slice();
+      next[index] = updated;
+      await this.writeItems(next);
+      return updated;
+    });
+  }
+
+  async remove(id, predicate = () => true) {
+    return this.serialize(async () => {
+      const items = await this.readItems();
+      const removed = items.find(item => item.id === id);
+      if (!removed || !predicate(removed)) {
+        return null;
+      }
+
+      await this.saveLastId(items);
+      await this.writeItems(items.filter(item => item !== removed));
+      return removed;
+    });
+  }
+
+  // One read and one write for the whole batch
+  async upsertMany(entries) {
+    return this.serialize(async () => {
+      const items = await this.readItems();
+      const next = items.slice();
+      const indexById = new Map(items.map((item, index) => [item.id, index]));
+
+      const results = entries.map(({ id, fields }) => {
+        if (id !== undefined && indexById.has(id)) {
+          const index = indexById.get(id);
+          const item = { ...fields, id };
+          const previous = next[index];
+          next[index] = item;
+          return { item, previous };
+        }
+
+        const item = { ...fields, id: this.allocateId(next) };
+        indexById.set(item.id, next.length);
+        next.push(item);
+        return { item, previous: null };
+      });
+
+      if (results.length > 0) {
+        await this.writeItems(next);
+      }
+      return results;
+    });
+  }
+
+  async assignMissingIds() {
+    return this.serialize(async () => {
+      const items = await this.readItems();
+      const seen = new Set();
+      const changes = [];
+      const next = items.map((item, index) => {
+        if (isValidId(item.id) && !seen.has(item.id)) {
+          seen.add(item.id);
+          return item;
+        }
+
+        const id = this.allocateId(items);
+        seen.add(id);
+        changes.push({
+          index,
+          previousId: item.id === undefined ? null : item.id,
+          id,
+          reason: isValidId(item.id) ? 'duplicate' : 'missing'
+        });
+        return { ...item, id };
+      });
+
+      if (changes.length > 0) {
+        await this.writeItems(next);
+      }
+      return changes;
+    });
+  }
+
+  // True when the file on disk is not the version this process last read
+  // or wrote. Waits for queued writes so our own renames are recognised.
+  async changedOnDisk() {
+    await this.queue;
+    try {
+      const { mtimeMs, size } = await fs.stat(this.filePath);
+      return `${mtimeMs}:${size}` !== this.cacheKey;
+    } catch (err) {
+      return true;
+    }
+  }
+
+  // Nothing is held open; just let queued writes reach the disk
+  async close() {
+    await this.queue;
+  }
+
+  watch(onChange) {
+    // Watch the directory: renaming a new file into place replaces the
+    // inode, which would silently end a watch on the file itself
+    const fileName = path.basename(this.filePath);
+    const watcher = require('fs').watch(path.dirname(this.filePath), async (eventType, changed) => {
+      // Our own writes are already reflected in memory; only report others
+      if (changed === fileName && await this.changedOnDisk()) {
+        onChange();
+      }
+    });
+    return () => watcher.close();
+  }
+}
+
+module.exports = JsonFileItemRepository;
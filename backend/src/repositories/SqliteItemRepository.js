@@ -0,0 +1,198 @@
+const fs = require('fs');
+const ItemRepository = require('./ItemRepository');
+const { log } = require('../utils/log');
+
+const COLUMNS = ['id', 'name', 'category', 'price'];
+
+/**
+ * Stores items in an embedded SQLite database.
+ *
+ * The well-known fields get their own columns; anything else an item
+ * carries is kept as JSON in `attributes` so the schema does not need a
+ * migration every time an item grows a field. AUTOINCREMENT keeps ids
+ * monotonic, even after the newest item is deleted.
+ */
+class SqliteItemRepository extends ItemRepository {
+  /**
+   * @param {Object} options
+   * @param {string} options.filename - Database file, or ':memory:'
+   * @param {string} [options.seedPath] - JSON file imported when the table is empty
+   */
+  constructor({ filename, seedPath }) {
+    super();
+    this.filename = filename;
+    this.seedPath = seedPath;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    // Loaded lazily so the JSON store works without the native module
+    const Database = require('better-sqlite3');
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        category TEXT,
+        price REAL,
+        attributes TEXT NOT NULL DEFAULT '{}'
+      )
+    `);
+
+    this.statements = {
+      all: this.db.prepare('SELECT * FROM items ORDER BY rowid'),
+      get: this.db.prepare('SELECT * FROM items WHERE id = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM items'),
+      insert: this.db.prepare(
+        'INSERT INTO items (id, name, category, price, attributes) VALUES (@id, @name, @category, @price, @attributes)'
+      ),
+      update: this.db.prepare(
+        'UPDATE items SET name = @name, category = @category, price = @price, attributes = @attributes WHERE id = @id'
+      ),
+      remove: this.db.prepare('DELETE FROM items WHERE id = ?')
+    };
+
+    if (this.seedPath && this.statements.count.get().count === 0 && fs.existsSync(this.seedPath)) {
+      const items = JSON.parse(fs.readFileSync(this.seedPath, 'utf-8'));
+      this.seed(items);
+      log.info('Seeded SQLite store', { items: items.length, from: this.seedPath });
+    }
+  }
+
+  // Keep the ids of the JSON catalog; items without a usable id are
+  // inserted last so they get fresh ones instead of colliding
+  seed(items) {
+    const seen = new Set();
+    const orphans = [];
+    this.db.transaction(() => {
+      for (const item of items) {
+        if (Number.isSafeInteger(item.id) && item.id > 0 && !seen.has(item.id)) {
+          seen.add(item.id);
+          this.insertItem(item);
+        } else {
+          orphans.push(item);
+        }
+      }
+      orphans.forEach(({ id, ...fields }) => this.insertItem(fields));
+    })();
+  }
+
+  // Guard against queries issued before init() opened the database
+  ensureOpen() {
+    if (!this.db) {
+      throw new Error('SQLite item store used before init()');
+    }
+  }
+
+  toRow(item) {
+    const attributes = {};
+    for (const [key, value] of Object.entries(item)) {
+      if (!COLUMNS.includes(key)) {
+        attributes[key] = value;
+      }
+    }
+    return {
+      id: item.id === undefined ? null : item.id,
+      name: item.name,
+      category: item.category === undefined ? null : item.category,
+      price: item.price === undefined ? null : item.price,
+      attributes: JSON.stringify(attributes)
+    };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      category: row.category,
+      price: row.price,
+      ...JSON.parse(row.attributes)
+    };
+  }
+
+  insertItem(item) {
+    const { lastInsertRowid } = this.statements.insert.run(this.toRow(item));
+    return this.fromRow(this.statements.get.get(lastInsertRowid));
+  }
+
+  async findAll() {
+    this.ensureOpen();
+    return this.statements.all.all().map(row => this.fromRow(row));
+  }
+
+  async findById(id) {
+    this.ensureOpen();
+    const row = this.statements.get.get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  async create(item) {
+    this.ensureOpen();
+    const { id, ...fields } = item;
+    return this.insertItem(fields);
+  }
+
+  async update(id, updater) {
+    this.ensureOpen();
+    return this.db.transaction(() => {
+      const row = this.statements.get.get(id);
+      if (!row) {
+        return null;
+      }
+
+      const updated = { ...updater(this.fromRow(row)), id };
+      this.statements.update.run(this.toRow(updated));
+      return updated;
+    })();
+  }
+
+  async remove(id, predicate = () => true) {
+    this.ensureOpen();
+    return this.db.transaction(() => {
+      const row = this.statements.get.get(id);
+      if (!row) {
+        return null;
+      }
+
+      const current = this.fromRow(row);
+      if (!predicate(current)) {
+        return null;
+      }
+      this.statements.remove.run(id);
+      return current;
+    })();
+  }
+
+  async upsertMany(entries) {
+    this.ensureOpen();
+    return this.db.transaction(() => entries.map(({ id, fields }) => {
+      const row = id === undefined ? undefined : this.statements.get.get(id);
+      if (!row) {
+        return { item: this.insertItem(fields), previous: null };
+      }
+
+      const item = { ...fields, id };
+      this.statements.update.run(this.toRow(item));
+      return { item, previous: this.fromRow(row) };
+    }))();
+  }
+
+  async ping() {
+    this.ensureOpen();
+    this.db.prepare('SELECT 1').get();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteItemRepository;
@@ -0,0 +1,48 @@
+const JsonFileItemRepository = require('./JsonFileItemRepository');
+const SqliteItemRepository = require('./SqliteItemRepository');
+const { config } = require('../config');
+
+let repository = null;
+
+/**
+ * Build the item store selected by the itemStore setting ('json' or 'sqlite')
+ * @param {Object} [options]
+ * @param {string} [options.store] - Overrides the itemStore setting
+ * @returns {ItemRepository}
+ */
+function createItemRepository({ store = config.itemStore } = {}) {
+  switch (store) {
+    case 'json':
+      return new JsonFileItemRepository({ filePath: config.dataPath });
+    case 'sqlite':
+      // First boot imports the existing JSON catalog
+      return new SqliteItemRepository({ filename: config.sqlitePath, seedPath: config.dataPath });
+    default:
+      throw new Error(`Unknown item store "${store}" (expected "json" or "sqlite")`);
+  }
+}
+
+/**
+ * Shared store used by routes and the stats cache
+ * @returns {ItemRepository}
+ */
+function getItemRepository() {
+  if (!repository) {
+    repository = createItemRepository();
+  }
+  return repository;
+}
+
+/**
+ * Swap the shared store, e.g. for tests
+ * @param {ItemRepository} repo
+ */
+function setItemRepository(repo) {
+  repository = repo;
+}
+
+module.exports = {
+  createItemRepository,
+  getItemRepository,
+  setItemRepository
+};
@@ -0,0 +1,69 @@
+const express = require('express');
+const { AUDIT_ACTIONS, getAuditLog } = require('../utils/auditLog');
+const { validationError } = require('../utils/validation');
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Parse ?itemId, actor, action, since, until, before and limit
+function parseAuditQuery(query) {
+  const errors = [];
+  const filters = { limit: DEFAULT_LIMIT };
+
+  const integer = (field, min, max = Number.MAX_SAFE_INTEGER) => {
+    if (query[field] === undefined) {
+      return;
+    }
+    const value = Number(query[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push({ field, code: 'invalid_value', message: `${field} must be an integer between ${min} and ${max}` });
+    } else {
+      filters[field] = value;
+    }
+  };
+  const date = (field) => {
+    if (query[field] === undefined) {
+      return;
+    }
+    const value = new Date(String(query[field]));
+    if (Number.isNaN(value.getTime())) {
+      errors.push({ field, code: 'invalid_type', message: `${field} must be an ISO 8601 date` });
+    } else {
+      filters[field] = value;
+    }
+  };
+
+  integer('itemId', 1);
+  integer('before', 1);
+  integer('limit', 1, MAX_LIMIT);
+  date('since');
+  date('until');
+  if (query.actor !== undefined) {
+    filters.actor = String(query.actor);
+  }
+  if (query.action !== undefined) {
+    if (!AUDIT_ACTIONS.includes(query.action)) {
+      errors.push({ field: 'action', code: 'invalid_value', message: `action must be one of ${AUDIT_ACTIONS.join(', ')}` });
+    } else {
+      filters.action = query.action;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return filters;
+}
+
+// GET /api/audit - catalog mutations, newest first. Pass the returned
+// nextBefore as ?before= for the next page.
+router.get('/', (req, res, next) => {
+  try {
+    res.json(getAuditLog().find(parseAuditQuery(req.query)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { authenticateUser, issueToken } = require('../utils/auth');
+const { validationError } = require('../utils/validation');
+const { requireRole } = require('../middleware/auth');
+const { UnauthorizedError } = require('../utils/errors');
+const router = express.Router();
+
+// POST /api/auth/login - exchange a username and password for a token
+router.post('/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body || {};
+    const errors = Object.entries({ username, password })
+      .filter(([, value]) => typeof value !== 'string' || value === '')
+      .map(([field]) => ({ field, code: 'required', message: `${field} is required` }));
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    const user = await authenticateUser(username, password);
+    if (!user) {
+      throw new UnauthorizedError('Invalid username or password');
+    }
+    res.json({ ...issueToken(user), user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/auth/me - who the request's credentials belong to
+router.get('/me', requireRole('viewer'), (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
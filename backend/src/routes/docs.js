@@ -0,0 +1,112 @@
+const express = require('express');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Short name for a schema: its component name or its type
+function schemaName(schema) {
+  if (!schema) {
+    return '';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.anyOf) {
+    return schema.anyOf.map(schemaName).join(' | ');
+  }
+  if (schema.type === 'array') {
+    return `${schemaName(schema.items)}[]`;
+  }
+  if (schema.enum) {
+    return schema.enum.join(' | ');
+  }
+  return schema.type || 'object';
+}
+
+function renderParameters(parameters = []) {
+  if (parameters.length === 0) {
+    return '';
+  }
+  const rows = parameters.map(parameter => `<tr><td><code>${escapeHtml(parameter.name)}</code></td>` +
+    `<td>${escapeHtml(parameter.in)}${parameter.required ? ', required' : ''}${parameter.deprecated ? ', deprecated' : ''}</td>` +
+    `<td>${escapeHtml(schemaName(parameter.schema))}</td><td>${escapeHtml(parameter.description || '')}</td></tr>`);
+  return `<table><tr><th>Parameter</th><th>In</th><th>Type</th><th></th></tr>${rows.join('')}</table>`;
+}
+
+function renderContent(content = {}) {
+  return Object.entries(content)
+    .map(([type, { schema }]) => `<code>${escapeHtml(type)}</code> ${escapeHtml(schemaName(schema))}`)
+    .join(', ');
+}
+
+function renderOperation(document, method, path, operation) {
+  const body = operation.requestBody
+    ? `<p>Body: ${renderContent(operation.requestBody.content)}</p>`
+    : '';
+  const responses = Object.entries(operation.responses).map(([status, response]) => {
+    const description = response.$ref ? document.components.responses[schemaName(response)].description : response.description;
+    return `<li><strong>${escapeHtml(status)}</strong> ${escapeHtml(description)}</li>`;
+  });
+  return `<section id="${escapeHtml(operation.operationId)}">` +
+    `<h3><span class="method">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code>` +
+    `${operation.deprecated ? ' (deprecated)' : ''}</h3>` +
+    `<p>${escapeHtml(operation.summary)}</p>` +
+    (operation.description ? `<p>${escapeHtml(operation.description)}</p>` : '') +
+    renderParameters(operation.parameters) +
+    body +
+    `<ul>${responses.join('')}</ul></section>`;
+}
+
+// The reference page, grouped by tag
+function renderDocs(document) {
+  const sections = document.tags.map(tag => {
+    const operations = Object.entries(document.paths).flatMap(([path, pathItem]) => METHODS
+      .filter(method => pathItem[method] && pathItem[method].tags.includes(tag.name))
+      .map(method => renderOperation(document, method, path, pathItem[method])));
+    return `<h2>${escapeHtml(tag.name)}</h2>${operations.join('')}`;
+  });
+
+  return '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+    `<title>${escapeHtml(document.info.title)}</title>` +
+    '<style>body{font-family:sans-serif;max-width:60rem;margin:auto;padding:1rem}' +
+    'table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:.25rem .5rem;text-align:left}' +
+    '.method{font-family:monospace;background:#eee;padding:0 .25rem}</style></head><body>' +
+    `<h1>${escapeHtml(document.info.title)} ${escapeHtml(document.info.version)}</h1>` +
+    `<p>${escapeHtml(document.info.description)}</p>` +
+    '<p>Machine-readable: <a href="openapi.json">openapi.json</a></p>' +
+    sections.join('') +
+    '</body></html>';
+}
+
+/**
+ * Routes serving one version's OpenAPI document
+ * @param {Object} document
+ * @returns {express.Router}
+ */
+function createDocsRouter(document) {
+  const router = express.Router();
+  // Built on first use; the document never changes
+  let docsPage = null;
+
+  // GET <base path>/openapi.json - the OpenAPI document
+  router.get('/openapi.json', (req, res) => {
+    res.json(document);
+  });
+
+  // GET <base path>/docs - the document as a web page
+  router.get('/docs', (req, res) => {
+    docsPage = docsPage || renderDocs(document);
+    res.type('html').send(docsPage);
+  });
+
+  return router;
+}
+
+module.exports = { createDocsRouter };
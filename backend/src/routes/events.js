@@ -0,0 +1,50 @@
+const express = require('express');
+const { eventsSince, subscribe, currentEventId } = require('../utils/eventStream');
+const router = express.Router();
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+// Client reconnect delay suggested to EventSource
+const RETRY_MS = 3000;
+
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// GET /api/events - Server-Sent Events stream of catalog changes.
+// Clients resume with the Last-Event-ID header (sent by EventSource on
+// reconnect) or ?lastEventId=; a 'reset' event tells them to reload when
+// the missed events are no longer available or the id is from another run
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const resumeFrom = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  if (resumeFrom !== undefined) {
+    const missed = eventsSince(resumeFrom);
+    if (missed === null) {
+      res.write(formatEvent({ id: currentEventId(), type: 'reset', data: {} }));
+    } else {
+      missed.forEach(event => res.write(formatEvent(event)));
+    }
+  }
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const unsubscribe = subscribe(event => res.write(formatEvent(event)), () => {
+    stop();
+    res.end();
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', stop);
+});
+
+module.exports = router;
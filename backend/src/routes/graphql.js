@@ -0,0 +1,151 @@
+const express = require('express');
+const { parse, validate, execute, getOperationAST, GraphQLError, Kind } = require('graphql');
+const { schema, contextFor } = require('../graphql');
+const { describeError } = require('../middleware/errorHandler');
+const { validationError } = require('../utils/validation');
+const { MethodNotAllowedError } = require('../utils/errors');
+const { log } = require('../utils/log');
+const { config } = require('../config');
+const router = express.Router();
+
+// A GraphQL error as sent to the client. Errors thrown by resolvers get the
+// code (and details) the REST envelope would give them, and internal
+// messages are hidden the same way; errors in the query itself are
+// invalid_query.
+function formatError(error, req) {
+  const original = error.originalError;
+  if (!original || original instanceof GraphQLError) {
+    return { ...error.toJSON(), extensions: { code: 'invalid_query' } };
+  }
+
+  const { status, code, message } = describeError(original);
+  if (status >= 500) {
+    log.error('Unhandled error', { requestId: req.id || null, error: original.message, stack: original.stack });
+  }
+  const extensions = { code };
+  if (original.details) {
+    extensions.details = original.details;
+  }
+  return { ...error.toJSON(), message, extensions };
+}
+
+// Top-level fields an operation runs, through any fragments
+function rootFields(selectionSet, document) {
+  return selectionSet.selections.flatMap(selection => {
+    if (selection.kind === Kind.FIELD) {
+      return [selection];
+    }
+    const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+      ? document.definitions.find(d => d.kind === Kind.FRAGMENT_DEFINITION && d.name.value === selection.name.value)
+      : selection;
+    return rootFields(fragment.selectionSet, document);
+  });
+}
+
+// Each top-level field reads the catalog or writes to it, and the whole
+// request costs one rate-limit token, so an operation may only run a few
+function operationSizeError(operation, document) {
+  const fields = rootFields(operation.selectionSet, document);
+  const max = operation.operation === 'mutation' ? config.graphqlMaxMutations : config.graphqlMaxFields;
+  if (fields.length <= max) {
+    return null;
+  }
+  return new GraphQLError(`Operations may run at most ${max} top-level ${operation.operation} fields; split the request`, {
+    nodes: fields[max]
+  });
+}
+
+const variablesError = () =>
+  validationError([{ field: 'variables', code: 'invalid_value', message: 'variables must be a JSON object' }]);
+
+// `variables` arrives JSON-encoded in a query string
+function parseVariables(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(String(value));
+  } catch (err) {
+    throw variablesError();
+  }
+}
+
+// Run one GraphQL request. Queries that cannot run at all (syntax errors,
+// unknown fields, bad variables, too many top-level fields) answer 400; otherwise the answer is 200
+// with whatever data could be resolved and the errors of the rest.
+async function run(req, res, { query, variables, operationName }) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw validationError([{ field: 'query', code: 'required', message: 'query is required' }]);
+  }
+  if (variables != null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    throw variablesError();
+  }
+  const reject = errors => res.status(400).json({ errors: errors.map(error => formatError(error, req)) });
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    if (err instanceof GraphQLError) {
+      return reject([err]);
+    }
+    throw err;
+  }
+  const errors = validate(schema, document);
+  if (errors.length > 0) {
+    return reject(errors);
+  }
+
+  // GET may be repeated or prefetched, so it only carries queries
+  const operation = getOperationAST(document, operationName || undefined);
+  if (req.method !== 'POST' && operation && operation.operation !== 'query') {
+    res.set('Allow', 'POST');
+    throw new MethodNotAllowedError(`Send ${operation.operation}s with POST`);
+  }
+  const sizeError = operation && operationSizeError(operation, document);
+  if (sizeError) {
+    return reject([sizeError]);
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables || undefined,
+    operationName: operationName || undefined,
+    contextValue: contextFor(req)
+  });
+  if (result.data === undefined) {
+    return reject(result.errors);
+  }
+  const body = { data: result.data };
+  if (result.errors) {
+    body.errors = result.errors.map(error => formatError(error, req));
+  }
+  res.json(body);
+}
+
+// GET /api/graphql?query=&variables=&operationName= - queries only. Reads
+// sent this way count against the read rate limit rather than the write one.
+router.get('/', async (req, res, next) => {
+  try {
+    await run(req, res, {
+      query: req.query.query,
+      variables: parseVariables(req.query.variables),
+      operationName: req.query.operationName
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/graphql - { query, variables?, operationName? }
+router.post('/', async (req, res, next) => {
+  try {
+    const { query, variables, operationName } = req.body || {};
+    await run(req, res, { query, variables, operationName });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { checkReadiness } = require('../utils/health');
+const router = express.Router();
+
+// GET /healthz - liveness: the process is up and serving requests
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// GET /readyz - readiness: 503 while starting, shutting down, or when the
+// stats cache or the item store is unavailable
+router.get('/readyz', async (req, res, next) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,79 +1,309 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
+const { getItemRepository } = require('../repositories');
+const { validationError } = require('../utils/validation');
+const {
+  assertFound,
+  actorOf,
+  updateLiveItem,
+  parsePaging,
+  checkListQuery,
+  selectItems,
+  pageOfItems,
+  createItem,
+  replaceItem,
+  updateItem,
+  deleteItem
+} = require('../utils/itemActions');
+const { catalogEvents } = require('../utils/catalogEvents');
+const {
+  EXPORT_FORMATS,
+  exportChunks,
+  resolveImportFormat,
+  parseImport,
+  validateImportRecord
+} = require('../utils/itemTransfer');
+const { getAuditLog } = require('../utils/auditLog');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { TRASH_RETENTION_DAYS, isDeleted, purgeDate } = require('../utils/trash');
+const { itemETag, catalogValidators, sendIfModified, assertIfMatch } = require('../utils/httpCache');
+const { requireRole } = require('../middleware/auth');
+const { config } = require('../config');
 const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
 
-// Utility to read data (non-blocking async)
-async function readData() {
-  const raw = await fs.readFile(DATA_PATH, 'utf-8');
-  return JSON.parse(raw);
+// Import bodies are raw CSV/NDJSON text
+const IMPORT_BODY_LIMIT = config.importBodyLimitBytes;
+const IMPORT_MODES = ['create', 'upsert'];
+
+// What a write is conditional on, and who makes it
+function writeContext(req) {
+  return { actor: actorOf(req), ifMatch: req.get('If-Match') };
+}
+
+// Parse a positive integer route/body parameter or throw a validation error
+function parseId(value, field) {
+  const id = Number(value);
+  if (!Number.isSafeInteger(id) || id < 1) {
+    throw validationError([{ field, code: 'invalid_type', message: `${field} must be a positive integer` }]);
+  }
+  return id;
 }
 
-// Utility to write data (non-blocking async)
-async function writeData(data) {
-  await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+// The list's q, filter and sort params applied to the catalog. Trashed
+// items are left out unless ?includeDeleted=true.
+function selectQueriedItems(query) {
+  return selectItems(query, { includeDeleted: parseFlag(query, 'includeDeleted') });
+}
+
+// Write chunks to the response, waiting whenever the client falls behind
+async function streamChunks(res, chunks) {
+  for (const chunk of chunks) {
+    if (res.destroyed) {
+      return;
+    }
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  }
+  res.end();
+}
+
+// "true"/"1" or "false"/"0"; anything else is a validation error
+function parseFlag(query, field) {
+  const value = query[field];
+  if (value === undefined || value === 'false' || value === '0') {
+    return false;
+  }
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  throw validationError([{ field, code: 'invalid_value', message: `${field} must be true or false` }]);
 }
 
 // GET /api/items
 router.get('/', async (req, res, next) => {
   try {
-    const data = await readData();
-    const { limit, q, page, pageSize } = req.query;
-    let results = data;
-
-    // Server-side search by query string
-    if (q) {
-      const searchTerm = q.toLowerCase();
-      results = results.filter(item => 
-        item.name.toLowerCase().includes(searchTerm) ||
-        item.category.toLowerCase().includes(searchTerm)
-      );
+    const { limit, page, pageSize } = parsePaging(req.query, req.apiVersion);
+    const { q, cursor } = req.query;
+    const includeDeleted = parseFlag(req.query, 'includeDeleted');
+    checkListQuery(req.query, cursor === undefined ? undefined : String(cursor));
+    if (sendIfModified(req, res, catalogValidators(req))) {
+      return;
+    }
+    const selection = await selectItems(req.query, { includeDeleted });
+
+    // v1 only: ?limit without ?page returns a bare array (backward compatibility)
+    if (cursor === undefined && limit && !page) {
+      return res.json(selection.results.slice(0, limit));
+    }
+
+    // Cursor mode when ?cursor= is given (empty for the first page)
+    res.json(pageOfItems(selection, {
+      page,
+      pageSize,
+      cursor: cursor === undefined ? undefined : String(cursor),
+      q: q ? String(q) : ''
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/export?format=csv|ndjson|json - every item matching the
+// list's q/filter/sort params, streamed as a download
+router.get('/export', async (req, res, next) => {
+  try {
+    const format = req.query.format === undefined ? 'json' : String(req.query.format);
+    if (!EXPORT_FORMATS[format]) {
+      throw validationError([{
+        field: 'format',
+        code: 'invalid_value',
+        message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      }]);
     }
 
-    // Calculate pagination
-    const total = results.length;
-    const itemsPerPage = pageSize ? parseInt(pageSize) : 10;
-    const currentPage = page ? parseInt(page) : 1;
-    const totalPages = Math.ceil(total / itemsPerPage);
-    const offset = (currentPage - 1) * itemsPerPage;
+    const { results } = await selectQueriedItems(req.query);
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="items.${format}"`
+    });
+    await streamChunks(res, exportChunks(results, format));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Apply pagination
-    const paginatedResults = results.slice(offset, offset + itemsPerPage);
+// POST /api/items/import?format=csv|ndjson&mode=create|upsert&dryRun=true
+// Valid rows are applied together; invalid ones are skipped and reported.
+// `upsert` replaces the item named by a row's id (creating it when absent),
+// `create` ignores ids. A dry run reports what would happen without writing.
+router.post('/import', express.text({ type: () => true, limit: IMPORT_BODY_LIMIT }), async (req, res, next) => {
+  try {
+    const format = resolveImportFormat(req.query.format, req.get('Content-Type'));
+    const mode = req.query.mode === undefined ? 'create' : String(req.query.mode);
+    if (!IMPORT_MODES.includes(mode)) {
+      throw validationError([{ field: 'mode', code: 'invalid_value', message: `mode must be one of ${IMPORT_MODES.join(', ')}` }]);
+    }
+    const dryRun = parseFlag(req.query, 'dryRun');
+    const text = typeof req.body === 'string' ? req.body : '';
 
-    // Legacy support for limit parameter (for backward compatibility)
-    if (limit && !page) {
-      return res.json(results.slice(0, parseInt(limit)));
+    const { rows, errors: parseErrors } = parseImport(text, format);
+    const errors = [...parseErrors];
+    const accepted = [];
+    for (const { row, line, record } of rows) {
+      const { id, value, errors: rowErrors } = validateImportRecord(record);
+      if (rowErrors.length > 0) {
+        rowErrors.forEach(error => errors.push({ row, line, ...error }));
+      } else {
+        accepted.push({ row, entry: { id: mode === 'upsert' ? id : undefined, fields: value } });
+      }
     }
+    errors.sort((a, b) => a.row - b.row);
 
-    // Return paginated response with metadata
+    let results;
+    if (dryRun) {
+      const existing = new Set((await getItemRepository().findAll()).map(item => item.id));
+      results = accepted.map(({ row, entry }) => existing.has(entry.id)
+        ? { row, action: 'update', id: entry.id }
+        : { row, action: 'create', id: null });
+    } else {
+      const written = accepted.length > 0
+        ? await getItemRepository().upsertMany(accepted.map(({ entry }) => entry))
+        : [];
+      // One event for the batch, announced before it is audited like any
+      // other write; upserting a trashed item brings it back into the catalog
+      if (written.length > 0) {
+        catalogEvents.emit('items.imported', written.map(({ item, previous }) => ({
+          item,
+          previous: previous && !isDeleted(previous) ? previous : null
+        })));
+      }
+      await getAuditLog().recordMany(written.map(({ item, previous }) => ({
+        action: previous ? 'update' : 'create',
+        actor: actorOf(req),
+        before: previous,
+        after: item,
+        source: 'import'
+      })));
+      results = written.map(({ item, previous }, index) =>
+        ({ row: accepted[index].row, action: previous ? 'update' : 'create', id: item.id }));
+    }
+
+    res.json({
+      dryRun,
+      mode,
+      summary: {
+        rows: rows.length + parseErrors.length,
+        created: results.filter(result => result.action === 'create').length,
+        updated: results.filter(result => result.action === 'update').length,
+        failed: new Set(errors.map(error => error.row)).size
+      },
+      results,
+      errors
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/trash - deleted items, most recently deleted first, with
+// the date each one will be purged
+router.get('/trash', async (req, res, next) => {
+  try {
+    const items = (await getItemRepository().findAll())
+      .filter(isDeleted)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || b.id - a.id);
     res.json({
-      items: paginatedResults,
-      pagination: {
-        currentPage,
-        pageSize: itemsPerPage,
-        totalItems: total,
-        totalPages,
-        hasNextPage: currentPage < totalPages,
-        hasPreviousPage: currentPage > 1
+      items: items.map(item => ({ ...item, purgeAt: purgeDate(item).toISOString() })),
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id/history - audit entries for one item, newest first.
+// Still available after the item is deleted. Names who made each change,
+// so unlike the catalog it is not open to anonymous clients.
+router.get('/:id/history', requireRole('viewer'), (req, res, next) => {
+  try {
+    const { entries } = getAuditLog().find({ itemId: parseId(req.params.id, 'id') });
+    res.json({ entries });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/revert - restore the item as it was after the audit
+// entry { revision }; recorded as a 'revert' entry of its own
+router.post('/:id/revert', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id, 'id');
+    const revision = getAuditLog().findById(parseId(req.body && req.body.revision, 'revision'));
+    if (!revision || revision.itemId !== id) {
+      throw new NotFoundError('Revision not found');
+    }
+    if (!revision.after || isDeleted(revision.after)) {
+      throw validationError([{
+        field: 'revision',
+        code: 'invalid_value',
+        message: 'Cannot revert to a revision that deleted the item'
+      }]);
+    }
+
+    const { item, previous } = await updateLiveItem(id, () => ({ ...revision.after }), req.get('If-Match'));
+    catalogEvents.emit('item.updated', item, previous);
+    await getAuditLog().record({
+      action: 'revert',
+      actor: actorOf(req),
+      before: previous,
+      after: item,
+      revision: revision.id
+    });
+    res.set('ETag', itemETag(item)).json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/restore - take an item back out of the trash
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    let previous;
+    const item = await getItemRepository().update(parseId(req.params.id, 'id'), current => {
+      if (!isDeleted(current)) {
+        throw new ConflictError('Item is not in the trash');
       }
+      assertIfMatch(req.get('If-Match'), current);
+      previous = current;
+      const { deletedAt, ...restored } = current;
+      return restored;
     });
+    assertFound(item);
+    catalogEvents.emit('item.created', item);
+    await getAuditLog().record({ action: 'restore', actor: actorOf(req), before: previous, after: item });
+    res.set('ETag', itemETag(item)).json(item);
   } catch (err) {
     next(err);
   }
 });
 
-// GET /api/items/:id
+// GET /api/items/:id - trashed items only with ?includeDeleted=true. The
+// ETag can be sent back as If-Match to make a write conditional.
 router.get('/:id', async (req, res, next) => {
   try {
-    const data = await readData();
-    const item = data.find(i => i.id === parseInt(req.params.id));
-    if (!item) {
-      const err = new Error('Item not found');
-      err.status = 404;
-      throw err;
+    const item = await getItemRepository().findById(parseId(req.params.id, 'id'));
+    assertFound(item && (!isDeleted(item) || parseFlag(req.query, 'includeDeleted')));
+    if (!sendIfModified(req, res, { etag: itemETag(item) })) {
+      res.json(item);
     }
-    res.json(item);
   } catch (err) {
     next(err);
   }
@@ -82,13 +312,39 @@ router.get('/:id', async (req, res, next) => {
 // POST /api/items
 router.post('/', async (req, res, next) => {
   try {
-    // TODO: Validate payload (intentional omission)
-    const item = req.body;
-    const data = await readData();
-    item.id = Date.now();
-    data.push(item);
-    await writeData(data);
-    res.status(201).json(item);
+    const created = await createItem(req.body, writeContext(req));
+    res.status(201).set('ETag', itemETag(created)).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/items/:id - replace every field of an item
+router.put('/:id', async (req, res, next) => {
+  try {
+    const item = await replaceItem(parseId(req.params.id, 'id'), req.body, writeContext(req));
+    res.set('ETag', itemETag(item)).json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /api/items/:id - update only the fields provided
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const item = await updateItem(parseId(req.params.id, 'id'), req.body, writeContext(req));
+    res.set('ETag', itemETag(item)).json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/items/:id - move an item to the trash; it can be restored
+// until it is purged TRASH_RETENTION_DAYS later
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await deleteItem(parseId(req.params.id, 'id'), writeContext(req));
+    res.status(204).end();
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,11 @@
+const express = require('express');
+const { renderMetrics } = require('../utils/metrics');
+const router = express.Router();
+
+// GET /api/metrics - request counts, latencies and stats recompute timings
+// in the Prometheus text format
+router.get('/', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+module.exports = router;
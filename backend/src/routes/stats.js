@@ -1,20 +1,20 @@
 const express = require('express');
-const { getStats } = require('../utils/stats');
+const { parseStatsQuery, readStats } = require('../utils/stats');
+const { catalogValidators, sendIfModified } = require('../utils/httpCache');
 const router = express.Router();
 
 // GET /api/stats
-// Returns cached stats (recalculated automatically when items.json changes)
-router.get('/', (req, res, next) => {
+// Returns cached stats (kept current as items change). Optional
+// `buckets`/`bucketSize` shape the price histogram; `category`/`q` scope the
+// stats to matching items, which are computed on demand. Answers 304 while
+// the catalog is unchanged since the client's copy.
+router.get('/', async (req, res, next) => {
   try {
-    const stats = getStats();
-    
-    if (!stats) {
-      const err = new Error('Stats not initialized');
-      err.status = 503; // Service Unavailable
-      throw err;
+    const options = parseStatsQuery(req.query);
+    if (sendIfModified(req, res, catalogValidators(req))) {
+      return;
     }
-    
-    res.json(stats);
+    res.json(await readStats(options));
   } catch (err) {
     next(err);
   }
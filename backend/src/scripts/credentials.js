@@ -0,0 +1,104 @@
+/**
+ * Manage the users and API keys in the credentials file.
+ *
+ *   npm run credentials -- add-user <username> <viewer|editor>   (password from AUTH_PASSWORD or stdin)
+ *   npm run credentials -- add-api-key <name> <viewer|editor>    (prints the key once)
+ *   npm run credentials -- remove <username|api key name>
+ *   npm run credentials -- list
+ *
+ * The server reads the file at startup; restart it to apply changes.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  CREDENTIALS_PATH,
+  ROLES,
+  hashPassword,
+  hashApiKey,
+  generateApiKey
+} = require('../utils/auth');
+
+async function readCredentials() {
+  try {
+    return JSON.parse(await fs.readFile(CREDENTIALS_PATH, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { users: [], apiKeys: [] };
+    }
+    throw err;
+  }
+}
+
+async function writeCredentials(credentials) {
+  await fs.mkdir(path.dirname(CREDENTIALS_PATH), { recursive: true });
+  await fs.writeFile(CREDENTIALS_PATH, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+}
+
+async function readPassword() {
+  if (process.env.AUTH_PASSWORD) {
+    return process.env.AUTH_PASSWORD;
+  }
+  process.stdout.write('Password: ');
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+    if (input.includes('\n')) break;
+  }
+  return input.split('\n')[0].trim();
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+}
+
+async function main([command, name, role]) {
+  if (command !== 'list' && !name) {
+    throw new Error('Usage: credentials add-user|add-api-key|remove|list [name] [role]');
+  }
+  const credentials = await readCredentials();
+
+  switch (command) {
+    case 'add-user': {
+      checkRole(role);
+      const password = await readPassword();
+      if (!password) {
+        throw new Error('Password must not be empty');
+      }
+      const user = { username: name, role, passwordHash: await hashPassword(password) };
+      credentials.users = [...credentials.users.filter(existing => existing.username !== name), user];
+      await writeCredentials(credentials);
+      console.log(`Saved ${role} user "${name}"`);
+      break;
+    }
+    case 'add-api-key': {
+      checkRole(role);
+      const key = generateApiKey();
+      credentials.apiKeys = [
+        ...credentials.apiKeys.filter(existing => existing.name !== name),
+        { name, role, keyHash: hashApiKey(key) }
+      ];
+      await writeCredentials(credentials);
+      console.log(`Saved ${role} API key "${name}". Send it as X-API-Key; it is not shown again:\n${key}`);
+      break;
+    }
+    case 'remove':
+      credentials.users = credentials.users.filter(user => user.username !== name);
+      credentials.apiKeys = credentials.apiKeys.filter(key => key.name !== name);
+      await writeCredentials(credentials);
+      console.log(`Removed "${name}"`);
+      break;
+    case 'list':
+      credentials.users.forEach(user => console.log(`user     ${user.username} (${user.role})`));
+      credentials.apiKeys.forEach(key => console.log(`api key  ${key.name} (${key.role})`));
+      break;
+    default:
+      throw new Error('Usage: credentials add-user|add-api-key|remove|list [name] [role]');
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const { config } = require('../config');
+const { log } = require('./log');
+
+const AUDIT_LOG_PATH = config.auditLogPath;
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'revert'];
+
+/**
+ * Field-level differences between two versions of an item
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object<string, { from: *, to: * }>} Changed fields; absent values are null
+ */
+function diffItems(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('id');
+  for (const field of fields) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append-only record of catalog mutations, stored as one JSON entry per
+ * line. Entries are kept in memory for querying; the file is only ever
+ * appended to. Without a `filePath` the log lives in memory (tests).
+ *
+ * Entry: { id, timestamp, action, itemId, actor, changes, before, after, ...extra }
+ */
+class AuditLog {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - NDJSON file
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.entries = [];
+    this.queue = Promise.resolve();
+    // Set when the file ends mid-line, so the next append starts a new one
+    this.tornTail = false;
+  }
+
+  /**
+   * Load existing entries. A torn last line (crash mid-append) is skipped.
+   */
+  async init() {
+    if (!this.filePath) {
+      return;
+    }
+
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+
+    this.entries = [];
+    this.tornTail = raw.length > 0 && !raw.endsWith('\n');
+    raw.split('\n').forEach((line, index) => {
+      if (line.trim() === '') {
+        return;
+      }
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (err) {
+        log.warn('Audit log: skipping an unreadable line', { file: this.filePath, line: index + 1 });
+      }
+    });
+    log.info('Audit log loaded', { entries: this.entries.length });
+  }
+
+  // Run appends one at a time so ids and file order always agree
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append entries for several mutations with a single write
+   * @param {{ action: string, actor: Object|null, before: Object|null, after: Object|null }[]} records
+   * @returns {Promise<Object[]>} Stored entries
+   */
+  async recordMany(records) {
+    return this.serialize(async () => {
+      const lastId = this.entries.length ? this.entries[this.entries.length - 1].id : 0;
+      const timestamp = new Date().toISOString();
+      const entries = records.map(({ action, actor = null, before = null, after = null, ...extra }, index) => ({
+        id: lastId + index + 1,
+        timestamp,
+        action,
+        itemId: (after || before).id,
+        actor,
+        changes: diffItems(before, after),
+        before,
+        after,
+        ...extra
+      }));
+
+      if (this.filePath && entries.length > 0) {
+        const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+        await fs.appendFile(this.filePath, (this.tornTail ? '\n' : '') + lines, 'utf-8');
+        this.tornTail = false;
+      }
+      this.entries.push(...entries);
+      return entries;
+    });
+  }
+
+  /**
+   * @param {Object} record - See recordMany()
+   * @returns {Promise<Object>} Stored entry
+   */
+  async record(record) {
+    const [entry] = await this.recordMany([record]);
+    return entry;
+  }
+
+  /**
+   * Wait for queued appends to reach the file
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.queue;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  findById(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Entries matching every given filter, newest first
+   * @param {Object} [filters]
+   * @param {number} [filters.itemId]
+   * @param {string} [filters.actor] - Username
+   * @param {string} [filters.action]
+   * @param {Date} [filters.since] - Inclusive
+   * @param {Date} [filters.until] - Exclusive
+   * @param {number} [filters.before] - Only entries with a lower id (paging)
+   * @param {number} [filters.limit]
+   * @returns {{ entries: Object[], nextBefore: number|null }} nextBefore continues the listing
+   */
+  find({ itemId, actor, action, since, until, before, limit = Infinity } = {}) {
+    const matches = [];
+    for (let i = this.entries.length - 1; i >= 0 && matches.length <= limit; i--) {
+      const entry = this.entries[i];
+      const time = new Date(entry.timestamp);
+      if (
+        (before === undefined || entry.id < before) &&
+        (itemId === undefined || entry.itemId === itemId) &&
+        (actor === undefined || (entry.actor && entry.actor.username === actor)) &&
+        (action === undefined || entry.action === action) &&
+        (since === undefined || time >= since) &&
+        (until === undefined || time < until)
+      ) {
+        matches.push(entry);
+      }
+    }
+
+    // One extra match tells whether another page exists
+    const entries = matches.slice(0, limit);
+    return {
+      entries,
+      nextBefore: matches.length > limit ? entries[entries.length - 1].id : null
+    };
+  }
+}
+
+let auditLog = null;
+
+/**
+ * @returns {AuditLog} Shared log, created at AUDIT_LOG_PATH on first use
+ */
+function getAuditLog() {
+  if (!auditLog) {
+    auditLog = new AuditLog({ filePath: AUDIT_LOG_PATH });
+  }
+  return auditLog;
+}
+
+/**
+ * Replace the shared log (tests)
+ * @param {AuditLog} log
+ */
+function setAuditLog(log) {
+  auditLog = log;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffItems,
+  AuditLog,
+  getAuditLog,
+  setAuditLog
+};
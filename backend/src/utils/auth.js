@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+const { config } = require('../config');
+const { log } = require('./log');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Users and API keys; see src/scripts/credentials.js
+const CREDENTIALS_PATH = config.credentialsPath;
+const TOKEN_TTL_SECONDS = config.authTokenTtlSeconds;
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'editor'];
+
+const KEY_LENGTH = 64;
+
+// Without AUTH_SECRET tokens are signed with a per-process key, so they
+// stop working when the server restarts
+let secret = config.authSecret;
+let credentials = { users: [], apiKeys: [] };
+
+function getSecret() {
+  if (!secret) {
+    log.warn('AUTH_SECRET is not set; issued tokens will not survive a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  return secret;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>", hex encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// API keys are random, so a fast hash is enough to avoid storing them
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * @returns {string} A new random API key
+ */
+function generateApiKey() {
+  return `ak_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a signed token for a user
+ * @param {{ username: string, role: string }} user
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function issueToken({ username, role }) {
+  const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ sub: username, role, exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token
+ * @returns {{ username: string, role: string }|null} Its user, or null when invalid or expired
+ */
+function verifyToken(token) {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { sub, role, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (typeof exp !== 'number' || exp * 1000 <= Date.now() || !ROLES.includes(role)) {
+      return null;
+    }
+    return { username: sub, role };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Load users and API keys. A missing file means no credentials: reads stay
+ * open and nobody can write until some are added.
+ * @param {string} [filePath]
+ */
+async function loadCredentials(filePath = CREDENTIALS_PATH) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    credentials = {
+      users: Array.isArray(parsed.users) ? parsed.users : [],
+      apiKeys: Array.isArray(parsed.apiKeys) ? parsed.apiKeys : []
+    };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    credentials = { users: [], apiKeys: [] };
+    log.warn('No credentials file; every write will be rejected', { file: filePath });
+  }
+  log.info('Credentials loaded', { users: credentials.users.length, apiKeys: credentials.apiKeys.length });
+}
+
+/**
+ * Replace the loaded credentials (tests)
+ * @param {{ users?: Object[], apiKeys?: Object[] }} next
+ */
+function setCredentials({ users = [], apiKeys = [] }) {
+  credentials = { users, apiKeys };
+}
+
+/**
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{ username: string, role: string }|null>} The user, or null for bad credentials
+ */
+async function authenticateUser(username, password) {
+  const user = credentials.users.find(candidate => candidate.username === username);
+  // Hash anyway so unknown usernames take as long as wrong passwords
+  const valid = await verifyPassword(password, user ? user.passwordHash : 'scrypt$00$00');
+  return user && valid && ROLES.includes(user.role) ? { username: user.username, role: user.role } : null;
+}
+
+/**
+ * @param {string} key
+ * @returns {{ username: string, role: string }|null} Identity of the key, or null when unknown
+ */
+function authenticateApiKey(key) {
+  const keyHash = Buffer.from(hashApiKey(String(key)));
+  const match = credentials.apiKeys.find(candidate => {
+    const stored = Buffer.from(String(candidate.keyHash));
+    return stored.length === keyHash.length && crypto.timingSafeEqual(stored, keyHash);
+  });
+  return match && ROLES.includes(match.role) ? { username: `apikey:${match.name}`, role: match.role } : null;
+}
+
+module.exports = {
+  CREDENTIALS_PATH,
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  hashApiKey,
+  generateApiKey,
+  issueToken,
+  verifyToken,
+  loadCredentials,
+  setCredentials,
+  authenticateUser,
+  authenticateApiKey
+};
@@ -0,0 +1,57 @@
+const EventEmitter = require('events');
+const { config } = require('../config');
+const { log } = require('./log');
+
+/**
+ * Process-wide bus for catalog changes.
+ *
+ * Events:
+ * - 'item.created' (item)
+ * - 'item.updated' (item, previous)
+ * - 'item.deleted' (item)
+ * - 'items.imported' (changes) - many items written at once, as
+ *   `{ item, previous }` pairs; `previous` is null for items that were not
+ *   in the catalog (new, or back from the trash)
+ * - 'store.changed' () - the store was modified outside this process;
+ *   listeners should reload everything they derived from it
+ * - 'stats.changed' (stats) - the stats cache changed; carries the default
+ *   GET /api/stats body
+ */
+const catalogEvents = new EventEmitter();
+
+let debounceTimer = null;
+let stopWatching = null;
+
+/**
+ * Watch the store and emit 'store.changed' for external edits
+ * @param {ItemRepository} repository
+ */
+function watchStore(repository) {
+  if (stopWatching) {
+    return;
+  }
+
+  stopWatching = repository.watch(() => {
+    // Debounce to avoid multiple rapid reloads
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => catalogEvents.emit('store.changed'), config.storeWatchDebounceMs);
+  });
+  log.info('Store watcher initialized');
+}
+
+/**
+ * Stop the store watcher started by watchStore()
+ */
+function unwatchStore() {
+  clearTimeout(debounceTimer);
+  if (stopWatching) {
+    stopWatching();
+    stopWatching = null;
+  }
+}
+
+module.exports = {
+  catalogEvents,
+  watchStore,
+  unwatchStore
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { catalogEvents } = require('./catalogEvents');
+
+// Versions restart with the process; the boot id keeps a validator issued
+// by a previous run from matching this one's
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+// Anything that can change an item list or the stats
+const CHANGE_EVENTS = ['item.created', 'item.updated', 'item.deleted', 'items.imported', 'store.changed', 'stats.changed'];
+
+let version = 0;
+let lastModified = new Date();
+
+/**
+ * Record a change to the catalog. Called for every catalog event once
+ * initCatalogVersion() has run, and directly for changes that have none.
+ */
+function touchCatalog() {
+  version += 1;
+  lastModified = new Date();
+}
+
+/**
+ * @returns {{ version: string, lastModified: Date }} Changes whenever the
+ *   catalog does
+ */
+function getCatalogVersion() {
+  return { version: `${BOOT_ID}.${version}`, lastModified };
+}
+
+/**
+ * Start counting catalog changes
+ */
+function initCatalogVersion() {
+  stopCatalogVersion();
+  CHANGE_EVENTS.forEach(event => catalogEvents.on(event, touchCatalog));
+}
+
+/**
+ * Stop counting catalog changes
+ */
+function stopCatalogVersion() {
+  CHANGE_EVENTS.forEach(event => catalogEvents.off(event, touchCatalog));
+}
+
+module.exports = {
+  touchCatalog,
+  getCatalogVersion,
+  initCatalogVersion,
+  stopCatalogVersion
+};
@@ -0,0 +1,99 @@
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - null and undefined become empty fields
+ * @returns {string}
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keep spreadsheets from evaluating a text cell as a formula: text starting
+ * with =, +, -, @, a tab or a carriage return gets a leading apostrophe
+ * @param {*} value - Anything that is not a string is returned as is
+ * @returns {*}
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * @param {Array} values
+ * @returns {string} One CSV record terminated by CRLF
+ */
+function formatCsvRow(values) {
+  return values.map(formatCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Parse RFC 4180 CSV: quoted fields may contain commas, doubled quotes and
+ * line breaks; records end with LF or CRLF; a leading BOM is ignored
+ * @param {string} text
+ * @returns {{ line: number, fields: string[] }[]} Records with the line each starts on; blank lines are skipped
+ * @throws {Error} With `line` when a quoted field is never closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    // A blank line is a single empty field
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    const err = new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    err.line = recordLine;
+    throw err;
+  }
+  endRecord();
+  return records;
+}
+
+module.exports = {
+  escapeFormula,
+  formatCsvField,
+  formatCsvRow,
+  parseCsv
+};
@@ -0,0 +1,127 @@
+const { compareValues } = require('./itemQuery');
+const { validationError } = require('./validation');
+
+/**
+ * Name of the order a list is returned in, as recorded in its cursors
+ * @param {Object|null} sort - `{ field, direction }` from parseListQuery
+ * @param {boolean} searching - Whether the list is a ranked search
+ * @returns {string}
+ */
+function orderKey(sort, searching) {
+  if (sort) {
+    return `${sort.direction < 0 ? '-' : ''}${sort.field}`;
+  }
+  return searching ? 'relevance' : 'id';
+}
+
+/**
+ * Describe the total order a list request is returned in, so cursor pages
+ * can resume from a position instead of an offset.
+ * @param {Object|null} sort - `{ field, direction }` from parseListQuery
+ * @param {Map<number, number>|null} scores - Relevance by id when searching
+ * @returns {{ key: string, compare: Function, position: Function }}
+ */
+function listOrder(sort, scores) {
+  const key = orderKey(sort, Boolean(scores));
+  let valueOf = () => null;
+  let direction = 1;
+
+  if (sort) {
+    valueOf = item => item[sort.field];
+    direction = sort.direction;
+  } else if (scores) {
+    valueOf = item => scores.get(item.id);
+    direction = -1;
+  }
+
+  // Positions are `{ value, id }`; ties on value always fall back to id
+  const compare = (a, b) => direction * compareValues(a.value, b.value) || a.id - b.id;
+  const position = item => ({ value: valueOf(item) === undefined ? null : valueOf(item), id: item.id });
+
+  return { key, compare, position };
+}
+
+/**
+ * @param {Object} payload - `{ order, value, id, q }`
+ * @returns {string} Opaque base64url cursor
+ */
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {Object} Decoded payload
+ * @throws {Error} 400 validation error for anything we did not issue
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (payload && typeof payload.order === 'string' && Number.isFinite(payload.id)) {
+      return payload;
+    }
+  } catch (err) {
+    // fall through to the validation error below
+  }
+  throw validationError([{ field: 'cursor', code: 'invalid_cursor', message: 'cursor is malformed' }]);
+}
+
+/**
+ * Decode a cursor and check it was issued for the same order and search
+ * @param {string} cursor
+ * @param {Object} options
+ * @param {string} options.key - Result of orderKey()
+ * @param {string} [options.q]
+ * @returns {{ value: *, id: number }} Position of the last item seen
+ * @throws {Error} 400 validation error for malformed or mismatched cursors
+ */
+function cursorPosition(cursor, { key, q = '' }) {
+  const after = decodeCursor(cursor);
+  if (after.order !== key || (after.q || '') !== q) {
+    throw validationError([{
+      field: 'cursor',
+      code: 'cursor_mismatch',
+      message: 'cursor was issued for a different sort order or search query'
+    }]);
+  }
+  return after;
+}
+
+/**
+ * Return the page of `items` that follows `cursor` in the given order.
+ * Because the cursor records the last item's sort value and id rather than
+ * an offset, inserts and deletes between requests never shift the next page.
+ * @param {Object[]} items - Filtered items (any order)
+ * @param {Object} options
+ * @param {Object} options.order - Result of listOrder()
+ * @param {string} options.cursor - '' for the first page
+ * @param {number} options.pageSize
+ * @param {string} [options.q] - Search query, which must not change between pages
+ * @returns {{ items: Object[], nextCursor: string|null }}
+ */
+function paginateByCursor(items, { order, cursor, pageSize, q = '' }) {
+  const compareItems = (a, b) => order.compare(order.position(a), order.position(b));
+  let remaining = items.slice().sort(compareItems);
+
+  if (cursor) {
+    const after = cursorPosition(cursor, { key: order.key, q });
+    remaining = remaining.filter(item => order.compare(order.position(item), after) > 0);
+  }
+
+  const page = remaining.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const nextCursor = remaining.length > pageSize
+    ? encodeCursor({ order: order.key, q: q || undefined, ...order.position(last) })
+    : null;
+
+  return { items: page, nextCursor };
+}
+
+module.exports = {
+  orderKey,
+  listOrder,
+  encodeCursor,
+  decodeCursor,
+  cursorPosition,
+  paginateByCursor
+};
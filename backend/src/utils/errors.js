@@ -0,0 +1,97 @@
+/**
+ * Errors the API reports to clients. Each carries the HTTP `status`, a
+ * stable machine-readable `code` and optional `details`; the error
+ * middleware turns them into the `{ error: { code, message, details,
+ * requestId } }` envelope. Anything else thrown is an internal error.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Stable identifier clients can switch on
+   * @param {string} message - Human-readable summary
+   * @param {Object[]} [details] - Per-field problems ({ field, code, message })
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+// 400: the request itself is malformed; `details` names each bad field
+class ValidationError extends HttpError {
+  constructor(details = [], message = 'Validation failed') {
+    super(400, 'validation_failed', message, details);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required') {
+    super(401, 'unauthorized', message);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden') {
+    super(403, 'forbidden', message);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found') {
+    super(404, 'not_found', message);
+  }
+}
+
+// 405: the resource exists but not for this method; set Allow when sending
+class MethodNotAllowedError extends HttpError {
+  constructor(message = 'Method not allowed') {
+    super(405, 'method_not_allowed', message);
+  }
+}
+
+// 409: the request is valid but clashes with the resource's current state
+class ConflictError extends HttpError {
+  constructor(message = 'Conflict') {
+    super(409, 'conflict', message);
+  }
+}
+
+// 412: the client's copy of the resource is out of date (If-Match)
+class PreconditionFailedError extends HttpError {
+  constructor(message = 'Precondition failed') {
+    super(412, 'precondition_failed', message);
+  }
+}
+
+// 429: the client used up its request budget; retry after `retryAfter` seconds
+class TooManyRequestsError extends HttpError {
+  constructor(retryAfter) {
+    super(429, 'rate_limited', `Too many requests; retry after ${retryAfter} second${retryAfter === 1 ? '' : 's'}`);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 503: a dependency (cache, store) is not ready yet; retrying may succeed
+class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service unavailable') {
+    super(503, 'service_unavailable', message);
+  }
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  PreconditionFailedError,
+  TooManyRequestsError,
+  ServiceUnavailableError
+};
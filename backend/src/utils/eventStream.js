@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { catalogEvents } = require('./catalogEvents');
+
+// Recent events kept so reconnecting clients can catch up
+const HISTORY_SIZE = 500;
+// Sequence numbers restart with the process; the boot id keeps an event id
+// issued by a previous run from resuming in the middle of this one's
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+let lastSequence = 0;
+let history = [];
+const subscribers = new Map(); // send -> close
+
+/**
+ * Record an event and push it to every connected client
+ * @param {string} type - Event name, e.g. 'item.created'
+ * @param {Object} data - JSON-serializable payload
+ * @returns {{ id: string, type: string, data: Object }}
+ */
+function publish(type, data) {
+  const event = { id: formatEventId(++lastSequence), type, data };
+  history.push(event);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+  subscribers.forEach((close, send) => send(event));
+  return event;
+}
+
+function formatEventId(sequence) {
+  return `${BOOT_ID}.${sequence}`;
+}
+
+/**
+ * Events published after `id`
+ * @param {string} id - Last event id the client received
+ * @returns {Object[]|null} Null when the client cannot catch up from
+ *   history (events dropped out of it, or ids from another run) and has
+ *   to reload instead
+ */
+function eventsSince(id) {
+  const match = /^([0-9a-f]+)\.(\d+)$/.exec(String(id));
+  if (!match || match[1] !== BOOT_ID) {
+    return null;
+  }
+  const sequence = Number(match[2]);
+  if (!Number.isSafeInteger(sequence) || sequence > lastSequence) {
+    return null;
+  }
+  // History holds the latest events without gaps
+  const missed = lastSequence - sequence;
+  if (missed > history.length) {
+    return null;
+  }
+  return history.slice(history.length - missed);
+}
+
+/**
+ * @param {Function} send - Called with each published event
+ * @param {Function} [close] - Ends the client's connection, see closeStreams()
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(send, close = () => {}) {
+  subscribers.set(send, close);
+  return () => subscribers.delete(send);
+}
+
+/**
+ * End every client connection (shutdown); EventSource clients reconnect
+ * on their own and resume from their last event id
+ */
+function closeStreams() {
+  [...subscribers.values()].forEach(close => close());
+}
+
+/**
+ * @returns {string} Id of the latest event, or of the start of this run
+ *   when there has been none
+ */
+function currentEventId() {
+  return formatEventId(lastSequence);
+}
+
+const listeners = {
+  'item.created': item => publish('item.created', { item }),
+  'item.updated': item => publish('item.updated', { item }),
+  'item.deleted': item => publish('item.deleted', { id: item.id }),
+  // One reload for the whole batch rather than an event per row
+  'items.imported': () => publish('store.changed', {}),
+  'store.changed': () => publish('store.changed', {}),
+  'stats.changed': stats => publish('stats.changed', { stats })
+};
+
+/**
+ * Start relaying catalog events to stream clients
+ */
+function initEventStream() {
+  stopEventStream();
+  for (const [event, listener] of Object.entries(listeners)) {
+    catalogEvents.on(event, listener);
+  }
+}
+
+/**
+ * Stop relaying catalog events and forget the event history
+ */
+function stopEventStream() {
+  for (const [event, listener] of Object.entries(listeners)) {
+    catalogEvents.off(event, listener);
+  }
+  history = [];
+}
+
+module.exports = {
+  HISTORY_SIZE,
+  publish,
+  eventsSince,
+  subscribe,
+  closeStreams,
+  currentEventId,
+  initEventStream,
+  stopEventStream
+};
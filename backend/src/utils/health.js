@@ -0,0 +1,42 @@
+const { getItemRepository } = require('../repositories');
+const { getStats } = require('./stats');
+
+// 'starting' until startup finishes, 'stopping' once shutdown begins
+let phase = 'starting';
+
+/**
+ * @param {'starting'|'ready'|'stopping'} next
+ */
+function setPhase(next) {
+  phase = next;
+}
+
+function getPhase() {
+  return phase;
+}
+
+/**
+ * Whether this instance should receive traffic: startup has finished, it
+ * is not shutting down, the stats cache is built and the store is readable
+ * @returns {Promise<{ ready: boolean, checks: Object<string, string> }>}
+ *   One 'ok' or problem description per check
+ */
+async function checkReadiness() {
+  const checks = {
+    phase: phase === 'ready' ? 'ok' : phase,
+    stats: getStats() ? 'ok' : 'not initialized'
+  };
+  try {
+    await getItemRepository().ping();
+    checks.store = 'ok';
+  } catch (err) {
+    checks.store = err.message;
+  }
+  return { ready: Object.values(checks).every(check => check === 'ok'), checks };
+}
+
+module.exports = {
+  setPhase,
+  getPhase,
+  checkReadiness
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { getCatalogVersion } = require('./catalogVersion');
+const { PreconditionFailedError } = require('./errors');
+
+const hash = value => crypto.createHash('sha1').update(value).digest('base64url');
+
+/**
+ * Strong validator for one item, changing with any of its fields. Keys are
+ * sorted because stores do not all return them in the order written.
+ * @param {Object} item - A flat item record
+ * @returns {string} Quoted entity tag
+ */
+function itemETag(item) {
+  return `"${hash(JSON.stringify(item, Object.keys(item).sort()))}"`;
+}
+
+/**
+ * Validators for a response computed from the whole catalog: the same URL
+ * gives the same body until the catalog version changes
+ * @param {express.Request} req
+ * @returns {{ etag: string, lastModified: Date }}
+ */
+function catalogValidators(req) {
+  const { version, lastModified } = getCatalogVersion();
+  return { etag: `"${version}-${hash(req.originalUrl)}"`, lastModified };
+}
+
+/**
+ * Set the response's validators and answer 304 when the client's copy is
+ * still current. Call before building the body, so a 304 skips that work.
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {{ etag: string, lastModified?: Date }} validators
+ * @returns {boolean} True when the 304 was sent
+ */
+function sendIfModified(req, res, { etag, lastModified }) {
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  // Clients may keep the body but must check it is current before use
+  res.set('Cache-Control', 'no-cache');
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Reject a write whose If-Match names another version of the item than
+ * the stored one. Writes without If-Match are not checked.
+ * @param {string} [header] - The If-Match value, e.g. req.get('If-Match')
+ * @param {Object} current - The item as stored
+ * @throws {PreconditionFailedError}
+ */
+function assertIfMatch(header, current) {
+  if (!header || header.trim() === '*') {
+    return;
+  }
+  // Strong comparison: weak tags never match
+  const etag = itemETag(current);
+  if (!header.split(',').some(tag => tag.trim() === etag)) {
+    throw new PreconditionFailedError('Item was changed by someone else; reload it and try again');
+  }
+}
+
+module.exports = {
+  itemETag,
+  catalogValidators,
+  sendIfModified,
+  assertIfMatch
+};
@@ -0,0 +1,268 @@
+const { getItemRepository } = require('../repositories');
+const { validateItem, validationError } = require('./validation');
+const { parseListQuery, filterItems, sortItems } = require('./itemQuery');
+const { searchItems } = require('./searchIndex');
+const { orderKey, listOrder, cursorPosition, paginateByCursor } = require('./cursor');
+const { catalogEvents } = require('./catalogEvents');
+const { getAuditLog } = require('./auditLog');
+const { NotFoundError } = require('./errors');
+const { isDeleted, withoutDeleted } = require('./trash');
+const { assertIfMatch } = require('./httpCache');
+const { config } = require('../config');
+
+/**
+ * Reading and changing the catalog the way the items API does, for every
+ * interface that exposes it (REST routes, GraphQL). Writes are validated,
+ * announced on catalogEvents, which keeps the stats cache and search index
+ * current, and then audited: once the store has changed, a failing audit
+ * append must not leave them behind it.
+ */
+
+// Throw a 404 when the store has no item for the requested id
+function assertFound(item) {
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+  return item;
+}
+
+// Who made the request, as recorded in the audit log
+function actorOf(req) {
+  return req.user ? { username: req.user.username, role: req.user.role } : null;
+}
+
+/**
+ * Replace an item with `updater(current)` unless it is in the trash, which
+ * counts as missing, or `ifMatch` names an older version. Throwing from the
+ * updater leaves the store untouched.
+ * @param {number} id
+ * @param {Function} updater - Gets the stored item, returns its replacement
+ * @param {string} [ifMatch] - If-Match value the write is conditional on
+ * @returns {Promise<{ item: Object, previous: Object }>}
+ */
+async function updateLiveItem(id, updater, ifMatch) {
+  let previous;
+  const item = await getItemRepository().update(id, current => {
+    assertFound(!isDeleted(current));
+    assertIfMatch(ifMatch, current);
+    previous = current;
+    return updater(current);
+  });
+  return { item: assertFound(item), previous };
+}
+
+/**
+ * Parse ?page, ?pageSize and v1's legacy ?limit as positive integers. Page
+ * sizes are capped so one request cannot pull the whole catalog.
+ * @param {Object} query - req.query, or the same fields from another interface
+ * @param {number} version - API version; v2 dropped `limit`
+ * @returns {{ page?: number, pageSize?: number, limit?: number }}
+ * @throws {ValidationError}
+ */
+function parsePaging(query, version) {
+  const errors = [];
+  const integer = (field, max) => {
+    if (query[field] === undefined) {
+      return undefined;
+    }
+    const value = Number(query[field]);
+    if (!Number.isSafeInteger(value) || value < 1 || value > (max || Infinity)) {
+      errors.push({
+        field,
+        code: 'invalid_value',
+        message: max ? `${field} must be an integer between 1 and ${max}` : `${field} must be a positive integer`
+      });
+    }
+    return value;
+  };
+
+  // v2 always answers with the paginated envelope
+  if (version >= 2 && query.limit !== undefined) {
+    errors.push({ field: 'limit', code: 'unknown_field', message: 'limit is not supported in v2; use pageSize' });
+  }
+  const paging = {
+    page: integer('page'),
+    pageSize: integer('pageSize', config.maxPageSize),
+    limit: version >= 2 ? undefined : integer('limit', config.maxPageSize)
+  };
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return paging;
+}
+
+/**
+ * Check the list's q, filter and sort params, and a cursor against them,
+ * without reading the catalog, so a bad request is rejected before it
+ * could be answered with 304 Not Modified.
+ * @param {Object} query - q, category, minPrice, maxPrice and sort, see parseListQuery()
+ * @param {string} [cursor] - As later passed to pageOfItems()
+ * @throws {ValidationError}
+ */
+function checkListQuery(query, cursor) {
+  const { sort } = parseListQuery(query);
+  if (cursor) {
+    cursorPosition(cursor, { key: orderKey(sort, Boolean(query.q)), q: query.q ? String(query.q) : '' });
+  }
+}
+
+/**
+ * Apply the list's q, filter and sort params to the whole catalog. The
+ * search index never covers trashed items, so `q` only matches items
+ * outside the trash.
+ * @param {Object} query - q, category, minPrice, maxPrice and sort, see parseListQuery()
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted] - Keep items in the trash
+ * @returns {Promise<{ results: Object[], sort: Object|null, scores: Map|null }>}
+ */
+async function selectItems(query, { includeDeleted = false } = {}) {
+  const { sort, ...filters } = parseListQuery(query);
+  const items = await getItemRepository().findAll();
+  let results = includeDeleted ? items : withoutDeleted(items);
+  let scores = null;
+
+  // Ranked full-text search; results stay in relevance order unless sorted
+  if (query.q) {
+    const matches = searchItems(results, String(query.q));
+    scores = new Map(matches.map(match => [match.item.id, match.score]));
+    results = matches.map(match => match.item);
+  }
+
+  // Field filters and sort order apply before pagination so totals stay correct
+  return { results: sortItems(filterItems(results, filters), sort), sort, scores };
+}
+
+/**
+ * One page of a selection, as the ItemPage envelope. Pages by number, or
+ * by cursor when `cursor` is given ('' for the first page): cursor pages
+ * resume after the last item seen, so rows created or deleted meanwhile
+ * never shift them.
+ * @param {Object} selection - Result of selectItems()
+ * @param {Object} [options]
+ * @param {number} [options.page]
+ * @param {number} [options.pageSize]
+ * @param {string} [options.cursor]
+ * @param {string} [options.q] - The search the selection was made with
+ * @returns {{ items: Object[], pagination: Object }}
+ */
+function pageOfItems({ results, sort, scores }, { page, pageSize, cursor, q = '' } = {}) {
+  const itemsPerPage = pageSize || config.defaultPageSize;
+
+  if (cursor !== undefined) {
+    const pageResult = paginateByCursor(results, {
+      order: listOrder(sort, scores),
+      cursor,
+      pageSize: itemsPerPage,
+      q
+    });
+    return {
+      items: pageResult.items,
+      pagination: {
+        pageSize: itemsPerPage,
+        totalItems: results.length,
+        nextCursor: pageResult.nextCursor,
+        hasNextPage: pageResult.nextCursor !== null
+      }
+    };
+  }
+
+  const total = results.length;
+  const currentPage = page || 1;
+  const totalPages = Math.ceil(total / itemsPerPage);
+  const offset = (currentPage - 1) * itemsPerPage;
+  return {
+    items: results.slice(offset, offset + itemsPerPage),
+    pagination: {
+      currentPage,
+      pageSize: itemsPerPage,
+      totalItems: total,
+      totalPages,
+      hasNextPage: currentPage < totalPages,
+      hasPreviousPage: currentPage > 1
+    }
+  };
+}
+
+function assertValid({ value, errors }) {
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return value;
+}
+
+/**
+ * Add an item to the catalog
+ * @param {*} payload - Item fields, checked with validateItem()
+ * @param {Object} context
+ * @param {Object|null} context.actor - See actorOf()
+ * @returns {Promise<Object>} The stored item
+ */
+async function createItem(payload, { actor }) {
+  const item = assertValid(validateItem(payload));
+  const created = await getItemRepository().create(item);
+  catalogEvents.emit('item.created', created);
+  await getAuditLog().record({ action: 'create', actor, after: created });
+  return created;
+}
+
+/**
+ * Replace every field of an item
+ * @param {number} id
+ * @param {*} payload - Item fields, checked with validateItem()
+ * @param {Object} context
+ * @param {Object|null} context.actor - See actorOf()
+ * @param {string} [context.ifMatch] - See updateLiveItem()
+ * @returns {Promise<Object>} The stored item
+ */
+async function replaceItem(id, payload, { actor, ifMatch }) {
+  const value = assertValid(validateItem(payload));
+  const { item, previous } = await updateLiveItem(id, () => value, ifMatch);
+  catalogEvents.emit('item.updated', item, previous);
+  await getAuditLog().record({ action: 'update', actor, before: previous, after: item });
+  return item;
+}
+
+/**
+ * Change only the fields given
+ * @param {number} id
+ * @param {*} payload - Some item fields, checked with validateItem()
+ * @param {Object} context - See replaceItem()
+ * @returns {Promise<Object>} The stored item
+ */
+async function updateItem(id, payload, { actor, ifMatch }) {
+  const value = assertValid(validateItem(payload, { partial: true }));
+  const { item, previous } = await updateLiveItem(id, current => ({ ...current, ...value }), ifMatch);
+  catalogEvents.emit('item.updated', item, previous);
+  await getAuditLog().record({ action: 'update', actor, before: previous, after: item });
+  return item;
+}
+
+/**
+ * Move an item to the trash; it can be restored until it is purged
+ * @param {number} id
+ * @param {Object} context - See replaceItem()
+ * @returns {Promise<Object>} The item as trashed, with deletedAt
+ */
+async function deleteItem(id, { actor, ifMatch }) {
+  const { item, previous } = await updateLiveItem(id, current => ({
+    ...current,
+    deletedAt: new Date().toISOString()
+  }), ifMatch);
+  catalogEvents.emit('item.deleted', previous);
+  await getAuditLog().record({ action: 'delete', actor, before: previous, after: item });
+  return item;
+}
+
+module.exports = {
+  assertFound,
+  actorOf,
+  updateLiveItem,
+  parsePaging,
+  checkListQuery,
+  selectItems,
+  pageOfItems,
+  createItem,
+  replaceItem,
+  updateItem,
+  deleteItem
+};
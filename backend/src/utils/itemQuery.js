@@ -0,0 +1,121 @@
+const { validationError } = require('./validation');
+
+// Sortable fields for GET /api/items; prefix with '-' for descending
+const SORT_FIELDS = ['price', 'name', 'category'];
+
+// Express gives arrays for repeated params; also accept comma-separated lists
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function parsePrice(field, value, errors) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const price = Number(value);
+  if (Array.isArray(value) || !Number.isFinite(price)) {
+    errors.push({ field, code: 'invalid_type', message: `${field} must be a number` });
+    return undefined;
+  }
+  return price;
+}
+
+/**
+ * Parse sort and filter query params for the items list
+ * @param {Object} query - req.query
+ * @returns {{ categories: string[], minPrice?: number, maxPrice?: number, sort: Object|null }}
+ * @throws {Error} 400 validation error listing every bad param
+ */
+function parseListQuery(query) {
+  const errors = [];
+  const categories = query.category === undefined ? [] : toList(query.category);
+  const minPrice = parsePrice('minPrice', query.minPrice, errors);
+  const maxPrice = parsePrice('maxPrice', query.maxPrice, errors);
+
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push({ field: 'minPrice', code: 'invalid_range', message: 'minPrice must not exceed maxPrice' });
+  }
+
+  let sort = null;
+  if (query.sort !== undefined && query.sort !== '') {
+    const raw = String(query.sort);
+    const field = raw.replace(/^-/, '');
+    if (Array.isArray(query.sort) || !SORT_FIELDS.includes(field)) {
+      errors.push({
+        field: 'sort',
+        code: 'invalid_value',
+        message: `sort must be one of ${SORT_FIELDS.map(f => `${f}, -${f}`).join(', ')}`
+      });
+    } else {
+      sort = { field, direction: raw.startsWith('-') ? -1 : 1 };
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  return { categories, minPrice, maxPrice, sort };
+}
+
+/**
+ * Keep items matching the category and price filters
+ * @param {Object[]} items
+ * @param {Object} filters - Result of parseListQuery
+ * @returns {Object[]}
+ */
+function filterItems(items, { categories, minPrice, maxPrice }) {
+  const wanted = new Set(categories.map(c => c.toLowerCase()));
+
+  return items.filter(item => {
+    if (wanted.size > 0 && !wanted.has(String(item.category).toLowerCase())) {
+      return false;
+    }
+    if (minPrice !== undefined && !(item.price >= minPrice)) {
+      return false;
+    }
+    if (maxPrice !== undefined && !(item.price <= maxPrice)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+// Items missing the sort field sort after those that have it
+function compareValues(a, b) {
+  if (a == null || b == null) {
+    return (a == null) - (b == null);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Sort items by a parsed sort spec; ties fall back to id so pages are stable
+ * @param {Object[]} items
+ * @param {Object|null} sort - `{ field, direction }` from parseListQuery
+ * @returns {Object[]} New sorted array (input is left untouched)
+ */
+function sortItems(items, sort) {
+  if (!sort) {
+    return items;
+  }
+
+  return items.slice().sort((a, b) =>
+    sort.direction * compareValues(a[sort.field], b[sort.field]) || a.id - b.id
+  );
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseListQuery,
+  compareValues,
+  filterItems,
+  sortItems
+};
@@ -0,0 +1,175 @@
+const { escapeFormula, formatCsvRow, parseCsv } = require('./csv');
+const { ITEM_SCHEMA, validateItem, validationError } = require('./validation');
+
+// Columns written to CSV exports and accepted in CSV imports
+const CSV_COLUMNS = ['id', ...Object.keys(ITEM_SCHEMA)];
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => formatCsvRow(CSV_COLUMNS),
+    row: item => formatCsvRow(CSV_COLUMNS.map(column => escapeFormula(item[column]))),
+    footer: () => ''
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    header: () => '',
+    row: item => JSON.stringify(item) + '\n',
+    footer: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    header: () => '[',
+    row: (item, index) => (index === 0 ? '\n' : ',\n') + JSON.stringify(item),
+    footer: count => (count === 0 ? ']' : '\n]')
+  }
+};
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// Content types that identify an import body when ?format= is absent
+const IMPORT_CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+/**
+ * Render items in an export format, a few rows per chunk
+ * @param {Object[]} items
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {number} [rowsPerChunk]
+ * @returns {Generator<string>}
+ */
+function* exportChunks(items, format, rowsPerChunk = 500) {
+  const formatter = EXPORT_FORMATS[format];
+  let chunk = formatter.header();
+  for (let i = 0; i < items.length; i++) {
+    chunk += formatter.row(items[i], i);
+    if ((i + 1) % rowsPerChunk === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  yield chunk + formatter.footer(items.length);
+}
+
+/**
+ * Pick the import format from ?format= or the request content type
+ * @param {string|undefined} format
+ * @param {string|undefined} contentType
+ * @returns {string}
+ * @throws {Error} 400 validation error for unknown formats
+ */
+function resolveImportFormat(format, contentType) {
+  const resolved = format !== undefined
+    ? String(format)
+    : IMPORT_CONTENT_TYPES[String(contentType || '').split(';')[0].trim().toLowerCase()];
+
+  if (!IMPORT_FORMATS.includes(resolved)) {
+    throw validationError([{
+      field: 'format',
+      code: 'invalid_value',
+      message: `format must be one of ${IMPORT_FORMATS.join(', ')} (or send text/csv or application/x-ndjson)`
+    }]);
+  }
+  return resolved;
+}
+
+// CSV cells are strings: convert numeric columns, leaving blanks absent
+function csvRecord(header, fields) {
+  const record = {};
+  header.forEach((column, index) => {
+    const cell = fields[index] === undefined ? '' : fields[index];
+    if (column === 'id' || ITEM_SCHEMA[column]?.type === 'number') {
+      if (cell.trim() !== '') {
+        record[column] = Number(cell);
+      }
+    } else {
+      record[column] = cell;
+    }
+  });
+  return record;
+}
+
+/**
+ * Split an import body into records
+ * @param {string} text
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {{ rows: { row: number, line: number, record: * }[], errors: Object[] }}
+ *   Records numbered from 1, plus errors for lines that could not be parsed
+ * @throws {Error} 400 validation error when the body as a whole is unusable
+ */
+function parseImport(text, format) {
+  const rows = [];
+  const errors = [];
+
+  if (format === 'ndjson') {
+    text.split(/\r?\n/).forEach((content, index) => {
+      if (content.trim() === '') {
+        return;
+      }
+      const row = rows.length + errors.length + 1;
+      try {
+        rows.push({ row, line: index + 1, record: JSON.parse(content) });
+      } catch (err) {
+        errors.push({ row, line: index + 1, field: null, code: 'invalid_json', message: 'Line is not valid JSON' });
+      }
+    });
+    return { rows, errors };
+  }
+
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    throw validationError([{ field: null, code: 'invalid_csv', message: err.message }]);
+  }
+  if (records.length === 0) {
+    return { rows, errors };
+  }
+
+  const [{ fields: headerFields }, ...data] = records;
+  const header = headerFields.map(column => column.trim());
+  const unknown = header.filter(column => !CSV_COLUMNS.includes(column));
+  const missing = Object.keys(ITEM_SCHEMA).filter(column => !header.includes(column));
+  if (unknown.length > 0 || missing.length > 0) {
+    throw validationError([
+      ...unknown.map(column => ({ field: column, code: 'unknown_field', message: `Unknown CSV column "${column}"` })),
+      ...missing.map(column => ({ field: column, code: 'required', message: `CSV column "${column}" is required` }))
+    ]);
+  }
+
+  data.forEach(({ line, fields }, index) => {
+    rows.push({ row: index + 1, line, record: csvRecord(header, fields) });
+  });
+  return { rows, errors };
+}
+
+/**
+ * Validate one import record
+ * @param {*} record - Parsed CSV row or NDJSON value
+ * @returns {{ id: number|undefined, value: Object, errors: Object[] }}
+ */
+function validateImportRecord(record) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return validateItem(record);
+  }
+
+  const { id, ...fields } = record;
+  const { value, errors } = validateItem(fields);
+  if (id !== undefined && id !== null && !(Number.isSafeInteger(id) && id > 0)) {
+    errors.unshift({ field: 'id', code: 'invalid_type', message: 'id must be a positive integer' });
+  }
+  return { id: id === null ? undefined : id, value, errors };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  exportChunks,
+  resolveImportFormat,
+  parseImport,
+  validateImportRecord
+};
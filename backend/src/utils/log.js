@@ -0,0 +1,75 @@
+// Keys containing any of these (ignoring case, '-' and '_') never reach the logs
+const SENSITIVE_KEYS = ['password', 'token', 'apikey', 'keyhash', 'secret', 'authorization', 'cookie'];
+const REDACTED = '[REDACTED]';
+
+function isSensitive(key) {
+  const normalized = String(key).toLowerCase().replace(/[-_]/g, '');
+  return SENSITIVE_KEYS.some(sensitive => normalized.includes(sensitive));
+}
+
+/**
+ * Copy of `value` with every sensitive field replaced by '[REDACTED]'
+ * @param {*} value - Plain data (objects, arrays, primitives)
+ * @returns {*}
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      isSensitive(key) ? REDACTED : redact(entry)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * A URL with the values of sensitive query params redacted
+ * ("/api/items?token=abc&q=lamp" -> "/api/items?token=%5BREDACTED%5D&q=lamp")
+ * @param {string} url - Path and query
+ * @returns {string}
+ */
+function redactUrl(url) {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) {
+    return url;
+  }
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  for (const key of new Set(params.keys())) {
+    if (isSensitive(key)) {
+      params.set(key, REDACTED);
+    }
+  }
+  return `${url.slice(0, queryStart)}?${params}`;
+}
+
+/**
+ * Write one JSON log line: { time, level, msg, ...fields }, with sensitive
+ * fields redacted. Errors go to stderr, everything else to stdout.
+ * @param {'debug'|'info'|'warn'|'error'} level
+ * @param {string} msg
+ * @param {Object} [fields]
+ */
+function write(level, msg, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...redact(fields) });
+  if (level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+const log = {
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+module.exports = {
+  SENSITIVE_KEYS,
+  redact,
+  redactUrl,
+  log
+};
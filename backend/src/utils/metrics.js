@@ -0,0 +1,143 @@
+// Latency buckets in seconds, from fast cache hits to slow imports
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label values are quoted; backslashes, quotes and newlines must be escaped
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Monotonic count per label set
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // label string -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, { value }] of this.values) {
+      lines.push(`${this.name}${key} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Cumulative bucket counts, sum and count of observations per label set
+ */
+class Histogram {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map(); // label string -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        entry.counts[i] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, { labels, counts, sum, count }] of this.values) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${key} ${sum}`);
+      lines.push(`${this.name}_count${key} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+const httpRequests = new Counter('http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency by method and route');
+const statsRecomputeDuration = new Histogram(
+  'stats_recompute_duration_seconds',
+  'Full stats cache recomputes by reason (init, store_changed, consistency_check)'
+);
+const deprecatedApiRequests = new Counter(
+  'api_deprecated_requests_total',
+  'Requests to deprecated API versions by base path and router mount'
+);
+const registry = [httpRequests, httpDuration, statsRecomputeDuration, deprecatedApiRequests];
+
+/**
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.route - Route template, e.g. /api/items/:id
+ * @param {number} request.status
+ * @param {number} request.durationMs
+ */
+function recordRequest({ method, route, status, durationMs }) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, durationMs / 1000);
+}
+
+/**
+ * @param {string} reason - What triggered the recompute
+ * @param {number} durationMs
+ */
+function recordStatsRecompute(reason, durationMs) {
+  statsRecomputeDuration.observe({ reason }, durationMs / 1000);
+}
+
+/**
+ * @param {string} basePath - Where the deprecated version is mounted, e.g. /api/v1
+ * @param {string} mount - The router's mount path, e.g. /api/v1/items
+ */
+function recordDeprecatedRequest(basePath, mount) {
+  deprecatedApiRequests.inc({ base_path: basePath, mount });
+}
+
+/**
+ * Every metric in the Prometheus text exposition format
+ * @returns {string}
+ */
+function renderMetrics() {
+  return registry.map(metric => metric.render()).join('\n\n') + '\n';
+}
+
+/**
+ * Forget every recorded value (tests)
+ */
+function resetMetrics() {
+  registry.forEach(metric => metric.values.clear());
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  Counter,
+  Histogram,
+  recordRequest,
+  recordStatsRecompute,
+  recordDeprecatedRequest,
+  renderMetrics,
+  resetMetrics
+};
@@ -0,0 +1,159 @@
+/**
+ * Checks values against the JSON Schema subset used by the OpenAPI
+ * document: type (with nullable), enum, minimum/maximum, exclusiveMinimum,
+ * minLength/maxLength, format date-time, properties, required,
+ * additionalProperties, items, allOf, anyOf and local $refs. Problems use
+ * the { field, code, message } shape of validation details.
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a finite number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  object: 'a JSON object',
+  array: 'an array'
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isSafeInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Follow a `#/components/...` reference within the document
+ * @param {Object} document - OpenAPI document
+ * @param {Object} schema
+ * @returns {Object} The referenced schema, or `schema` itself
+ */
+function resolveRef(document, schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const target = resolved.$ref.replace(/^#\//, '').split('/')
+      .reduce((node, key) => (node ? node[key] : undefined), document);
+    if (!target) {
+      throw new Error(`Unresolved schema reference ${resolved.$ref}`);
+    }
+    resolved = target;
+  }
+  return resolved;
+}
+
+function childField(parent, key) {
+  if (parent === null) {
+    return String(key);
+  }
+  return typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {Object} [options.document] - Document that $refs resolve against
+ * @param {string|null} [options.field] - Name of the value in messages
+ * @param {string} [options.label] - Used in messages when `field` is null
+ * @returns {Object[]} Problems, empty when the value matches
+ */
+function checkSchema(value, schema, { document = {}, field = null, label = 'Value' } = {}) {
+  const problems = [];
+  const name = field === null ? label : field;
+  const problem = (code, message) => problems.push({ field, code, message: `${name} ${message}` });
+  // `nullable` may sit beside an allOf that wraps a $ref
+  if (value === null && schema.nullable) {
+    return problems;
+  }
+  schema = resolveRef(document, schema);
+  if (value === null && schema.nullable) {
+    return problems;
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(part => problems.push(...checkSchema(value, part, { document, field, label })));
+    return problems;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => checkSchema(value, option, { document, field, label }).length === 0);
+    if (!matches) {
+      problem('invalid_value', 'does not match any of the allowed shapes');
+    }
+    return problems;
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    problem('invalid_type', `must be ${TYPE_NAMES[schema.type]}`);
+    return problems;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problem('invalid_value', `must be one of ${schema.enum.join(', ')}`);
+    return problems;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength === 1 && value.length === 0) {
+      problem('required', 'must not be empty');
+    } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problem('too_short', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problem('too_long', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      problem('invalid_type', 'must be an ISO 8601 date');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) {
+        problem('too_small', schema.exclusiveMinimum
+          ? `must be greater than ${schema.minimum}`
+          : `must be at least ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problem('too_large', `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((element, index) => {
+      problems.push(...checkSchema(element, schema.items, { document, field: childField(field, index), label }));
+    });
+  }
+
+  if (TYPE_CHECKS.object(value) && (schema.properties || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      if (Object.hasOwn(properties, key)) {
+        continue;
+      }
+      if (schema.additionalProperties === false) {
+        problems.push({ field: childField(field, key), code: 'unknown_field', message: `${childField(field, key)} is not allowed` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...checkSchema(value[key], schema.additionalProperties, { document, field: childField(field, key), label }));
+      }
+    }
+    for (const [key, property] of Object.entries(properties)) {
+      const child = childField(field, key);
+      if (value[key] === undefined) {
+        if ((schema.required || []).includes(key)) {
+          problems.push({ field: child, code: 'required', message: `${child} is required` });
+        }
+        continue;
+      }
+      problems.push(...checkSchema(value[key], property, { document, field: child, label }));
+    }
+  }
+
+  return problems;
+}
+
+module.exports = { resolveRef, checkSchema };
@@ -0,0 +1,270 @@
+const { getItemRepository } = require('../repositories');
+const { catalogEvents } = require('./catalogEvents');
+const { withoutDeleted } = require('./trash');
+const { log } = require('./log');
+
+// Name matches count three times as much as category matches
+const FIELD_WEIGHTS = { name: 3, category: 1 };
+
+/**
+ * Split text into lowercase, accent-free word tokens
+ * ("Ultra‑Wide Monitor" -> ['ultra', 'wide', 'monitor'])
+ * @param {*} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Typos allowed for a query token: none for short words, one from 4
+// characters, two from 8
+function maxTypos(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions and adjacent
+ * transpositions), giving up once it must exceed `limit`
+ * @returns {number} Distance, or limit + 1 when over the limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * In-memory inverted index over item names and categories.
+ *
+ * Each query token matches index terms exactly, as a prefix ("headphone"
+ * -> "headphones") or within a small edit distance ("hedphones"). An item
+ * must match every query token; its score adds up the best match for each
+ * token, weighted by match quality and by field.
+ */
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(id -> field weight)
+    this.docTerms = new Map(); // id -> Set(term), used to remove stale terms
+  }
+
+  /**
+   * @param {Object[]} items
+   * @returns {SearchIndex}
+   */
+  static fromItems(items) {
+    const index = new SearchIndex();
+    index.build(items);
+    return index;
+  }
+
+  build(items) {
+    this.postings.clear();
+    this.docTerms.clear();
+    items.forEach(item => this.add(item));
+  }
+
+  /**
+   * Index an item, replacing any previous version with the same id
+   * @param {Object} item
+   */
+  add(item) {
+    this.remove(item.id);
+
+    const terms = new Set();
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of tokenize(item[field])) {
+        let posting = this.postings.get(term);
+        if (!posting) {
+          posting = new Map();
+          this.postings.set(term, posting);
+        }
+        posting.set(item.id, Math.max(posting.get(item.id) || 0, weight));
+        terms.add(term);
+      }
+    }
+    this.docTerms.set(item.id, terms);
+  }
+
+  /**
+   * @param {number} id
+   */
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) {
+      return;
+    }
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.docTerms.delete(id);
+  }
+
+  // Index terms matching a query token, with a 0-1 match quality
+  matchTerms(token) {
+    const typos = maxTypos(token);
+    const matches = [];
+
+    for (const term of this.postings.keys()) {
+      if (term === token) {
+        matches.push({ term, quality: 1 });
+      } else if (term.startsWith(token)) {
+        // Closer prefixes rank higher: "headphone" beats "head" for "headphones"
+        matches.push({ term, quality: 0.5 + 0.4 * (token.length / term.length) });
+      } else if (typos > 0) {
+        // Compare against the whole term and against a prefix of the same
+        // length, so typos are forgiven in partially typed words too
+        const distance = Math.min(
+          editDistance(token, term, typos),
+          editDistance(token, term.slice(0, token.length), typos)
+        );
+        if (distance <= typos) {
+          matches.push({ term, quality: 0.4 - 0.1 * distance });
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Rank indexed items against a free-text query
+   * @param {string} query
+   * @returns {{ id: number, score: number }[]} Best matches first
+   */
+  search(query) {
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    let scores = null;
+    for (const token of tokens) {
+      const tokenScores = new Map();
+      for (const { term, quality } of this.matchTerms(token)) {
+        for (const [id, weight] of this.postings.get(term)) {
+          tokenScores.set(id, Math.max(tokenScores.get(id) || 0, quality * weight));
+        }
+      }
+
+      // Every token has to match: keep only ids seen for all tokens so far
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        for (const [id, score] of scores) {
+          if (tokenScores.has(id)) {
+            scores.set(id, score + tokenScores.get(id));
+          } else {
+            scores.delete(id);
+          }
+        }
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score || a.id - b.id);
+  }
+}
+
+// Shared index kept in sync with the catalog once initSearchIndex() runs
+let activeIndex = null;
+
+const listeners = {
+  'item.created': item => activeIndex.add(item),
+  'item.updated': item => activeIndex.add(item),
+  'item.deleted': item => activeIndex.remove(item.id),
+  'items.imported': changes => changes.forEach(({ item }) => activeIndex.add(item)),
+  'store.changed': async () => {
+    try {
+      activeIndex.build(withoutDeleted(await getItemRepository().findAll()));
+      log.info('Search index rebuilt', { items: activeIndex.docTerms.size });
+    } catch (err) {
+      log.error('Error rebuilding search index', { error: err.message, stack: err.stack });
+    }
+  }
+};
+
+/**
+ * Build the shared index from the store (trashed items excluded) and keep
+ * it updated: item events patch it in place, external store edits trigger
+ * a full rebuild
+ */
+async function initSearchIndex() {
+  stopSearchIndex();
+  activeIndex = SearchIndex.fromItems(withoutDeleted(await getItemRepository().findAll()));
+  for (const [event, listener] of Object.entries(listeners)) {
+    catalogEvents.on(event, listener);
+  }
+  log.info('Search index initialized', { items: activeIndex.docTerms.size });
+}
+
+/**
+ * Detach the shared index from catalog events and drop it
+ */
+function stopSearchIndex() {
+  for (const [event, listener] of Object.entries(listeners)) {
+    catalogEvents.off(event, listener);
+  }
+  activeIndex = null;
+}
+
+/**
+ * Items matching `query`, most relevant first, each with its `score`.
+ * Falls back to a throwaway index over `items` when the shared index has
+ * not been initialized (e.g. in tests).
+ * @param {Object[]} items - Items to search within
+ * @param {string} query
+ * @returns {{ item: Object, score: number }[]}
+ */
+function searchItems(items, query) {
+  const index = activeIndex || SearchIndex.fromItems(items);
+  const byId = new Map(items.map(item => [item.id, item]));
+
+  return index.search(query)
+    .filter(({ id }) => byId.has(id))
+    .map(({ id, score }) => ({ item: byId.get(id), score }));
+}
+
+module.exports = {
+  tokenize,
+  editDistance,
+  SearchIndex,
+  initSearchIndex,
+  stopSearchIndex,
+  searchItems
+};
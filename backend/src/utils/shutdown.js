@@ -0,0 +1,67 @@
+const { getItemRepository } = require('../repositories');
+const { getAuditLog } = require('./auditLog');
+const { unwatchStore } = require('./catalogEvents');
+const { closeStreams, stopEventStream } = require('./eventStream');
+const { stopSearchIndex } = require('./searchIndex');
+const { stopStatsCache } = require('./stats');
+const { stopTrashPurge } = require('./trash');
+const { stopCatalogVersion } = require('./catalogVersion');
+const { setPhase } = require('./health');
+const { log } = require('./log');
+const { config } = require('../config');
+
+// How long in-flight requests get to finish before connections are cut
+const SHUTDOWN_TIMEOUT = config.shutdownTimeoutMs;
+const IDLE_SWEEP_INTERVAL = 100;
+
+/**
+ * Stop the server cleanly: fail readiness, stop accepting connections,
+ * let in-flight requests finish (up to `timeoutMs`), end event streams,
+ * stop background work, then flush pending writes and close the store.
+ * @param {http.Server} server
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<boolean>} False when requests had to be cut off
+ */
+async function gracefulShutdown(server, { timeoutMs = SHUTDOWN_TIMEOUT } = {}) {
+  setPhase('stopping');
+
+  // Event streams never end on their own, so close() would wait for ever
+  const closed = new Promise(resolve => server.close(resolve));
+  closeStreams();
+  // Keep-alive connections go idle as their last request finishes; close
+  // them then rather than after the keep-alive timeout
+  server.closeIdleConnections();
+  const idleSweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_INTERVAL);
+
+  let timer;
+  const drained = await Promise.race([
+    closed.then(() => true),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    })
+  ]);
+  clearTimeout(timer);
+  clearInterval(idleSweep);
+  if (!drained) {
+    log.warn('Shutdown timed out, closing remaining connections', { timeoutMs });
+    server.closeAllConnections();
+    await closed;
+  }
+
+  // No more requests: stop everything that could still write
+  stopTrashPurge();
+  unwatchStore();
+  stopStatsCache();
+  stopSearchIndex();
+  stopEventStream();
+  stopCatalogVersion();
+  await getAuditLog().flush();
+  await getItemRepository().close();
+  return drained;
+}
+
+module.exports = {
+  SHUTDOWN_TIMEOUT,
+  gracefulShutdown
+};
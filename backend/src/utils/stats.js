@@ -1,86 +1,268 @@
-const fs = require('fs').promises;
-const path = require('path');
+const { getItemRepository } = require('../repositories');
+const { catalogEvents } = require('./catalogEvents');
+const {
+  MAX_BUCKETS,
+  MAX_BUCKET_SIZE,
+  isValidPrice,
+  percentile,
+  histogram,
+  StatsAggregator
+} = require('./statsAggregator');
+const { withoutDeleted } = require('./trash');
+const { parseListQuery, filterItems } = require('./itemQuery');
+const { searchItems } = require('./searchIndex');
+const { validationError } = require('./validation');
+const { ServiceUnavailableError } = require('./errors');
+const { log } = require('./log');
+const { recordStatsRecompute } = require('./metrics');
+const { config } = require('../config');
 
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
+// How often running aggregates are checked against a full recompute
+const CONSISTENCY_CHECK_INTERVAL = config.statsConsistencyIntervalMs;
 
 // Utility for calculating mean
 function mean(arr) {
   return arr.reduce((a, b) => a + b, 0) / arr.length;
 }
 
-// Cache for stats
-let statsCache = null;
-let debounceTimer = null;
+// Items the default stats describe: everything outside the trash
+async function liveItems() {
+  return withoutDeleted(await getItemRepository().findAll());
+}
+
+// Aggregates rebuilt from the whole store, timed for /api/metrics
+async function recompute(reason) {
+  const start = process.hrtime.bigint();
+  const result = new StatsAggregator(await liveItems());
+  recordStatsRecompute(reason, Number(process.hrtime.bigint() - start) / 1e6);
+  return result;
+}
+
+// Running aggregates for the whole catalog, null until initStatsCache()
+let aggregator = null;
+let consistencyTimer = null;
+
+/**
+ * Compute stats for an in-memory list of items. Items without a valid
+ * price count towards totals but not towards any price figure.
+ * @param {Object[]} items - Catalog items
+ * @param {Object} [options] - Histogram options, see histogram()
+ * @returns {Object} Totals, price distribution, per-category breakdown and histogram
+ */
+function computeStats(items, options = {}) {
+  return new StatsAggregator(items).snapshot(options);
+}
 
 /**
- * Calculate stats from items.json file
- * @returns {Promise<Object>} Stats object with total and averagePrice
+ * Calculate stats from the item store
+ * @param {Object} [options]
+ * @param {Function} [options.scope] - Narrows the item list before computing
+ * @param {boolean} [options.includeDeleted] - Count items in the trash too
+ * @param {number} [options.buckets] - Histogram bucket count
+ * @param {number} [options.bucketSize] - Histogram bucket width
+ * @returns {Promise<Object>} Stats object, see computeStats()
  */
-async function calculateStats() {
+async function calculateStats({ scope, includeDeleted = false, ...histogramOptions } = {}) {
   try {
-    const raw = await fs.readFile(DATA_PATH, 'utf-8');
-    const items = JSON.parse(raw);
-    
-    if (items.length === 0) {
-      return { total: 0, averagePrice: 0 };
-    }
-    
-    const prices = items.map(item => item.price);
-    
-    return {
-      total: items.length,
-      averagePrice: mean(prices)
-    };
+    const items = includeDeleted ? await getItemRepository().findAll() : await liveItems();
+    return computeStats(scope ? scope(items) : items, histogramOptions);
   } catch (err) {
-    console.error('Error calculating stats:', err);
+    log.error('Error calculating stats', { error: err.message, stack: err.stack });
     throw err;
   }
 }
 
+// Let live clients know the default stats changed
+function publishStats() {
+  catalogEvents.emit('stats.changed', aggregator.snapshot());
+}
+
+// Full recompute, only needed after the store is edited outside this process
+async function onStoreChanged() {
+  try {
+    const fresh = await recompute('store_changed');
+    // The cache may have been stopped while the store was read
+    if (!aggregator) {
+      return;
+    }
+    aggregator = fresh;
+    log.info('Stats cache recomputed after external change', { items: aggregator.totals.count });
+    publishStats();
+  } catch (err) {
+    log.error('Error updating stats cache', { error: err.message, stack: err.stack });
+  }
+}
+
+// Mutations made through the items router adjust the aggregates in place
+const listeners = {
+  'item.created': item => {
+    aggregator.add(item);
+    publishStats();
+  },
+  'item.updated': (item, previous) => {
+    aggregator.update(previous, item);
+    publishStats();
+  },
+  'item.deleted': item => {
+    aggregator.remove(item);
+    publishStats();
+  },
+  'items.imported': changes => {
+    aggregator.applyMany(changes);
+    publishStats();
+  },
+  'store.changed': onStoreChanged
+};
+
+/**
+ * Recompute stats from the store and compare them with the running
+ * aggregates. Drift is logged and the aggregates are replaced.
+ * @returns {Promise<string[]>} Differences found; empty when consistent
+ */
+async function verifyStatsConsistency() {
+  if (!aggregator) {
+    return [];
+  }
+
+  const expected = await recompute('consistency_check');
+  const problems = aggregator.diff(expected);
+  if (problems.length > 0) {
+    log.warn('Stats drift detected, resetting aggregates', { problems });
+    aggregator = expected;
+    publishStats();
+  }
+  return problems;
+}
+
 /**
- * Initialize stats cache and set up file watcher
+ * Initialize stats cache and keep it in sync with catalog changes
  */
 async function initStatsCache() {
   try {
+    stopStatsCache();
+
     // Calculate initial stats
-    statsCache = await calculateStats();
-    console.log('Stats cache initialized:', statsCache);
-    
-    // Set up file watcher
-    const fsWatch = require('fs');
-    fsWatch.watch(DATA_PATH, (eventType) => {
-      if (eventType === 'change') {
-        // Debounce to avoid multiple rapid recalculations
-        clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(async () => {
-          try {
-            statsCache = await calculateStats();
-            console.log('Stats cache updated:', statsCache);
-          } catch (err) {
-            console.error('Error updating stats cache:', err);
-          }
-        }, 300); // 300ms debounce
-      }
-    });
-    
-    console.log('File watcher initialized for:', DATA_PATH);
+    aggregator = await recompute('init');
+    log.info('Stats cache initialized', { items: aggregator.totals.count });
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      catalogEvents.on(event, listener);
+    }
+
+    consistencyTimer = setInterval(() => {
+      verifyStatsConsistency().catch(err => log.error('Error checking stats consistency', { error: err.message, stack: err.stack }));
+    }, CONSISTENCY_CHECK_INTERVAL);
+    consistencyTimer.unref();
   } catch (err) {
-    console.error('Error initializing stats cache:', err);
+    log.error('Error initializing stats cache', { error: err.message, stack: err.stack });
     throw err;
   }
 }
 
+/**
+ * Detach the cache from catalog events and stop consistency checks
+ */
+function stopStatsCache() {
+  for (const [event, listener] of Object.entries(listeners)) {
+    catalogEvents.off(event, listener);
+  }
+  clearInterval(consistencyTimer);
+  consistencyTimer = null;
+  aggregator = null;
+}
+
 /**
  * Get cached stats
+ * @param {Object} [options] - Histogram options, see histogram()
  * @returns {Object|null} Cached stats object
  */
-function getStats() {
-  return statsCache;
+function getStats(options = {}) {
+  return aggregator ? aggregator.snapshot(options) : null;
+}
+
+/**
+ * Parse optional scope (category, q) and histogram (buckets, bucketSize)
+ * params into options for readStats()
+ * @param {Object} query - req.query, or the same fields from another interface
+ * @returns {Object}
+ * @throws {ValidationError} Listing every bad param
+ */
+function parseStatsQuery(query) {
+  const errors = [];
+  const options = {};
+
+  if (query.buckets !== undefined) {
+    const buckets = Number(query.buckets);
+    if (!Number.isInteger(buckets) || buckets < 1 || buckets > MAX_BUCKETS) {
+      errors.push({
+        field: 'buckets',
+        code: 'invalid_value',
+        message: `buckets must be an integer between 1 and ${MAX_BUCKETS}`
+      });
+    } else {
+      options.buckets = buckets;
+    }
+  }
+
+  if (query.bucketSize !== undefined) {
+    const bucketSize = Number(query.bucketSize);
+    if (!Number.isInteger(bucketSize) || bucketSize < 1 || bucketSize > MAX_BUCKET_SIZE) {
+      errors.push({
+        field: 'bucketSize',
+        code: 'invalid_value',
+        message: `bucketSize must be an integer between 1 and ${MAX_BUCKET_SIZE}`
+      });
+    } else {
+      options.bucketSize = bucketSize;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const { categories } = parseListQuery({ category: query.category });
+  const q = query.q ? String(query.q) : '';
+  if (categories.length > 0 || q) {
+    options.scope = (items) => {
+      const matches = q ? searchItems(items, q).map(match => match.item) : items;
+      return filterItems(matches, { categories });
+    };
+  }
+
+  return options;
+}
+
+/**
+ * Stats for parsed options: from the cache, unless scoped to some items,
+ * which are computed on demand
+ * @param {Object} [options] - Result of parseStatsQuery()
+ * @returns {Promise<Object>} Stats object, see computeStats()
+ * @throws {ServiceUnavailableError} Before initStatsCache()
+ */
+async function readStats({ scope, ...histogramOptions } = {}) {
+  if (scope) {
+    return calculateStats({ scope, ...histogramOptions });
+  }
+  const stats = getStats(histogramOptions);
+  if (!stats) {
+    throw new ServiceUnavailableError('Stats not initialized');
+  }
+  return stats;
 }
 
 module.exports = { 
   mean,
+  MAX_BUCKETS,
+  isValidPrice,
+  percentile,
+  histogram,
+  computeStats,
   calculateStats,
   initStatsCache,
-  getStats
+  stopStatsCache,
+  verifyStatsConsistency,
+  getStats,
+  parseStatsQuery,
+  readStats
 };
@@ -0,0 +1,312 @@
+// Percentiles reported for item prices
+const PERCENTILES = [25, 50, 75, 90, 95, 99];
+const DEFAULT_BUCKETS = 5;
+const MAX_BUCKETS = 50;
+// Widest histogram bucket a client may ask for; wider ones would all
+// collapse into one bucket anyway
+const MAX_BUCKET_SIZE = 1000000;
+// Snapshots kept between changes, least recently used dropped first;
+// histogram options come from clients, so the cache must not grow with them
+const SNAPSHOT_CACHE_SIZE = 8;
+
+// Only finite, non-negative numbers count as prices
+function isValidPrice(price) {
+  return typeof price === 'number' && Number.isFinite(price) && price >= 0;
+}
+
+function categoryOf(item) {
+  return typeof item.category === 'string' ? item.category : 'Uncategorized';
+}
+
+/**
+ * Percentile of an ascending array, interpolating between neighbours
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Null for an empty array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Split ascending prices into equal-width buckets between min and max
+ * @param {number[]} sorted - Ascending prices
+ * @param {Object} options
+ * @param {number} [options.buckets] - Number of buckets
+ * @param {number} [options.bucketSize] - Bucket width; overrides `buckets`
+ * @returns {{ min: number, max: number, count: number }[]}
+ */
+function histogram(sorted, { buckets = DEFAULT_BUCKETS, bucketSize } = {}) {
+  if (sorted.length === 0) {
+    return [];
+  }
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = bucketSize || (max - min) / buckets || 1;
+  const count = Math.min(Math.max(Math.ceil((max - min) / width), 1), MAX_BUCKETS);
+  const result = Array.from({ length: count }, (_, i) => ({
+    min: min + i * width,
+    max: i === count - 1 ? max : min + (i + 1) * width,
+    count: 0
+  }));
+
+  // The last bucket is closed so the maximum price lands in it; when
+  // bucketSize would need more than MAX_BUCKETS it also absorbs the tail
+  for (const price of sorted) {
+    const index = Math.min(Math.floor((price - min) / width), count - 1);
+    result[index].count += 1;
+  }
+  return result;
+}
+
+// Index at which `value` keeps `sorted` ascending
+function sortedIndex(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Running count, price sum and ascending prices for one group of items
+function emptyTotals() {
+  return { count: 0, sum: 0, prices: [] };
+}
+
+function addTo(totals, price) {
+  totals.count += 1;
+  if (isValidPrice(price)) {
+    totals.sum += price;
+    totals.prices.splice(sortedIndex(totals.prices, price), 0, price);
+  }
+}
+
+function removeFrom(totals, price) {
+  totals.count -= 1;
+  if (isValidPrice(price)) {
+    totals.sum -= price;
+    totals.prices.splice(sortedIndex(totals.prices, price), 1);
+  }
+}
+
+// Take `removed` out of and merge `added` into the prices in one sort,
+// rather than splicing each price in or out
+function replacePrices(totals, removed, added) {
+  const leaving = new Map();
+  for (const price of removed.filter(isValidPrice)) {
+    leaving.set(price, (leaving.get(price) || 0) + 1);
+    totals.sum -= price;
+  }
+  const kept = totals.prices.filter(price => {
+    const count = leaving.get(price);
+    if (count) {
+      leaving.set(price, count - 1);
+      return false;
+    }
+    return true;
+  });
+  const arriving = added.filter(isValidPrice);
+  arriving.forEach(price => {
+    totals.sum += price;
+  });
+  totals.prices = kept.concat(arriving).sort((a, b) => a - b);
+}
+
+function summarize({ sum, prices }) {
+  return {
+    averagePrice: prices.length ? sum / prices.length : 0,
+    minPrice: prices.length ? prices[0] : null,
+    maxPrice: prices.length ? prices[prices.length - 1] : null,
+    medianPrice: percentile(prices, 50)
+  };
+}
+
+/**
+ * Running stats aggregates that are updated in place as items change.
+ *
+ * Counts and price sums are adjusted directly; prices are kept sorted (by
+ * binary insertion) so min/max/median/percentiles and the histogram never
+ * need a full re-sort. The last few snapshots asked for are cached until
+ * the next change.
+ */
+class StatsAggregator {
+  /**
+   * @param {Object[]} [items] - Initial catalog
+   */
+  constructor(items = []) {
+    this.reset(items);
+  }
+
+  /**
+   * Rebuild every aggregate from a full item list
+   * @param {Object[]} items
+   */
+  reset(items) {
+    this.totals = emptyTotals();
+    this.categories = new Map();
+    this.snapshots = new Map();
+    this.applyMany(items.map(item => ({ item, previous: null })));
+  }
+
+  add(item) {
+    const name = categoryOf(item);
+    if (!this.categories.has(name)) {
+      this.categories.set(name, emptyTotals());
+    }
+    addTo(this.totals, item.price);
+    addTo(this.categories.get(name), item.price);
+    this.snapshots.clear();
+  }
+
+  remove(item) {
+    const name = categoryOf(item);
+    const category = this.categories.get(name);
+    if (!category) {
+      return;
+    }
+    removeFrom(this.totals, item.price);
+    removeFrom(category, item.price);
+    if (category.count === 0) {
+      this.categories.delete(name);
+    }
+    this.snapshots.clear();
+  }
+
+  update(previous, next) {
+    this.remove(previous);
+    this.add(next);
+  }
+
+  /**
+   * Apply a batch of writes, sorting each group's prices once instead of
+   * once per item
+   * @param {{ item: Object, previous: Object|null }[]} changes - `previous`
+   *   is null for items that were not counted before
+   */
+  applyMany(changes) {
+    const pending = new Map(); // totals -> { removed, added } prices
+    const record = (totals, list, price) => {
+      if (!pending.has(totals)) {
+        pending.set(totals, { removed: [], added: [] });
+      }
+      pending.get(totals)[list].push(price);
+    };
+
+    for (const { item, previous } of changes) {
+      const before = previous && this.categories.get(categoryOf(previous));
+      if (before) {
+        [this.totals, before].forEach(totals => {
+          totals.count -= 1;
+          record(totals, 'removed', previous.price);
+        });
+      }
+      const name = categoryOf(item);
+      if (!this.categories.has(name)) {
+        this.categories.set(name, emptyTotals());
+      }
+      [this.totals, this.categories.get(name)].forEach(totals => {
+        totals.count += 1;
+        record(totals, 'added', item.price);
+      });
+    }
+
+    for (const [totals, { removed, added }] of pending) {
+      replacePrices(totals, removed, added);
+    }
+    for (const [name, category] of this.categories) {
+      if (category.count === 0) {
+        this.categories.delete(name);
+      }
+    }
+    this.snapshots.clear();
+  }
+
+  /**
+   * Stats object in the shape served by GET /api/stats
+   * @param {Object} [options] - Histogram options, see histogram()
+   * @returns {Object}
+   */
+  snapshot(options = {}) {
+    const key = JSON.stringify(options);
+    const cached = this.snapshots.get(key);
+    if (cached) {
+      // Map order doubles as recency order
+      this.snapshots.delete(key);
+      this.snapshots.set(key, cached);
+      return cached;
+    }
+
+    const { prices } = this.totals;
+    const snapshot = {
+      total: this.totals.count,
+      pricedItems: prices.length,
+      ...summarize(this.totals),
+      percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(prices, p)])),
+      categories: [...this.categories.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([category, totals]) => ({
+          category,
+          count: totals.count,
+          pricedItems: totals.prices.length,
+          ...summarize(totals)
+        })),
+      histogram: histogram(prices, options)
+    };
+    this.snapshots.set(key, snapshot);
+    if (this.snapshots.size > SNAPSHOT_CACHE_SIZE) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Compare running aggregates with ones rebuilt from scratch
+   * @param {StatsAggregator} expected - Aggregator built from the store
+   * @returns {string[]} Human-readable differences; empty when consistent
+   */
+  diff(expected) {
+    const problems = [];
+    const close = (a, b) => Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(b));
+    const compare = (label, actual, wanted) => {
+      if (actual.count !== wanted.count) {
+        problems.push(`${label} count ${actual.count} != ${wanted.count}`);
+      }
+      if (!close(actual.sum, wanted.sum)) {
+        problems.push(`${label} price sum ${actual.sum} != ${wanted.sum}`);
+      }
+      if (actual.prices.length !== wanted.prices.length) {
+        problems.push(`${label} priced items ${actual.prices.length} != ${wanted.prices.length}`);
+      }
+    };
+
+    compare('catalog', this.totals, expected.totals);
+    const names = new Set([...this.categories.keys(), ...expected.categories.keys()]);
+    for (const name of names) {
+      compare(`category "${name}"`, this.categories.get(name) || emptyTotals(), expected.categories.get(name) || emptyTotals());
+    }
+    return problems;
+  }
+}
+
+module.exports = {
+  MAX_BUCKETS,
+  MAX_BUCKET_SIZE,
+  PERCENTILES,
+  isValidPrice,
+  percentile,
+  histogram,
+  StatsAggregator
+};
@@ -0,0 +1,99 @@
+const { getItemRepository } = require('../repositories');
+const { getAuditLog } = require('./auditLog');
+const { touchCatalog } = require('./catalogVersion');
+const { log } = require('./log');
+const { config } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long deleted items stay restorable before they are purged for good
+const TRASH_RETENTION_DAYS = config.trashRetentionDays;
+// How often the trash is checked for expired items
+const PURGE_INTERVAL = config.trashPurgeIntervalMs;
+
+let purgeTimer = null;
+
+/**
+ * Deleted items stay in the store with a `deletedAt` timestamp until purged
+ * @param {Object} item
+ * @returns {boolean}
+ */
+function isDeleted(item) {
+  return typeof item.deletedAt === 'string';
+}
+
+/**
+ * @param {Object[]} items
+ * @returns {Object[]} Items that are not in the trash
+ */
+function withoutDeleted(items) {
+  return items.filter(item => !isDeleted(item));
+}
+
+/**
+ * When a trashed item becomes eligible for purging
+ * @param {Object} item - Trashed item
+ * @returns {Date}
+ */
+function purgeDate(item) {
+  return new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Permanently remove trashed items whose retention period has passed.
+ * Each removal is recorded in the audit log as a 'purge'.
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Purged items
+ */
+async function purgeExpiredItems(now = new Date()) {
+  const repository = getItemRepository();
+  const isExpired = item => isDeleted(item) && purgeDate(item) <= now;
+  const expired = (await repository.findAll()).filter(isExpired);
+
+  const purged = [];
+  for (const { id } of expired) {
+    // Checked again as part of the removal: the item may have been
+    // restored since the list was read
+    const removed = await repository.remove(id, isExpired);
+    if (removed) {
+      purged.push(removed);
+    }
+  }
+
+  if (purged.length > 0) {
+    // No catalog event covers purges, but ?includeDeleted lists change
+    touchCatalog();
+    log.info('Purged expired items from the trash', { items: purged.length });
+  }
+  await getAuditLog().recordMany(purged.map(item => ({ action: 'purge', actor: null, before: item })));
+  return purged;
+}
+
+/**
+ * Purge expired items now and then every PURGE_INTERVAL
+ */
+async function initTrashPurge() {
+  stopTrashPurge();
+  await purgeExpiredItems();
+  purgeTimer = setInterval(() => {
+    purgeExpiredItems().catch(err => log.error('Error purging trash', { error: err.message, stack: err.stack }));
+  }, PURGE_INTERVAL);
+  purgeTimer.unref();
+}
+
+/**
+ * Stop the periodic purge started by initTrashPurge()
+ */
+function stopTrashPurge() {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  isDeleted,
+  withoutDeleted,
+  purgeDate,
+  purgeExpiredItems,
+  initTrashPurge,
+  stopTrashPurge
+};
@@ -0,0 +1,103 @@
+const { ValidationError } = require('./errors');
+
+// Schema for item payloads accepted by the items API
+const ITEM_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  category: { type: 'string', required: true, maxLength: 100 },
+  price: { type: 'number', required: true, min: 0 }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a single field against its schema rule
+ * @returns {Object|null} Field error or null when the value is valid
+ */
+function checkField(field, value, rule) {
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') {
+      return { field, code: 'invalid_type', message: `${field} must be a string` };
+    }
+    if (rule.required && value.trim().length === 0) {
+      return { field, code: 'required', message: `${field} must not be empty` };
+    }
+    if (value.length > rule.maxLength) {
+      return {
+        field,
+        code: 'too_long',
+        message: `${field} must be at most ${rule.maxLength} characters`
+      };
+    }
+  }
+
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { field, code: 'invalid_type', message: `${field} must be a finite number` };
+    }
+    if (value < rule.min) {
+      return { field, code: 'too_small', message: `${field} must be at least ${rule.min}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an item payload against ITEM_SCHEMA
+ * @param {*} payload - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Skip required checks for absent fields (PATCH)
+ * @returns {{ value: Object, errors: Object[] }} Sanitized item and field errors
+ */
+function validateItem(payload, { partial = false } = {}) {
+  if (!isPlainObject(payload)) {
+    return {
+      value: {},
+      errors: [{ field: null, code: 'invalid_type', message: 'Request body must be a JSON object' }]
+    };
+  }
+
+  const errors = [];
+  const value = {};
+
+  for (const field of Object.keys(payload)) {
+    if (!Object.hasOwn(ITEM_SCHEMA, field)) {
+      errors.push({ field, code: 'unknown_field', message: `${field} is not allowed` });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(ITEM_SCHEMA)) {
+    if (payload[field] === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field, code: 'required', message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const error = checkField(field, payload[field], rule);
+    if (error) {
+      errors.push(error);
+    } else {
+      value[field] = rule.type === 'string' ? payload[field].trim() : payload[field];
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Build a 400 error carrying field errors for the error middleware
+ * @param {Object[]} errors - Field errors from validateItem
+ * @returns {ValidationError}
+ */
+function validationError(errors) {
+  return new ValidationError(errors);
+}
+
+module.exports = {
+  ITEM_SCHEMA,
+  validateItem,
+  validationError
+};
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { ITEM_RULES, validateItem, errorsByField } from '../utils/validateItem';
+
+const EMPTY_VALUES = { name: '', category: '', price: '' };
+
+const inputStyle = {
+  display: 'block',
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  marginTop: '4px',
+  width: '300px'
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  fontSize: '14px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginRight: '10px'
+};
+
+const errorStyle = { color: '#c00', fontSize: '13px', margin: '4px 0 0' };
+
+const FIELDS = [
+  { name: 'name', label: 'Name', type: 'text', maxLength: ITEM_RULES.name.maxLength },
+  { name: 'category', label: 'Category', type: 'text', maxLength: ITEM_RULES.category.maxLength },
+  { name: 'price', label: 'Price', type: 'number', min: ITEM_RULES.price.min, step: 'any' }
+];
+
+/**
+ * Create/edit form for an item. Values are checked with the same rules as
+ * the server before `onSubmit` runs; field errors the server returns
+ * (`error.details`) are shown next to their inputs.
+ * @param {Object} props
+ * @param {Object} [props.initialValues] - Item to edit
+ * @param {Function} props.onSubmit - Called with the validated item; may reject
+ * @param {Function} [props.onCancel]
+ * @param {string} [props.submitLabel]
+ */
+function ItemForm({ initialValues, onSubmit, onCancel, submitLabel = 'Save' }) {
+  const [values, setValues] = useState(() => (initialValues ? {
+    name: initialValues.name ?? '',
+    category: initialValues.category ?? '',
+    price: String(initialValues.price ?? '')
+  } : EMPTY_VALUES));
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value });
+    // Clear an error as soon as its field is edited
+    if (errors[field]) {
+      setErrors({ ...errors, [field]: undefined });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { value, errors: fieldErrors } = validateItem(values);
+    if (fieldErrors.length > 0) {
+      setErrors(errorsByField(fieldErrors));
+      return;
+    }
+
+    setSubmitting(true);
+    setErrors({});
+    try {
+      await onSubmit(value);
+    } catch (err) {
+      setErrors(err.details && err.details.length > 0
+        ? errorsByField(err.details)
+        : { form: err.message || 'Could not save the item.' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {FIELDS.map(({ name, label, ...inputProps }) => (
+        <div key={name} style={{ marginBottom: '12px' }}>
+          <label style={{ fontSize: '14px' }}>
+            {label}
+            <input
+              {...inputProps}
+              value={values[name]}
+              onChange={handleChange(name)}
+              aria-invalid={Boolean(errors[name])}
+              style={{ ...inputStyle, borderColor: errors[name] ? '#c00' : '#ddd' }}
+            />
+          </label>
+          {errors[name] && <p role="alert" style={errorStyle}>{errors[name]}</p>}
+        </div>
+      ))}
+      {errors.form && <p role="alert" style={errorStyle}>{errors.form}</p>}
+      <button type="submit" disabled={submitting} style={{ ...buttonStyle, backgroundColor: '#007bff' }}>
+        {submitting ? 'Saving...' : submitLabel}
+      </button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
+
+export default ItemForm;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ItemForm from './ItemForm';
+
+const fillIn = (label, value) => {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+};
+
+describe('ItemForm', () => {
+  test('checks the server rules before submitting', () => {
+    const onSubmit = jest.fn();
+    render(<ItemForm onSubmit={onSubmit} />);
+
+    fillIn('Name', '   ');
+    fillIn('Category', 'x'.repeat(101));
+    fillIn('Price', '-5');
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(screen.getByText('name must not be empty')).toBeInTheDocument();
+    expect(screen.getByText('category must be at most 100 characters')).toBeInTheDocument();
+    expect(screen.getByText('price must be at least 0')).toBeInTheDocument();
+    expect(screen.getByLabelText('Price')).toHaveAttribute('aria-invalid', 'true');
+
+    // Editing a field clears its error
+    fillIn('Price', '5');
+    expect(screen.queryByText('price must be at least 0')).not.toBeInTheDocument();
+  });
+
+  test('submits trimmed values with a numeric price', async () => {
+    const onSubmit = jest.fn().mockResolvedValue();
+    render(<ItemForm initialValues={{ id: 3, name: 'Desk Lamp', category: 'Lighting', price: 79 }} onSubmit={onSubmit} />);
+
+    expect(screen.getByLabelText('Price')).toHaveValue(79);
+    fillIn('Name', '  Desk Lamp XL ');
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalledWith({ name: 'Desk Lamp XL', category: 'Lighting', price: 79 });
+    });
+  });
+
+  test('shows field errors returned by the server', async () => {
+    const error = new Error('Validation failed');
+    error.details = [{ field: 'name', code: 'too_long', message: 'name must be at most 200 characters' }];
+    render(<ItemForm onSubmit={jest.fn().mockRejectedValue(error)} />);
+
+    fillIn('Name', 'Desk Lamp');
+    fillIn('Category', 'Lighting');
+    fillIn('Price', '79');
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText('name must be at most 200 characters')).toBeInTheDocument();
+    expect(screen.getByText('Save')).not.toBeDisabled();
+  });
+
+  test('shows other failures above the buttons', async () => {
+    render(<ItemForm onSubmit={jest.fn().mockRejectedValue(new Error('HTTP error! status: 500'))} />);
+
+    fillIn('Name', 'Desk Lamp');
+    fillIn('Category', 'Lighting');
+    fillIn('Price', '79');
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText('HTTP error! status: 500')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../state/AuthContext';
+import { useData } from '../state/DataContext';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored',
+  purge: 'Purged',
+  revert: 'Reverted'
+};
+
+const formatValue = (value) => (value === null ? '—' : JSON.stringify(value));
+
+/**
+ * Change timeline for one item, newest first, from GET /api/v2/items/:id/history.
+ * Only shown to signed-in users, as the API only gives it to them. Editors
+ * can restore the item as it was after any earlier entry outside the trash.
+ * @param {Object} props
+ * @param {Object} props.item - Current item; the timeline reloads when it changes
+ * @param {Function} [props.onReverted] - Called with the item returned by a revert
+ */
+function ItemHistory({ item, onReverted }) {
+  const { user, canEdit } = useAuth();
+  const { fetchItemHistory, revertItem } = useData();
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+  const signedIn = Boolean(user);
+
+  useEffect(() => {
+    if (!signedIn) {
+      return undefined;
+    }
+    const abortController = new AbortController();
+
+    fetchItemHistory(item.id, abortController.signal)
+      .then(setEntries)
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to fetch item history:', err);
+          setError('Could not load the change history.');
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [item, signedIn, fetchItemHistory]);
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm(`Restore "${entry.after.name}" as it was after change #${entry.id}?`)) {
+      return;
+    }
+    try {
+      const reverted = await revertItem(item.id, entry.id);
+      setError(null);
+      onReverted(reverted);
+    } catch (err) {
+      console.error('Failed to revert item:', err);
+      setError('Could not revert the item.');
+    }
+  };
+
+  if (!signedIn) return null;
+  if (error) return <p style={{ color: '#c00' }}>{error}</p>;
+  if (!entries) return <p>Loading history...</p>;
+
+  return (
+    <section style={{ marginTop: '24px' }}>
+      <h3>History</h3>
+      {entries.length === 0 ? (
+        <p>No recorded changes.</p>
+      ) : (
+        <ol aria-label="Change history" style={{ listStyle: 'none', padding: 0 }}>
+          {entries.map((entry, index) => (
+            <li key={entry.id} style={{ padding: '8px 0', borderBottom: '1px solid #eee' }}>
+              <div style={{ fontSize: '14px' }}>
+                <strong>{ACTION_LABELS[entry.action] || entry.action}</strong>
+                {entry.revision && ` to change #${entry.revision}`}
+                {' by '}{entry.actor ? entry.actor.username : 'anonymous'}
+                <span style={{ color: '#666' }}> · {new Date(entry.timestamp).toLocaleString()}</span>
+                {entry.source === 'import' && <span style={{ color: '#666' }}> · import</span>}
+              </div>
+              <ul style={{ margin: '4px 0 0', fontSize: '13px', color: '#444' }}>
+                {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                  <li key={field}>{field}: {formatValue(from)} → {formatValue(to)}</li>
+                ))}
+              </ul>
+              {canEdit && index > 0 && entry.after && !entry.after.deletedAt && (
+                <button
+                  onClick={() => handleRevert(entry)}
+                  style={{ marginTop: '4px', fontSize: '13px', cursor: 'pointer' }}
+                >
+                  Revert to this version
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+export default ItemHistory;
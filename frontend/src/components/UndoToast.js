@@ -0,0 +1,45 @@
+import React from 'react';
+import { useData } from '../state/DataContext';
+
+// Offers to bring back the item removed by the last delete
+function UndoToast() {
+  const { pendingDelete, undoDelete } = useData();
+
+  if (!pendingDelete) return null;
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: 'fixed',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        padding: '12px 16px',
+        backgroundColor: '#333',
+        color: 'white',
+        borderRadius: '4px',
+        fontSize: '14px'
+      }}
+    >
+      Deleted "{pendingDelete.name}".
+      <button
+        onClick={undoDelete}
+        style={{
+          marginLeft: '12px',
+          padding: '4px 12px',
+          fontSize: '14px',
+          backgroundColor: 'transparent',
+          color: '#8cf',
+          border: '1px solid #8cf',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        Undo
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
@@ -2,19 +2,53 @@ import React from 'react';
 import { Routes, Route, Link } from 'react-router-dom';
 import Items from './Items';
 import ItemDetail from './ItemDetail';
+import NewItem from './NewItem';
+import Login from './Login';
+import StatsDashboard from './StatsDashboard';
+import Trash from './Trash';
+import UndoToast from '../components/UndoToast';
 import { DataProvider } from '../state/DataContext';
+import { AuthProvider, useAuth } from '../state/AuthContext';
+
+function Nav() {
+  const { user, canEdit, logout } = useAuth();
+
+  return (
+    <nav style={{padding: 16, borderBottom: '1px solid #ddd', display: 'flex'}}>
+      <Link to="/">Items</Link>
+      <Link to="/stats" style={{marginLeft: 16}}>Stats</Link>
+      <Link to="/trash" style={{marginLeft: 16}}>Trash</Link>
+      {canEdit && <Link to="/items/new" style={{marginLeft: 16}}>New item</Link>}
+      <span style={{marginLeft: 'auto'}}>
+        {user ? (
+          <>
+            {user.username} ({user.role}){' '}
+            <button onClick={logout} style={{marginLeft: 8, cursor: 'pointer'}}>Sign out</button>
+          </>
+        ) : (
+          <Link to="/login">Sign in</Link>
+        )}
+      </span>
+    </nav>
+  );
+}
 
 function App() {
   return (
-    <DataProvider>
-      <nav style={{padding: 16, borderBottom: '1px solid #ddd'}}>
-        <Link to="/">Items</Link>
-      </nav>
-      <Routes>
-        <Route path="/" element={<Items />} />
-        <Route path="/items/:id" element={<ItemDetail />} />
-      </Routes>
-    </DataProvider>
+    <AuthProvider>
+      <DataProvider>
+        <Nav />
+        <Routes>
+          <Route path="/" element={<Items />} />
+          <Route path="/items/new" element={<NewItem />} />
+          <Route path="/items/:id" element={<ItemDetail />} />
+          <Route path="/stats" element={<StatsDashboard />} />
+          <Route path="/trash" element={<Trash />} />
+          <Route path="/login" element={<Login />} />
+        </Routes>
+        <UndoToast />
+      </DataProvider>
+    </AuthProvider>
   );
 }
 
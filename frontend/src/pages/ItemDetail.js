@@ -1,16 +1,33 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import ItemForm from '../components/ItemForm';
+import ItemHistory from '../components/ItemHistory';
+import { useData } from '../state/DataContext';
+import { useAuth } from '../state/AuthContext';
+import { etagFor } from '../utils/api';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  fontSize: '14px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginRight: '10px'
+};
 
 function ItemDetail() {
   const { id } = useParams();
   const [item, setItem] = useState(null);
+  const [editing, setEditing] = useState(false);
   const navigate = useNavigate();
+  const { fetchItem, updateItem, deleteItem } = useData();
+  const { canEdit } = useAuth();
 
   useEffect(() => {
     const abortController = new AbortController();
 
-    fetch('http://localhost:3001/api/items/' + id, { signal: abortController.signal })
-      .then(res => res.ok ? res.json() : Promise.reject(res))
+    fetchItem(id, abortController.signal)
       .then(setItem)
       .catch((err) => {
         if (err.name !== 'AbortError') {
@@ -22,15 +39,50 @@ function ItemDetail() {
     return () => {
       abortController.abort();
     };
-  }, [id, navigate]);
+  }, [id, navigate, fetchItem]);
+
+  // The list is updated optimistically by updateItem; the form stays open
+  // until the server accepts the change so its field errors can be shown.
+  // Both writes are refused if someone else changed the item meanwhile.
+  const handleSave = async (values) => {
+    setItem(await updateItem(item.id, values, { etag: etagFor(item) }));
+    setEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${item.name}"?`)) {
+      deleteItem(item, { etag: etagFor(item) });
+      navigate('/');
+    }
+  };
 
   if (!item) return <p>Loading...</p>;
 
+  if (editing) {
+    return (
+      <div style={{padding: 16}}>
+        <h2>Edit item</h2>
+        <ItemForm initialValues={item} onSubmit={handleSave} onCancel={() => setEditing(false)} />
+      </div>
+    );
+  }
+
   return (
     <div style={{padding: 16}}>
       <h2>{item.name}</h2>
       <p><strong>Category:</strong> {item.category}</p>
       <p><strong>Price:</strong> ${item.price}</p>
+      {canEdit && (
+        <>
+          <button onClick={() => setEditing(true)} style={{ ...buttonStyle, backgroundColor: '#007bff' }}>
+            Edit
+          </button>
+          <button onClick={handleDelete} style={{ ...buttonStyle, backgroundColor: '#dc3545' }}>
+            Delete
+          </button>
+        </>
+      )}
+      <ItemHistory item={item} onReverted={setItem} />
     </div>
   );
 }
@@ -0,0 +1,264 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ItemDetail from './ItemDetail';
+import UndoToast from '../components/UndoToast';
+import { DataProvider, UNDO_WINDOW_MS } from '../state/DataContext';
+import { AuthProvider } from '../state/AuthContext';
+
+const item = { id: 3, name: 'Desk Lamp', category: 'Lighting', price: 79 };
+
+const history = {
+  entries: [
+    {
+      id: 2,
+      timestamp: '2026-03-02T10:00:00.000Z',
+      action: 'update',
+      itemId: 3,
+      actor: { username: 'sam', role: 'editor' },
+      changes: { price: { from: 69, to: 79 } },
+      before: { ...item, price: 69 },
+      after: item
+    },
+    {
+      id: 1,
+      timestamp: '2026-03-01T10:00:00.000Z',
+      action: 'create',
+      itemId: 3,
+      actor: { username: 'erin', role: 'editor' },
+      changes: { name: { from: null, to: 'Desk Lamp' }, category: { from: null, to: 'Lighting' }, price: { from: null, to: 69 } },
+      before: null,
+      after: { ...item, price: 69 }
+    }
+  ]
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body
+});
+
+const signIn = (role) => {
+  window.localStorage.setItem('auth', JSON.stringify({
+    token: `${role}-token`,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    user: { username: 'erin', role }
+  }));
+};
+
+const renderDetail = () => render(
+  <MemoryRouter initialEntries={['/items/3']}>
+    <AuthProvider>
+      <DataProvider>
+        <Routes>
+          <Route path="/" element={<p>Item list</p>} />
+          <Route path="/items/:id" element={<ItemDetail />} />
+        </Routes>
+        <UndoToast />
+      </DataProvider>
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+describe('ItemDetail', () => {
+  // Responses for writes, in order; reads of the item and its history are answered directly
+  let responses;
+  const writes = () => global.fetch.mock.calls.filter(([, options]) => options && options.method);
+
+  beforeEach(() => {
+    signIn('editor');
+    responses = [];
+    global.fetch = jest.fn(async (url, options = {}) => {
+      if (options.method) {
+        return responses.shift();
+      }
+      return jsonResponse(url.endsWith('/history') ? history : item);
+    });
+  });
+
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('only offers changes to editors', async () => {
+    signIn('viewer');
+    renderDetail();
+
+    expect(await screen.findByText('Desk Lamp')).toBeInTheDocument();
+    expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+    expect(screen.queryByText('Delete')).not.toBeInTheDocument();
+    expect(global.fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer viewer-token' });
+  });
+
+  test('saves edits through the items API', async () => {
+    responses.push(jsonResponse({ ...item, price: 89 }));
+    renderDetail();
+
+    fireEvent.click(await screen.findByText('Edit'));
+    fireEvent.change(screen.getByLabelText('Price'), { target: { value: '89' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText('$89')).toBeInTheDocument();
+    const [[url, options]] = writes();
+    expect(url).toBe('http://localhost:3001/api/v2/items/3');
+    expect(options.method).toBe('PUT');
+    expect(options.headers.Authorization).toBe('Bearer editor-token');
+    expect(JSON.parse(options.body)).toEqual({ name: 'Desk Lamp', category: 'Lighting', price: 89 });
+  });
+
+  test('refuses to overwrite changes made by someone else', async () => {
+    global.fetch.mockImplementation(async (url, options = {}) => {
+      if (options.method) {
+        return responses.shift();
+      }
+      return url.endsWith('/history')
+        ? jsonResponse(history)
+        : { ...jsonResponse(item), headers: new Headers({ ETag: '"v1"' }) };
+    });
+    responses.push(jsonResponse({
+      error: { code: 'precondition_failed', message: 'Item was changed by someone else; reload it and try again', requestId: 'req-2' }
+    }, 412));
+    renderDetail();
+
+    fireEvent.click(await screen.findByText('Edit'));
+    fireEvent.change(screen.getByLabelText('Price'), { target: { value: '89' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText(/changed by someone else/)).toBeInTheDocument();
+    const [[, options]] = writes();
+    expect(options.headers['If-Match']).toBe('"v1"');
+  });
+
+  test('keeps the form open with the server errors when saving fails', async () => {
+    responses.push(jsonResponse({
+      error: {
+        code: 'validation_failed',
+        message: 'Validation failed',
+        details: [{ field: 'category', code: 'too_long', message: 'category must be at most 100 characters' }],
+        requestId: 'req-1'
+      }
+    }, 400));
+    renderDetail();
+
+    fireEvent.click(await screen.findByText('Edit'));
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText('category must be at most 100 characters')).toBeInTheDocument();
+    expect(screen.getByText('Edit item')).toBeInTheDocument();
+  });
+
+  test('does nothing when the delete is not confirmed', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(false);
+    renderDetail();
+
+    fireEvent.click(await screen.findByText('Delete'));
+
+    expect(window.confirm).toHaveBeenCalledWith('Delete "Desk Lamp"?');
+    expect(screen.getByText('Desk Lamp')).toBeInTheDocument();
+  });
+
+  test('deletes after the undo window unless undone', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    responses.push(jsonResponse(null, 204));
+    renderDetail();
+    await screen.findByText('Desk Lamp');
+    jest.useFakeTimers();
+
+    fireEvent.click(screen.getByText('Delete'));
+    expect(screen.getByText('Item list')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('Deleted "Desk Lamp".');
+
+    // Undo cancels the request entirely
+    fireEvent.click(screen.getByText('Undo'));
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    act(() => {
+      jest.advanceTimersByTime(UNDO_WINDOW_MS);
+    });
+    expect(writes()).toEqual([]);
+  });
+
+  test('sends the delete once the undo window has passed', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    responses.push(jsonResponse(null, 204));
+    renderDetail();
+    await screen.findByText('Desk Lamp');
+    jest.useFakeTimers();
+
+    fireEvent.click(screen.getByText('Delete'));
+    act(() => {
+      jest.advanceTimersByTime(UNDO_WINDOW_MS);
+    });
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost:3001/api/v2/items/3', expect.objectContaining({ method: 'DELETE' }));
+    });
+  });
+
+  test('shows the change timeline', async () => {
+    renderDetail();
+
+    const timeline = await screen.findByRole('list', { name: 'Change history' });
+    expect(timeline).toHaveTextContent('Updated by sam');
+    expect(timeline).toHaveTextContent('price: 69 → 79');
+    expect(timeline).toHaveTextContent('Created by erin');
+    expect(timeline).toHaveTextContent('name: — → "Desk Lamp"');
+    // The latest entry is the current version
+    expect(screen.getAllByText('Revert to this version')).toHaveLength(1);
+  });
+
+  test('reverts to an earlier version', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    responses.push(jsonResponse({ ...item, price: 69 }));
+    renderDetail();
+
+    fireEvent.click(await screen.findByText('Revert to this version'));
+
+    expect(await screen.findByText('$69')).toBeInTheDocument();
+    const [[url, options]] = writes();
+    expect(url).toBe('http://localhost:3001/api/v2/items/3/revert');
+    expect(JSON.parse(options.body)).toEqual({ revision: 1 });
+    expect(options.headers.Authorization).toBe('Bearer editor-token');
+  });
+
+  test('leaves the change timeline out for anonymous visitors', async () => {
+    window.localStorage.clear();
+    renderDetail();
+
+    expect(await screen.findByText('Desk Lamp')).toBeInTheDocument();
+    expect(screen.queryByText('History')).not.toBeInTheDocument();
+    expect(global.fetch.mock.calls.map(([url]) => url).filter(url => url.endsWith('/history'))).toEqual([]);
+  });
+
+  test('signs out and still shows the item when the token is no longer valid', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockImplementation(async (url, options = {}) => (options.headers && options.headers.Authorization
+      ? jsonResponse({ error: { code: 'unauthorized', message: 'Invalid or expired token', requestId: 'req-4' } }, 401)
+      : jsonResponse(item)));
+    renderDetail();
+
+    expect(await screen.findByText('Desk Lamp')).toBeInTheDocument();
+    expect(screen.queryByText('Item list')).not.toBeInTheDocument();
+    expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+    expect(window.localStorage.getItem('auth')).toBeNull();
+  });
+
+  test('signs out when the token is rejected during a revert', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    responses.push(jsonResponse({
+      error: { code: 'unauthorized', message: 'Invalid or expired token', requestId: 'req-3' }
+    }, 401));
+    renderDetail();
+
+    fireEvent.click(await screen.findByText('Revert to this version'));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+    });
+    expect(window.localStorage.getItem('auth')).toBeNull();
+  });
+});
@@ -5,11 +5,40 @@ import 'react-virtualized/styles.css';
 import { useData } from '../state/DataContext';
 import { Link } from 'react-router-dom';
 
+const SORT_OPTIONS = [
+  { value: '', label: 'Default order' },
+  { value: 'price', label: 'Price: low to high' },
+  { value: '-price', label: 'Price: high to low' },
+  { value: 'name', label: 'Name' },
+  { value: 'category', label: 'Category' }
+];
+
+const EMPTY_FILTERS = { categories: '', minPrice: '', maxPrice: '' };
+
+const filterInputStyle = {
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  marginRight: '10px'
+};
+
+// "Electronics, Furniture" -> ['Electronics', 'Furniture']
+const parseCategories = (value) => value
+  .split(',')
+  .map(category => category.trim())
+  .filter(Boolean);
+
 function Items() {
-  const { items, pagination, loading, fetchItems } = useData();
+  const { items, pagination, loading, error, fetchItems } = useData();
   const [currentPage, setCurrentPage] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
   const [searchInput, setSearchInput] = useState('');
+  const [sort, setSort] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filterInput, setFilterInput] = useState(EMPTY_FILTERS);
+  // Bumped by "Try again" to repeat the last request
+  const [attempt, setAttempt] = useState(0);
 
   useEffect(() => {
     const abortController = new AbortController();
@@ -19,7 +48,11 @@ function Items() {
         await fetchItems(abortController.signal, {
           page: currentPage,
           pageSize: 10,
-          search: searchTerm
+          search: searchTerm,
+          sort,
+          categories: parseCategories(filters.categories),
+          minPrice: filters.minPrice,
+          maxPrice: filters.maxPrice
         });
       } catch (err) {
         // Ignore abort errors - these are expected when component unmounts
@@ -35,20 +68,32 @@ function Items() {
     return () => {
       abortController.abort();
     };
-  }, [fetchItems, currentPage, searchTerm]);
+  }, [fetchItems, currentPage, searchTerm, sort, filters, attempt]);
 
   const handleSearch = (e) => {
     e.preventDefault();
     setSearchTerm(searchInput);
+    setFilters(filterInput);
     setCurrentPage(1); // Reset to first page on new search
   };
 
+  const handleSortChange = (e) => {
+    setSort(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const handleFilterInput = (field) => (e) => {
+    setFilterInput({ ...filterInput, [field]: e.target.value });
+  };
+
+  const hasActiveFilters = Boolean(searchTerm || filters.categories || filters.minPrice || filters.maxPrice);
+
   const handlePageChange = (newPage) => {
     setCurrentPage(newPage);
     window.scrollTo(0, 0); // Scroll to top on page change
   };
 
-  if (loading && (!items || items.length === 0)) {
+  if (loading && !error && (!items || items.length === 0)) {
     return <p>Loading...</p>;
   }
 
@@ -87,12 +132,14 @@ function Items() {
         >
           Search
         </button>
-        {searchTerm && (
+        {hasActiveFilters && (
           <button
             type="button"
             onClick={() => {
               setSearchTerm('');
               setSearchInput('');
+              setFilters(EMPTY_FILTERS);
+              setFilterInput(EMPTY_FILTERS);
               setCurrentPage(1);
             }}
             style={{
@@ -109,8 +156,61 @@ function Items() {
             Clear
           </button>
         )}
+
+        {/* Sort & Filters */}
+        <div style={{ marginTop: '10px', display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '10px 0' }}>
+          <label style={{ marginRight: '10px', fontSize: '14px' }}>
+            Sort by{' '}
+            <select value={sort} onChange={handleSortChange} style={{ ...filterInputStyle, marginRight: 0 }}>
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <input
+            type="text"
+            aria-label="Categories"
+            value={filterInput.categories}
+            onChange={handleFilterInput('categories')}
+            placeholder="Categories, comma separated"
+            style={{ ...filterInputStyle, width: '220px' }}
+          />
+          <input
+            type="number"
+            min="0"
+            aria-label="Minimum price"
+            value={filterInput.minPrice}
+            onChange={handleFilterInput('minPrice')}
+            placeholder="Min price"
+            style={{ ...filterInputStyle, width: '110px' }}
+          />
+          <input
+            type="number"
+            min="0"
+            aria-label="Maximum price"
+            value={filterInput.maxPrice}
+            onChange={handleFilterInput('maxPrice')}
+            placeholder="Max price"
+            style={{ ...filterInputStyle, width: '110px' }}
+          />
+        </div>
       </form>
 
+      {error && (
+        <div role="alert" style={{ padding: '12px', marginBottom: '10px', color: '#c00', border: '1px solid #f5c2c7', borderRadius: '4px' }}>
+          Could not load items: {error.message}
+          {error.requestId && <span style={{ color: '#666' }}> (reference {error.requestId})</span>}
+          <button
+            type="button"
+            onClick={() => setAttempt(value => value + 1)}
+            disabled={loading}
+            style={{ marginLeft: '12px', cursor: 'pointer' }}
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
       {/* Search Results Info */}
       {pagination && (
         <p style={{ color: '#666', marginBottom: '10px' }}>
@@ -149,6 +149,57 @@ describe('Items Component', () => {
     });
   });
 
+  test('sends the selected sort order to the server', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => mockItemsResponse
+    });
+
+    renderWithProviders(<Items />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText(/sort by/i), { target: { value: '-price' } });
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('sort=-price'),
+        expect.anything()
+      );
+    });
+  });
+
+  test('sends category and price filters on submit', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => mockItemsResponse
+    });
+
+    renderWithProviders(<Items />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText('Categories'), { target: { value: 'Electronics, Furniture' } });
+    fireEvent.change(screen.getByLabelText('Minimum price'), { target: { value: '100' } });
+    fireEvent.change(screen.getByLabelText('Maximum price'), { target: { value: '500' } });
+    fireEvent.click(screen.getByText('Search'));
+
+    await waitFor(() => {
+      const url = global.fetch.mock.calls[global.fetch.mock.calls.length - 1][0];
+      const params = new URL(url).searchParams;
+      expect(params.getAll('category')).toEqual(['Electronics', 'Furniture']);
+      expect(params.get('minPrice')).toBe('100');
+      expect(params.get('maxPrice')).toBe('500');
+      expect(params.get('page')).toBe('1');
+    });
+
+    expect(screen.getByText('Clear')).toBeInTheDocument();
+  });
+
   test('displays pagination info when available', async () => {
     const responseWithPages = {
       items: mockItemsResponse.items,
@@ -196,16 +247,43 @@ describe('Items Component', () => {
     });
   });
 
-  test('handles fetch errors gracefully', async () => {
+  test('shows fetch errors and retries on request', async () => {
     const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
     
     global.fetch.mockRejectedValueOnce(new Error('Network error'));
 
     renderWithProviders(<Items />);
 
-    await waitFor(() => {
-      expect(screen.getByText(/no items found/i)).toBeInTheDocument();
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not load items: Network error');
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockItemsResponse
     });
+    fireEvent.click(screen.getByText('Try again'));
+
+    expect(await screen.findByText('Laptop Pro')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('shows the server\'s error message and request id', async () => {
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 503,
+      json: async () => ({
+        error: { code: 'service_unavailable', message: 'Item store unavailable', requestId: 'req-7' }
+      })
+    });
+
+    renderWithProviders(<Items />);
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent('Could not load items: Item store unavailable');
+    expect(alert).toHaveTextContent('(reference req-7)');
 
     consoleErrorSpy.mockRestore();
   });
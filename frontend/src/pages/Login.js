@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../state/AuthContext';
+
+const inputStyle = {
+  display: 'block',
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  marginTop: '4px',
+  width: '300px'
+};
+
+function Login() {
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(username, password);
+      // Go back to the page that asked for a sign-in
+      navigate((location.state && location.state.from) || '/', { replace: true });
+    } catch (err) {
+      setError(err.details && err.details.length > 0
+        ? err.details.map(detail => detail.message).join(', ')
+        : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: 16 }}>
+      <h2>Sign in</h2>
+      <form onSubmit={handleSubmit}>
+        <label style={{ display: 'block', marginBottom: '12px', fontSize: '14px' }}>
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+        <label style={{ display: 'block', marginBottom: '12px', fontSize: '14px' }}>
+          Password
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+        {error && <p role="alert" style={{ color: '#c00', fontSize: '13px' }}>{error}</p>}
+        <button
+          type="submit"
+          disabled={submitting}
+          style={{
+            padding: '8px 16px',
+            fontSize: '14px',
+            backgroundColor: '#007bff',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
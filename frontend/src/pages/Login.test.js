@@ -0,0 +1,71 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import Login from './Login';
+import { AuthProvider, useAuth } from '../state/AuthContext';
+
+function Home() {
+  const { user, canEdit } = useAuth();
+  return <p>Signed in as {user.username}{canEdit && ' (can edit)'}</p>;
+}
+
+const renderLogin = () => render(
+  <MemoryRouter initialEntries={[{ pathname: '/login', state: { from: '/items/new' } }]}>
+    <AuthProvider>
+      <Routes>
+        <Route path="/login" element={<Login />} />
+        <Route path="/items/new" element={<Home />} />
+      </Routes>
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+const signIn = () => {
+  fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'erin' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+};
+
+describe('Login', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('stores the session and returns to the page that asked for it', async () => {
+    const session = {
+      token: 'abc.def',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      user: { username: 'erin', role: 'editor' }
+    };
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => session });
+    renderLogin();
+
+    signIn();
+
+    expect(await screen.findByText('Signed in as erin (can edit)')).toBeInTheDocument();
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:3001/api/v2/auth/login');
+    expect(JSON.parse(options.body)).toEqual({ username: 'erin', password: 'secret' });
+    expect(JSON.parse(window.localStorage.getItem('auth'))).toEqual(session);
+  });
+
+  test('shows why the sign-in failed', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      json: async () => ({
+        error: { code: 'unauthorized', message: 'Invalid username or password', requestId: 'req-1' }
+      })
+    });
+    renderLogin();
+
+    signIn();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid username or password');
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Sign in' })).not.toBeDisabled();
+    });
+    expect(window.localStorage.getItem('auth')).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import ItemForm from '../components/ItemForm';
+import { useData } from '../state/DataContext';
+import { useAuth } from '../state/AuthContext';
+
+function NewItem() {
+  const { createItem } = useData();
+  const navigate = useNavigate();
+  const { canEdit } = useAuth();
+
+  const handleSubmit = async (values) => {
+    const created = await createItem(values);
+    navigate('/items/' + created.id);
+  };
+
+  if (!canEdit) {
+    return <Navigate to="/login" state={{ from: '/items/new' }} replace />;
+  }
+
+  return (
+    <div style={{ padding: 16 }}>
+      <h2>New item</h2>
+      <ItemForm onSubmit={handleSubmit} onCancel={() => navigate('/')} submitLabel="Create item" />
+    </div>
+  );
+}
+
+export default NewItem;
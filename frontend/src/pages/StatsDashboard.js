@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react';
+import { useData } from '../state/DataContext';
+import { apiRequest } from '../utils/api';
+
+const formatPrice = (value) => (value === null || value === undefined ? '—' : `$${Math.round(value * 100) / 100}`);
+
+const cardStyle = {
+  padding: '12px 16px',
+  border: '1px solid #eee',
+  borderRadius: '4px',
+  minWidth: '120px'
+};
+
+const inputStyle = {
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  marginRight: '10px'
+};
+
+const cellStyle = { padding: '6px 12px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+function StatCard({ label, value }) {
+  return (
+    <div style={cardStyle}>
+      <div style={{ color: '#666', fontSize: '12px' }}>{label}</div>
+      <div style={{ fontSize: '20px', fontWeight: 'bold' }}>{value}</div>
+    </div>
+  );
+}
+
+function StatsDashboard() {
+  const [stats, setStats] = useState(null);
+  const [categoryOptions, setCategoryOptions] = useState([]);
+  const [category, setCategory] = useState('');
+  const [search, setSearch] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [buckets, setBuckets] = useState(5);
+  const [error, setError] = useState(null);
+  // Changes whenever the server reports new stats, triggering a refetch
+  const { statsVersion } = useData();
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    const params = new URLSearchParams({ buckets: buckets.toString() });
+    if (category) {
+      params.append('category', category);
+    }
+    if (search) {
+      params.append('q', search);
+    }
+
+    apiRequest('/api/v2/stats', { params, signal: abortController.signal, revalidate: true })
+      .then(json => {
+        setStats(json);
+        setError(null);
+        // The unscoped response lists every category for the filter
+        if (!category && !search) {
+          setCategoryOptions(json.categories.map(c => c.category));
+        }
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to fetch stats:', err);
+          setError('Could not load stats.');
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [category, search, buckets, statsVersion]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput);
+  };
+
+  if (error) return <p style={{ padding: 16, color: '#c00' }}>{error}</p>;
+  if (!stats) return <p>Loading...</p>;
+
+  const largestBucket = Math.max(1, ...stats.histogram.map(bucket => bucket.count));
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <h2>Catalog stats</h2>
+
+      <form onSubmit={handleSearch} style={{ marginBottom: '20px', display: 'flex', alignItems: 'center' }}>
+        <select
+          aria-label="Category"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          style={inputStyle}
+        >
+          <option value="">All categories</option>
+          {categoryOptions.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <input
+          type="text"
+          aria-label="Search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Limit to items matching..."
+          style={{ ...inputStyle, width: '220px' }}
+        />
+        <label style={{ fontSize: '14px', marginRight: '10px' }}>
+          Buckets{' '}
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={buckets}
+            onChange={(e) => setBuckets(Math.min(50, Math.max(1, Number(e.target.value) || 1)))}
+            style={{ ...inputStyle, width: '60px', marginRight: 0 }}
+          />
+        </label>
+        <button
+          type="submit"
+          style={{
+            padding: '8px 16px',
+            fontSize: '14px',
+            backgroundColor: '#007bff',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          Apply
+        </button>
+      </form>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+        <StatCard label="Items" value={stats.total} />
+        <StatCard label="Average price" value={formatPrice(stats.averagePrice)} />
+        <StatCard label="Median price" value={formatPrice(stats.medianPrice)} />
+        <StatCard label="Min price" value={formatPrice(stats.minPrice)} />
+        <StatCard label="Max price" value={formatPrice(stats.maxPrice)} />
+        {Object.entries(stats.percentiles).map(([name, value]) => (
+          <StatCard key={name} label={name.toUpperCase()} value={formatPrice(value)} />
+        ))}
+      </div>
+
+      <h3>By category</h3>
+      <table style={{ borderCollapse: 'collapse', marginBottom: '20px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Category</th>
+            <th style={cellStyle}>Items</th>
+            <th style={cellStyle}>Average</th>
+            <th style={cellStyle}>Median</th>
+            <th style={cellStyle}>Min</th>
+            <th style={cellStyle}>Max</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.categories.map(row => (
+            <tr key={row.category}>
+              <td style={cellStyle}>{row.category}</td>
+              <td style={cellStyle}>{row.count}</td>
+              <td style={cellStyle}>{formatPrice(row.averagePrice)}</td>
+              <td style={cellStyle}>{formatPrice(row.medianPrice)}</td>
+              <td style={cellStyle}>{formatPrice(row.minPrice)}</td>
+              <td style={cellStyle}>{formatPrice(row.maxPrice)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Price distribution</h3>
+      {stats.histogram.length === 0 ? (
+        <p>No priced items.</p>
+      ) : (
+        <div role="list" aria-label="Price histogram">
+          {stats.histogram.map(bucket => (
+            <div key={bucket.min} role="listitem" style={{ display: 'flex', alignItems: 'center', marginBottom: '4px' }}>
+              <span style={{ width: '180px', fontSize: '13px', color: '#666' }}>
+                {formatPrice(bucket.min)} – {formatPrice(bucket.max)}
+              </span>
+              <div
+                style={{
+                  height: '16px',
+                  width: `${(bucket.count / largestBucket) * 300}px`,
+                  backgroundColor: '#007bff',
+                  borderRadius: '2px',
+                  marginRight: '8px'
+                }}
+              />
+              <span style={{ fontSize: '13px' }}>{bucket.count}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StatsDashboard;
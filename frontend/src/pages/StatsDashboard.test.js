@@ -0,0 +1,73 @@
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import StatsDashboard from './StatsDashboard';
+
+const mockStats = {
+  total: 3,
+  pricedItems: 3,
+  averagePrice: 1232.33,
+  minPrice: 399,
+  maxPrice: 2499,
+  medianPrice: 799,
+  percentiles: { p25: 599, p50: 799, p75: 1649, p90: 2159, p95: 2329, p99: 2465 },
+  categories: [
+    { category: 'Electronics', count: 2, pricedItems: 2, averagePrice: 1449, minPrice: 399, maxPrice: 2499, medianPrice: 1449 },
+    { category: 'Furniture', count: 1, pricedItems: 1, averagePrice: 799, minPrice: 799, maxPrice: 799, medianPrice: 799 }
+  ],
+  histogram: [
+    { min: 399, max: 1449, count: 2 },
+    { min: 1449, max: 2499, count: 1 }
+  ]
+};
+
+const jsonResponse = (body) => ({ ok: true, json: async () => body });
+
+describe('StatsDashboard', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(mockStats));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('renders summary, category breakdown and histogram', async () => {
+    render(<StatsDashboard />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Median price')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('$1232.33')).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'Furniture' })).toBeInTheDocument();
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+  });
+
+  test('scopes stats to the selected category and histogram size', async () => {
+    render(<StatsDashboard />);
+
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Electronics' })).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText('Category'), { target: { value: 'Electronics' } });
+    fireEvent.change(screen.getByLabelText(/buckets/i), { target: { value: '10' } });
+
+    await waitFor(() => {
+      const params = new URL(global.fetch.mock.calls[global.fetch.mock.calls.length - 1][0]).searchParams;
+      expect(params.get('category')).toBe('Electronics');
+      expect(params.get('buckets')).toBe('10');
+    });
+  });
+
+  test('shows an error when stats cannot be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation();
+    global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+    render(<StatsDashboard />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/could not load stats/i)).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react';
+import { useData } from '../state/DataContext';
+import { useAuth } from '../state/AuthContext';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+// Deleted items, restorable by editors until they are purged
+function Trash() {
+  const { restoreItem, fetchTrash } = useData();
+  const { canEdit } = useAuth();
+  const [trash, setTrash] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    fetchTrash(abortController.signal)
+      .then(setTrash)
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to fetch trash:', err);
+          setError('Could not load the trash.');
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [fetchTrash]);
+
+  const handleRestore = async (item) => {
+    try {
+      await restoreItem(item.id);
+      setError(null);
+      setTrash(prev => ({ ...prev, items: prev.items.filter(entry => entry.id !== item.id) }));
+    } catch (err) {
+      console.error('Failed to restore item:', err);
+      setError(`Could not restore "${item.name}".`);
+    }
+  };
+
+  if (!trash && !error) return <p style={{ padding: 16 }}>Loading...</p>;
+
+  return (
+    <div style={{ padding: 16 }}>
+      <h2>Trash</h2>
+      {error && <p role="alert" style={{ color: '#c00' }}>{error}</p>}
+      {trash && (
+        <>
+          <p style={{ color: '#666', fontSize: '14px' }}>
+            Deleted items are removed for good after {trash.retentionDays} days.
+          </p>
+          {trash.items.length === 0 ? (
+            <p>The trash is empty.</p>
+          ) : (
+            <ul style={{ listStyle: 'none', padding: 0 }}>
+              {trash.items.map(item => (
+                <li key={item.id} style={{ padding: '8px 0', borderBottom: '1px solid #eee' }}>
+                  <strong>{item.name}</strong>
+                  <span style={{ color: '#666', fontSize: '14px' }}>
+                    {' '}· {item.category} · ${item.price}
+                    {' '}· deleted {formatDate(item.deletedAt)}, purged {formatDate(item.purgeAt)}
+                  </span>
+                  {canEdit && (
+                    <button
+                      onClick={() => handleRestore(item)}
+                      style={{ marginLeft: '12px', fontSize: '13px', cursor: 'pointer' }}
+                    >
+                      Restore
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
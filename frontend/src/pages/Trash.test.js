@@ -0,0 +1,127 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Trash from './Trash';
+import { DataProvider } from '../state/DataContext';
+import { AuthProvider } from '../state/AuthContext';
+
+const trash = {
+  items: [
+    {
+      id: 3,
+      name: 'Desk Lamp',
+      category: 'Lighting',
+      price: 79,
+      deletedAt: '2026-03-02T10:00:00.000Z',
+      purgeAt: '2026-04-01T10:00:00.000Z'
+    },
+    {
+      id: 1,
+      name: 'Laptop Pro',
+      category: 'Electronics',
+      price: 2499,
+      deletedAt: '2026-03-01T10:00:00.000Z',
+      purgeAt: '2026-03-31T10:00:00.000Z'
+    }
+  ],
+  retentionDays: 30
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body
+});
+
+const signIn = (role) => {
+  window.localStorage.setItem('auth', JSON.stringify({
+    token: `${role}-token`,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    user: { username: 'erin', role }
+  }));
+};
+
+const renderTrash = () => render(
+  <MemoryRouter>
+    <AuthProvider>
+      <DataProvider>
+        <Trash />
+      </DataProvider>
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+describe('Trash', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn(async (url, options = {}) => (
+      options.method ? jsonResponse({ id: 3, name: 'Desk Lamp', category: 'Lighting', price: 79 }) : jsonResponse(trash)
+    ));
+  });
+
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('lists deleted items with the retention period', async () => {
+    renderTrash();
+
+    expect(await screen.findByText('Desk Lamp')).toBeInTheDocument();
+    expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    expect(screen.getByText('Deleted items are removed for good after 30 days.')).toBeInTheDocument();
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:3001/api/v2/items/trash');
+    // Only editors can restore
+    expect(screen.queryByText('Restore')).not.toBeInTheDocument();
+  });
+
+  test('restores an item for editors', async () => {
+    signIn('editor');
+    renderTrash();
+
+    const [restore] = await screen.findAllByText('Restore');
+    fireEvent.click(restore);
+
+    await waitFor(() => expect(screen.queryByText('Desk Lamp')).not.toBeInTheDocument());
+    expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    expect(screen.getAllByText('Restore')).toHaveLength(1);
+    const [url, options] = global.fetch.mock.calls[1];
+    expect(url).toBe('http://localhost:3001/api/v2/items/3/restore');
+    expect(options.method).toBe('POST');
+    expect(options.headers.Authorization).toBe('Bearer editor-token');
+  });
+
+  test('reports a failed restore', async () => {
+    signIn('editor');
+    global.fetch = jest.fn(async (url, options = {}) => (
+      options.method ? jsonResponse({ error: { code: 'not_found', message: 'Item not found', requestId: 'req-1' } }, 404) : jsonResponse(trash)
+    ));
+    jest.spyOn(console, 'error').mockImplementation();
+    renderTrash();
+
+    const [restore] = await screen.findAllByText('Restore');
+    fireEvent.click(restore);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not restore "Desk Lamp".');
+    expect(screen.getByText('Desk Lamp')).toBeInTheDocument();
+  });
+
+  test('signs out and lists the trash anonymously when the token is no longer valid', async () => {
+    signIn('editor');
+    global.fetch = jest.fn(async (url, options) => (options.headers.Authorization
+      ? jsonResponse({ error: { code: 'unauthorized', message: 'Invalid or expired token', requestId: 'req-2' } }, 401)
+      : jsonResponse(trash)));
+    renderTrash();
+
+    expect(await screen.findByText('Desk Lamp')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.queryByText('Restore')).not.toBeInTheDocument();
+    expect(window.localStorage.getItem('auth')).toBeNull();
+  });
+
+  test('shows the empty state', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({ items: [], retentionDays: 30 }));
+    renderTrash();
+
+    expect(await screen.findByText('The trash is empty.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,73 @@
+import React, { createContext, useCallback, useContext, useState } from 'react';
+import { apiRequest } from '../utils/api';
+
+const STORAGE_KEY = 'auth';
+
+const AuthContext = createContext({
+  user: null,
+  canEdit: false,
+  login: () => Promise.resolve(),
+  logout: () => {},
+  authHeaders: () => ({})
+});
+
+// Session saved by a previous login, unless it has expired
+function loadSession() {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (session && session.token && new Date(session.expiresAt) > new Date()) {
+      return session;
+    }
+  } catch (err) {
+    // Ignore unreadable storage and start signed out
+  }
+  return null;
+}
+
+export function AuthProvider({ children }) {
+  const [session, setSession] = useState(loadSession);
+
+  /**
+   * Sign in and remember the token until it expires
+   * @param {string} username
+   * @param {string} password
+   * @throws {Error} From apiRequest(), when the server refuses
+   */
+  const login = useCallback(async (username, password) => {
+    const body = await apiRequest('/api/v2/auth/login', {
+      method: 'POST',
+      body: { username, password }
+    });
+
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(body));
+    setSession(body);
+    return body.user;
+  }, []);
+
+  const logout = useCallback(() => {
+    window.localStorage.removeItem(STORAGE_KEY);
+    setSession(null);
+  }, []);
+
+  // Headers that identify the signed-in user to the API
+  const authHeaders = useCallback(
+    () => (session ? { Authorization: `Bearer ${session.token}` } : {}),
+    [session]
+  );
+
+  const user = session ? session.user : null;
+
+  return (
+    <AuthContext.Provider value={{
+      user,
+      canEdit: Boolean(user) && user.role === 'editor',
+      login,
+      logout,
+      authHeaders
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export const useAuth = () => useContext(AuthContext);
@@ -1,23 +1,129 @@
-import React, { createContext, useCallback, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { apiRequest, apiUrl } from '../utils/api';
+
+const ITEMS_PATH = '/api/v2/items';
+// How long a deleted item can be restored before the delete is sent
+export const UNDO_WINDOW_MS = 5000;
+// Reconnect delays after the event stream closes: 1s, 2s, 4s ... up to 30s
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
 
 const DataContext = createContext({
   items: [],
   pagination: null,
   loading: false,
-  fetchItems: () => Promise.resolve()
+  error: null,
+  statsVersion: 0,
+  pendingDelete: null,
+  fetchItems: () => Promise.resolve(),
+  loadMoreItems: () => Promise.resolve(),
+  createItem: () => Promise.resolve(),
+  updateItem: () => Promise.resolve(),
+  deleteItem: () => {},
+  undoDelete: () => {},
+  restoreItem: () => Promise.resolve(),
+  fetchItem: () => Promise.resolve(),
+  fetchTrash: () => Promise.resolve(),
+  fetchItemHistory: () => Promise.resolve([]),
+  revertItem: () => Promise.resolve()
 });
 
+// Whether a list query narrows or reorders the catalog, in which case a
+// new item's place in it cannot be known without asking the server
+const isNarrowed = (query) => Boolean(
+  query.search ||
+  query.sort ||
+  (query.categories && query.categories.length) ||
+  (query.minPrice !== undefined && query.minPrice !== '') ||
+  (query.maxPrice !== undefined && query.maxPrice !== '')
+);
+
+// Pagination after the matching item count changed by `delta`
+function adjustPagination(pagination, delta) {
+  const totalItems = Math.max(0, pagination.totalItems + delta);
+  if (pagination.currentPage === undefined) {
+    return { ...pagination, totalItems };
+  }
+  const totalPages = Math.ceil(totalItems / pagination.pageSize);
+  return {
+    ...pagination,
+    totalItems,
+    totalPages,
+    hasNextPage: pagination.currentPage < totalPages
+  };
+}
+
 export function DataProvider({ children }) {
   const [items, setItems] = useState([]);
   const [pagination, setPagination] = useState(null);
   const [loading, setLoading] = useState(false);
+  // Why the last list request failed, until the next one succeeds
+  const [error, setError] = useState(null);
+  // Bumped on every stats change pushed by the server
+  const [statsVersion, setStatsVersion] = useState(0);
+  // Last cursor-mode query, so loadMoreItems can request the following page
+  const cursorQuery = useRef(null);
+  // Last list query, and the latest state, for the live event handlers
+  const listQuery = useRef(null);
+  const latest = useRef({ items, pagination });
+  latest.current = { items, pagination };
+  // Item hidden by deleteItem() whose delete has not been sent yet
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const pendingDeleteRef = useRef(null);
+  // Ids deleted from here, so their live events are not applied twice
+  const locallyDeleted = useRef(new Set());
+  // Negative ids for items shown before the server assigns one
+  const nextPlaceholderId = useRef(-1);
+  // Read through a ref so a new session does not recreate every action
+  const auth = useRef(null);
+  auth.current = useAuth();
+
+  // apiRequest() as the signed-in user. A rejected token (expired, or
+  // signed by a server that has restarted since) ends the session, and a
+  // read is then sent again anonymously, as most reads are open to anyone.
+  const sendAuthorized = useCallback(async (path, options = {}) => {
+    const credentials = auth.current.authHeaders();
+    try {
+      return await apiRequest(path, { ...options, headers: { ...options.headers, ...credentials } });
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+      auth.current.logout();
+      const read = !options.method || options.method === 'GET';
+      if (!read || !credentials.Authorization) {
+        throw error;
+      }
+      return apiRequest(path, options);
+    }
+  }, []);
 
+  // Pass `cursor: ''` to switch to cursor pagination: the first page
+  // replaces `items`, later cursors append to them (infinite scrolling)
   const fetchItems = useCallback(async (signal, options = {}) => {
-    const { page = 1, pageSize = 10, search = '' } = options;
+    const {
+      page = 1,
+      pageSize = 10,
+      search = '',
+      sort = '',
+      categories = [],
+      minPrice = '',
+      maxPrice = '',
+      cursor
+    } = options;
+    const cursorMode = cursor !== undefined;
+    // Remember the query from its first page, to reload it on a reset
+    if (!cursorMode || !cursor) {
+      listQuery.current = options;
+    }
     
     setLoading(true);
     try {
-      const params = new URLSearchParams({
+      const params = new URLSearchParams(cursorMode ? {
+        cursor,
+        pageSize: pageSize.toString(),
+      } : {
         page: page.toString(),
         pageSize: pageSize.toString(),
       });
@@ -25,43 +131,385 @@ export function DataProvider({ children }) {
       if (search) {
         params.append('q', search);
       }
-
-      const res = await fetch(`http://localhost:3001/api/items?${params}`, { signal });
-      
-      if (!res.ok) {
-        throw new Error(`HTTP error! status: ${res.status}`);
+      if (sort) {
+        params.append('sort', sort);
       }
-      
-      const json = await res.json();
-      
-      // Handle both paginated and legacy responses
-      if (json && json.items && json.pagination) {
-        setItems(Array.isArray(json.items) ? json.items : []);
-        setPagination(json.pagination);
-      } else if (Array.isArray(json)) {
-        // Legacy format (array)
-        setItems(json);
-        setPagination(null);
-      } else {
-        // Fallback: ensure items is always an array
-        setItems([]);
-        setPagination(null);
+      categories.forEach(category => params.append('category', category));
+      if (minPrice !== '') {
+        params.append('minPrice', minPrice.toString());
+      }
+      if (maxPrice !== '') {
+        params.append('maxPrice', maxPrice.toString());
       }
+
+      // A 304 from the server reuses the body of the last identical request
+      const json = await sendAuthorized(ITEMS_PATH, { params, signal, revalidate: true });
+      setError(null);
+
+      // v2 always answers { items, pagination } (ItemPage in /api/v2/openapi.json)
+      setItems(prev => (cursorMode && cursor ? [...prev, ...json.items] : json.items));
+      setPagination(json.pagination);
+      cursorQuery.current = cursorMode ? { ...options, cursor: json.pagination.nextCursor } : null;
     } catch (error) {
+      // A newer request replaced this one; it will report its own outcome
+      if (error.name === 'AbortError') {
+        return;
+      }
+      // Keep what is loaded so a failed refresh does not look like an empty catalog
       console.error('Error fetching items:', error);
-      setItems([]);
-      setPagination(null);
+      setError(error);
     } finally {
       setLoading(false);
     }
+  }, [sendAuthorized]);
+
+  // Append the next cursor page to `items`; a no-op once the last page is loaded
+  const loadMoreItems = useCallback(async (signal) => {
+    const query = cursorQuery.current;
+    if (!query || !query.cursor) {
+      return;
+    }
+    await fetchItems(signal, query);
+  }, [fetchItems]);
+
+  // Whether a new item would appear in the loaded list. Unsorted lists are
+  // in id order, so it belongs at the very end: only when the end of the
+  // list is what is loaded
+  const showsNewItems = useCallback(() => {
+    const { items: current, pagination: currentPagination } = latest.current;
+    const query = listQuery.current;
+    if (!query || !currentPagination || isNarrowed(query)) {
+      return false;
+    }
+    return currentPagination.currentPage === undefined
+      ? !currentPagination.hasNextPage
+      : currentPagination.currentPage >= currentPagination.totalPages &&
+        current.length < currentPagination.pageSize;
   }, []);
 
+  // Apply an item change pushed by the server to the loaded list
+  const applyItemEvent = useCallback((type, data) => {
+    const { items: current, pagination: currentPagination } = latest.current;
+    const query = listQuery.current;
+    if (!query || !currentPagination) {
+      return;
+    }
+
+    if (type === 'item.updated') {
+      setItems(prev => prev.map(item => (item.id === data.item.id ? data.item : item)));
+    } else if (type === 'item.deleted') {
+      // Deletes made here were already applied when they were requested
+      if (locallyDeleted.current.delete(data.id)) {
+        return;
+      }
+      const visible = current.some(item => item.id === data.id);
+      if (visible) {
+        setItems(prev => prev.filter(item => item.id !== data.id));
+      }
+      if (visible || !isNarrowed(query)) {
+        setPagination(prev => prev && adjustPagination(prev, -1));
+      }
+    } else if (type === 'item.created' && !isNarrowed(query)) {
+      // Items created here are already in the list
+      if (!current.some(item => item.id === data.item.id) && showsNewItems()) {
+        setItems(prev => [...prev, data.item]);
+      }
+      setPagination(prev => prev && adjustPagination(prev, 1));
+    }
+  }, [showsNewItems]);
+
+  /**
+   * Create an item, showing it in the list before the server confirms
+   * @param {{ name: string, category: string, price: number }} values
+   * @returns {Promise<Object>} The created item
+   * @throws {Error} With `status` and field `details` when the server rejects it
+   */
+  const createItem = useCallback(async (values) => {
+    const placeholder = { ...values, id: nextPlaceholderId.current-- };
+    const shown = showsNewItems();
+    if (shown) {
+      setItems(prev => [...prev, placeholder]);
+    }
+
+    try {
+      const created = await sendAuthorized(ITEMS_PATH, { method: 'POST', body: values });
+      if (shown) {
+        // The live event for it may have arrived first
+        setItems(prev => (prev.some(item => item.id === created.id)
+          ? prev.filter(item => item !== placeholder)
+          : prev.map(item => (item === placeholder ? created : item))));
+      }
+      return created;
+    } catch (error) {
+      setItems(prev => prev.filter(item => item !== placeholder));
+      throw error;
+    }
+  }, [showsNewItems, sendAuthorized]);
+
+  /**
+   * Replace an item, updating the list before the server confirms
+   * @param {number} id
+   * @param {{ name: string, category: string, price: number }} values
+   * @param {Object} [options]
+   * @param {string} [options.etag] - Version the edit was made against, see
+   *   etagFor(); the server refuses with 412 if the item changed since
+   * @returns {Promise<Object>} The updated item
+   * @throws {Error} With `status` and field `details` when the server rejects it
+   */
+  const updateItem = useCallback(async (id, values, { etag } = {}) => {
+    const previous = latest.current.items.find(item => item.id === id);
+    if (previous) {
+      setItems(prev => prev.map(item => (item.id === id ? { ...item, ...values } : item)));
+    }
+
+    try {
+      const updated = await sendAuthorized(`${ITEMS_PATH}/${id}`, {
+        method: 'PUT',
+        headers: etag ? { 'If-Match': etag } : {},
+        body: values
+      });
+      setItems(prev => prev.map(item => (item.id === id ? updated : item)));
+      return updated;
+    } catch (error) {
+      if (previous) {
+        setItems(prev => prev.map(item => (item.id === id ? previous : item)));
+      }
+      throw error;
+    }
+  }, [sendAuthorized]);
+
+  // Send the DELETE for an item hidden by deleteItem()
+  const commitDelete = useCallback(async ({ item, etag, restore }, options = {}) => {
+    locallyDeleted.current.add(item.id);
+    try {
+      await sendAuthorized(`${ITEMS_PATH}/${item.id}`, {
+        method: 'DELETE',
+        headers: etag ? { 'If-Match': etag } : {},
+        ...options
+      });
+    } catch (error) {
+      locallyDeleted.current.delete(item.id);
+      // Already gone is as good as deleted
+      if (error.status !== 404) {
+        console.error('Error deleting item:', error);
+        restore();
+      }
+    }
+  }, [sendAuthorized]);
+
+  /**
+   * Remove an item from the list now and delete it on the server once the
+   * undo window has passed; undoDelete() cancels it
+   * @param {Object} item
+   * @param {Object} [options]
+   * @param {string} [options.etag] - Only delete this version, see updateItem()
+   */
+  const deleteItem = useCallback((item, { etag } = {}) => {
+    const { items: current } = latest.current;
+    const query = listQuery.current;
+    const index = current.findIndex(entry => entry.id === item.id);
+    const counted = index !== -1 || (query && !isNarrowed(query));
+
+    // Only one delete can be undone at a time
+    if (pendingDeleteRef.current) {
+      clearTimeout(pendingDeleteRef.current.timer);
+      commitDelete(pendingDeleteRef.current);
+    }
+
+    if (index !== -1) {
+      setItems(prev => prev.filter(entry => entry.id !== item.id));
+    }
+    if (counted) {
+      setPagination(prev => prev && adjustPagination(prev, -1));
+    }
+
+    const pending = {
+      item,
+      etag,
+      restore: () => {
+        if (index !== -1) {
+          setItems(prev => [...prev.slice(0, index), item, ...prev.slice(index)]);
+        }
+        if (counted) {
+          setPagination(prev => prev && adjustPagination(prev, 1));
+        }
+      },
+      timer: setTimeout(() => {
+        pendingDeleteRef.current = null;
+        setPendingDelete(null);
+        commitDelete(pending);
+      }, UNDO_WINDOW_MS)
+    };
+    pendingDeleteRef.current = pending;
+    setPendingDelete(item);
+  }, [commitDelete]);
+
+  // Bring back the item hidden by the last deleteItem() call
+  const undoDelete = useCallback(() => {
+    const pending = pendingDeleteRef.current;
+    if (!pending) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    pending.restore();
+    pendingDeleteRef.current = null;
+    setPendingDelete(null);
+  }, []);
+
+  /**
+   * Take an item out of the trash. The list picks it up from the live
+   * event, like any other client's.
+   * @param {number} id
+   * @returns {Promise<Object>} The restored item
+   * @throws {Error} With `status` when the server refuses
+   */
+  const restoreItem = useCallback(
+    (id) => sendAuthorized(`${ITEMS_PATH}/${id}/restore`, { method: 'POST' }),
+    [sendAuthorized]
+  );
+
+  /**
+   * One item, as whoever is signed in
+   * @param {number|string} id
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Object>}
+   * @throws {Error} With `status` 404 when there is no such item
+   */
+  const fetchItem = useCallback(
+    (id, signal) => sendAuthorized(`${ITEMS_PATH}/${id}`, { signal }),
+    [sendAuthorized]
+  );
+
+  /**
+   * The trash: deleted items with their purge dates, and the retention period
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ items: Object[], retentionDays: number }>}
+   */
+  const fetchTrash = useCallback(
+    (signal) => sendAuthorized(`${ITEMS_PATH}/trash`, { signal }),
+    [sendAuthorized]
+  );
+
+  /**
+   * Audit entries for one item, newest first; needs a signed-in user
+   * @param {number} id
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Object[]>}
+   */
+  const fetchItemHistory = useCallback(async (id, signal) => {
+    const { entries } = await sendAuthorized(`${ITEMS_PATH}/${id}/history`, { signal });
+    return entries;
+  }, [sendAuthorized]);
+
+  /**
+   * Restore an item as it was after the audit entry `revision`
+   * @param {number} id
+   * @param {number} revision
+   * @returns {Promise<Object>} The reverted item
+   * @throws {Error} With `status` when the server refuses
+   */
+  const revertItem = useCallback(
+    (id, revision) => sendAuthorized(`${ITEMS_PATH}/${id}/revert`, { method: 'POST', body: { revision } }),
+    [sendAuthorized]
+  );
+
+  // Leaving the page ends the undo window: send the delete right away
+  useEffect(() => {
+    const flush = () => {
+      const pending = pendingDeleteRef.current;
+      if (pending) {
+        clearTimeout(pending.timer);
+        pendingDeleteRef.current = null;
+        commitDelete(pending, { keepalive: true });
+      }
+    };
+    window.addEventListener('beforeunload', flush);
+    return () => window.removeEventListener('beforeunload', flush);
+  }, [commitDelete]);
+
+  // Reload the current list from its first page
+  const reloadItems = useCallback(() => {
+    const query = listQuery.current;
+    if (query) {
+      fetchItems(undefined, query);
+    }
+  }, [fetchItems]);
+
+  // Live updates: subscribe to the server's event stream, reconnecting with
+  // backoff and resuming after the last event received
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      return undefined;
+    }
+
+    let source = null;
+    let lastEventId = null;
+    let attempts = 0;
+    let reconnectTimer = null;
+
+    const connect = () => {
+      source = new EventSource(apiUrl('/api/v2/events', lastEventId === null ? undefined : { lastEventId }));
+
+      const listen = (type, handler) => {
+        source.addEventListener(type, (event) => {
+          attempts = 0;
+          if (event.lastEventId) {
+            lastEventId = event.lastEventId;
+          }
+          handler(JSON.parse(event.data));
+        });
+      };
+      ['item.created', 'item.updated', 'item.deleted'].forEach(type => {
+        listen(type, data => applyItemEvent(type, data));
+      });
+      listen('stats.changed', () => setStatsVersion(version => version + 1));
+      // Missed events are gone or the store was edited directly: reload
+      listen('store.changed', reloadItems);
+      listen('reset', () => {
+        reloadItems();
+        setStatsVersion(version => version + 1);
+      });
+
+      source.onopen = () => {
+        attempts = 0;
+      };
+      source.onerror = () => {
+        // EventSource retries by itself unless the connection is closed
+        if (source.readyState !== EventSource.CLOSED) {
+          return;
+        }
+        const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_MS);
+        attempts += 1;
+        reconnectTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+    return () => {
+      clearTimeout(reconnectTimer);
+      source.close();
+    };
+  }, [applyItemEvent, reloadItems]);
+
   return (
     <DataContext.Provider value={{ 
       items: items || [], 
       pagination, 
       loading, 
-      fetchItems 
+      error,
+      statsVersion,
+      pendingDelete,
+      fetchItems,
+      loadMoreItems,
+      createItem,
+      updateItem,
+      deleteItem,
+      undoDelete,
+      restoreItem,
+      fetchItem,
+      fetchTrash,
+      fetchItemHistory,
+      revertItem
     }}>
       {children}
     </DataContext.Provider>
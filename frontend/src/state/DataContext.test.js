@@ -0,0 +1,360 @@
+import React from 'react';
+import { render, screen, waitFor, fireEvent, act } from '@testing-library/react';
+import { DataProvider, useData } from './DataContext';
+import { AuthProvider } from './AuthContext';
+
+// Minimal consumer that drives cursor pagination like an infinite list would
+function CursorList() {
+  const { items, pagination, fetchItems, loadMoreItems } = useData();
+
+  return (
+    <div>
+      <button onClick={() => fetchItems(undefined, { cursor: '', pageSize: 2, sort: '-price' })}>
+        Start
+      </button>
+      <button onClick={() => loadMoreItems()}>More</button>
+      <ul>
+        {items.map(item => <li key={item.id}>{item.name}</li>)}
+      </ul>
+      {pagination && !pagination.hasNextPage && <p>End of list</p>}
+    </div>
+  );
+}
+
+const jsonResponse = (body) => ({ ok: true, json: async () => body });
+
+describe('DataContext cursor pagination', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('appends pages fetched with nextCursor', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({
+        items: [
+          { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+          { id: 3, name: 'Ultra-Wide Monitor', category: 'Electronics', price: 999 }
+        ],
+        pagination: { pageSize: 2, totalItems: 3, nextCursor: 'abc', hasNextPage: true }
+      }))
+      .mockResolvedValueOnce(jsonResponse({
+        items: [{ id: 2, name: 'Headphones', category: 'Electronics', price: 399 }],
+        pagination: { pageSize: 2, totalItems: 3, nextCursor: null, hasNextPage: false }
+      }));
+
+    render(<DataProvider><CursorList /></DataProvider>);
+
+    fireEvent.click(screen.getByText('Start'));
+    await waitFor(() => {
+      expect(screen.getByText('Ultra-Wide Monitor')).toBeInTheDocument();
+    });
+
+    const firstParams = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(firstParams.get('cursor')).toBe('');
+    expect(firstParams.get('page')).toBeNull();
+
+    fireEvent.click(screen.getByText('More'));
+    await waitFor(() => {
+      expect(screen.getByText('End of list')).toBeInTheDocument();
+    });
+
+    const secondParams = new URL(global.fetch.mock.calls[1][0]).searchParams;
+    expect(secondParams.get('cursor')).toBe('abc');
+    expect(secondParams.get('sort')).toBe('-price');
+    expect(screen.getAllByRole('listitem')).toHaveLength(3);
+
+    // Nothing left to load
+    fireEvent.click(screen.getByText('More'));
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('DataContext conditional requests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reuses the loaded page when the server answers 304', async () => {
+    const page = {
+      items: [{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }],
+      pagination: { pageSize: 2, totalItems: 1, nextCursor: null, hasNextPage: false }
+    };
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ...jsonResponse(page), status: 200, headers: new Headers({ ETag: '"catalog-1"' }) })
+      .mockResolvedValueOnce({ ok: false, status: 304, headers: new Headers({ ETag: '"catalog-1"' }) });
+
+    render(<DataProvider><CursorList /></DataProvider>);
+
+    fireEvent.click(screen.getByText('Start'));
+    expect(await screen.findByText('Laptop Pro')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Start'));
+
+    await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+    expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"catalog-1"');
+    expect(await screen.findByText('End of list')).toBeInTheDocument();
+    expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+  });
+});
+
+describe('DataContext sessions', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('ends a session whose token is rejected and reads the list anonymously', async () => {
+    window.localStorage.setItem('auth', JSON.stringify({
+      token: 'stale-token',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      user: { username: 'erin', role: 'editor' }
+    }));
+    const page = {
+      items: [{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }],
+      pagination: { pageSize: 2, totalItems: 1, nextCursor: null, hasNextPage: false }
+    };
+    global.fetch = jest.fn(async (url, options) => (options.headers.Authorization
+      ? { ok: false, status: 401, json: async () => ({ error: { code: 'unauthorized', message: 'Invalid or expired token' } }) }
+      : jsonResponse(page)));
+
+    render(<AuthProvider><DataProvider><CursorList /></DataProvider></AuthProvider>);
+    fireEvent.click(screen.getByText('Start'));
+
+    expect(await screen.findByText('Laptop Pro')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBeUndefined();
+    expect(window.localStorage.getItem('auth')).toBeNull();
+  });
+});
+
+// Stand-in for the browser EventSource that tests drive by hand
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 1;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).concat(listener);
+  }
+
+  emit(type, data, id) {
+    act(() => {
+      (this.listeners[type] || []).forEach(listener => listener({ data: JSON.stringify(data), lastEventId: String(id) }));
+    });
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+}
+FakeEventSource.CLOSED = 2;
+
+function PagedList() {
+  const { items, pagination, fetchItems } = useData();
+
+  return (
+    <div>
+      <button onClick={() => fetchItems(undefined, { page: 1, pageSize: 2 })}>Load</button>
+      <ul>
+        {items.map(item => <li key={item.id}>{item.name}</li>)}
+      </ul>
+      {pagination && <p>{pagination.totalItems} items, {pagination.totalPages} pages</p>}
+    </div>
+  );
+}
+
+describe('DataContext live updates', () => {
+  const latestSource = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    global.EventSource = FakeEventSource;
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+      items: [
+        { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+        { id: 2, name: 'Headphones', category: 'Electronics', price: 399 }
+      ],
+      pagination: { currentPage: 1, pageSize: 2, totalItems: 3, totalPages: 2, hasNextPage: true, hasPreviousPage: false }
+    }));
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('patches items and pagination from pushed events', async () => {
+    render(<DataProvider><PagedList /></DataProvider>);
+    fireEvent.click(screen.getByText('Load'));
+    await waitFor(() => {
+      expect(screen.getByText('3 items, 2 pages')).toBeInTheDocument();
+    });
+    const source = latestSource();
+    expect(source.url).toBe('http://localhost:3001/api/v2/events');
+
+    source.emit('item.updated', { item: { id: 1, name: 'Laptop Pro 2', category: 'Electronics', price: 2599 } }, 1);
+    expect(screen.getByText('Laptop Pro 2')).toBeInTheDocument();
+
+    source.emit('item.deleted', { id: 3 }, 2);
+    expect(screen.getByText('2 items, 1 pages')).toBeInTheDocument();
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+
+    source.emit('item.deleted', { id: 2 }, 3);
+    expect(screen.queryByText('Headphones')).not.toBeInTheDocument();
+    expect(screen.getByText('1 items, 1 pages')).toBeInTheDocument();
+
+    // The last page has room, so the new item shows up at its end
+    source.emit('item.created', { item: { id: 4, name: 'Desk Lamp', category: 'Lighting', price: 79 } }, 4);
+    expect(screen.getByText('Desk Lamp')).toBeInTheDocument();
+    expect(screen.getByText('2 items, 1 pages')).toBeInTheDocument();
+
+    // A full page only gains a page count
+    source.emit('item.created', { item: { id: 5, name: 'Bookshelf', category: 'Furniture', price: 149 } }, 5);
+    expect(screen.queryByText('Bookshelf')).not.toBeInTheDocument();
+    expect(screen.getByText('3 items, 2 pages')).toBeInTheDocument();
+  });
+
+  test('reloads the list when told it missed events', async () => {
+    render(<DataProvider><PagedList /></DataProvider>);
+    fireEvent.click(screen.getByText('Load'));
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+
+    latestSource().emit('reset', {}, 9);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+    expect(global.fetch.mock.calls[1][0]).toBe(global.fetch.mock.calls[0][0]);
+  });
+
+  test('reconnects with backoff and resumes after the last event', () => {
+    jest.useFakeTimers();
+    render(<DataProvider><PagedList /></DataProvider>);
+
+    const first = latestSource();
+    first.emit('stats.changed', { stats: {} }, 7);
+    first.readyState = FakeEventSource.CLOSED;
+    first.onerror();
+
+    act(() => {
+      jest.advanceTimersByTime(999);
+    });
+    expect(FakeEventSource.instances).toHaveLength(1);
+    act(() => {
+      jest.advanceTimersByTime(1);
+    });
+    expect(latestSource().url).toBe('http://localhost:3001/api/v2/events?lastEventId=7');
+
+    // A second failure in a row waits twice as long
+    latestSource().readyState = FakeEventSource.CLOSED;
+    latestSource().onerror();
+    act(() => {
+      jest.advanceTimersByTime(1999);
+    });
+    expect(FakeEventSource.instances).toHaveLength(2);
+    act(() => {
+      jest.advanceTimersByTime(1);
+    });
+    expect(FakeEventSource.instances).toHaveLength(3);
+  });
+});
+
+function EditableList() {
+  const { items, fetchItems, createItem, deleteItem, undoDelete } = useData();
+  const [error, setError] = React.useState(null);
+
+  return (
+    <div>
+      <button onClick={() => fetchItems(undefined, { page: 1, pageSize: 10 })}>Load</button>
+      <button onClick={() => createItem({ name: 'Desk Lamp', category: 'Lighting', price: 79 }).catch(err => setError(err))}>
+        Create
+      </button>
+      <button onClick={() => deleteItem(items[0])}>Delete first</button>
+      <button onClick={undoDelete}>Undo</button>
+      <ul>
+        {items.map(item => <li key={item.id}>{item.id}: {item.name}</li>)}
+      </ul>
+      {error && <p>{error.status}: {error.details.map(detail => detail.message).join(', ')}</p>}
+    </div>
+  );
+}
+
+describe('DataContext item actions', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValueOnce(jsonResponse({
+      items: [
+        { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+        { id: 2, name: 'Headphones', category: 'Electronics', price: 399 }
+      ],
+      pagination: { currentPage: 1, pageSize: 10, totalItems: 2, totalPages: 1, hasNextPage: false, hasPreviousPage: false }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const load = async () => {
+    render(<DataProvider><EditableList /></DataProvider>);
+    fireEvent.click(screen.getByText('Load'));
+    await waitFor(() => {
+      expect(screen.getByText('2: Headphones')).toBeInTheDocument();
+    });
+  };
+
+  test('shows a created item before the server answers', async () => {
+    let respond;
+    global.fetch.mockReturnValueOnce(new Promise(resolve => { respond = resolve; }));
+    await load();
+
+    fireEvent.click(screen.getByText('Create'));
+    expect(screen.getByText('-1: Desk Lamp')).toBeInTheDocument();
+
+    respond(jsonResponse({ id: 3, name: 'Desk Lamp', category: 'Lighting', price: 79 }));
+    await waitFor(() => {
+      expect(screen.getByText('3: Desk Lamp')).toBeInTheDocument();
+    });
+    expect(screen.getAllByRole('listitem')).toHaveLength(3);
+  });
+
+  test('drops the optimistic item and reports field errors when the server rejects it', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      json: async () => ({
+        error: {
+          code: 'validation_failed',
+          message: 'Validation failed',
+          details: [{ field: 'name', code: 'too_long', message: 'name must be at most 200 characters' }],
+          requestId: 'req-1'
+        }
+      })
+    });
+    await load();
+
+    fireEvent.click(screen.getByText('Create'));
+
+    expect(await screen.findByText('400: name must be at most 200 characters')).toBeInTheDocument();
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+  });
+
+  test('restores a deleted item in place on undo', async () => {
+    await load();
+
+    fireEvent.click(screen.getByText('Delete first'));
+    expect(screen.queryByText('1: Laptop Pro')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Undo'));
+    expect(screen.getAllByRole('listitem').map(li => li.textContent)).toEqual(['1: Laptop Pro', '2: Headphones']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,91 @@
+import { apiErrorFrom } from './apiError';
+
+// Where the backend lives; set REACT_APP_API_URL at build time to point
+// the app at another instance (staging, tests)
+export const API_URL = (process.env.REACT_APP_API_URL || 'http://localhost:3001').replace(/\/+$/, '');
+// Responses kept for revalidation, oldest first
+const MAX_CACHED_RESPONSES = 50;
+
+// URL (and credentials) -> { etag, body } of the last revalidatable response
+const responseCache = new Map();
+// Response body -> the ETag it was sent with
+const bodyETags = new WeakMap();
+
+/**
+ * The ETag the server sent with a body returned by apiRequest(); pass it
+ * back as If-Match to make a write fail when someone else changed it first
+ * @param {Object} body
+ * @returns {string|undefined}
+ */
+export function etagFor(body) {
+  return body && typeof body === 'object' ? bodyETags.get(body) : undefined;
+}
+
+// Remember a revalidatable response, evicting the oldest past the limit
+function cacheResponse(key, etag, body) {
+  responseCache.delete(key);
+  responseCache.set(key, { etag, body });
+  if (responseCache.size > MAX_CACHED_RESPONSES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+}
+
+/**
+ * Absolute URL of an API path
+ * @param {string} path - e.g. '/api/v2/items/3'
+ * @param {URLSearchParams|Object} [params] - Query string parameters
+ * @returns {string}
+ */
+export function apiUrl(path, params) {
+  const query = params ? new URLSearchParams(params).toString() : '';
+  return `${API_URL}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Call the API and parse its JSON response
+ * @param {string} path - e.g. '/api/v2/items/3'
+ * @param {Object} [options] - fetch() options; `body` is sent as JSON and
+ *   `params` becomes the query string. With `revalidate`, a GET sends the
+ *   ETag of the last response and reuses its body when the server answers
+ *   304 Not Modified.
+ * @returns {Promise<Object|null>} Response body, null for 204
+ * @throws {Error} From apiErrorFrom(): `status`, `code`, `details`, `requestId`
+ */
+export async function apiRequest(path, { params, body, headers, revalidate = false, ...options } = {}) {
+  const url = apiUrl(path, params);
+  const init = { ...options, headers: { ...headers } };
+  if (body !== undefined) {
+    init.body = JSON.stringify(body);
+    init.headers = { 'Content-Type': 'application/json', ...init.headers };
+  }
+
+  // Responses can differ per user, so the credentials are part of the key
+  const cacheKey = `${init.headers.Authorization || ''} ${url}`;
+  const cached = revalidate ? responseCache.get(cacheKey) : undefined;
+  if (cached) {
+    init.headers['If-None-Match'] = cached.etag;
+  }
+
+  const res = await fetch(url, init);
+  if (res.status === 304 && cached) {
+    return cached.body;
+  }
+  if (!res.ok) {
+    throw await apiErrorFrom(res);
+  }
+  if (res.status === 204) {
+    return null;
+  }
+
+  const json = await res.json();
+  const etag = res.headers && res.headers.get('ETag');
+  if (etag) {
+    if (json && typeof json === 'object') {
+      bodyETags.set(json, etag);
+    }
+    if (revalidate) {
+      cacheResponse(cacheKey, etag, json);
+    }
+  }
+  return json;
+}
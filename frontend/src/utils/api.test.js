@@ -0,0 +1,112 @@
+import { apiRequest, apiUrl, etagFor } from './api';
+
+describe('api client', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const respond = (status, body) => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: status < 400,
+      status,
+      json: () => Promise.resolve(body)
+    });
+  };
+
+  test('builds URLs from the configured base', () => {
+    expect(apiUrl('/api/v2/items')).toBe('http://localhost:3001/api/v2/items');
+    expect(apiUrl('/api/v2/items', { q: 'desk lamp', page: 2 })).toBe('http://localhost:3001/api/v2/items?q=desk+lamp&page=2');
+  });
+
+  test('takes the base URL from REACT_APP_API_URL', () => {
+    const original = process.env.REACT_APP_API_URL;
+    process.env.REACT_APP_API_URL = 'https://staging.example.com/';
+    try {
+      jest.isolateModules(() => {
+        expect(require('./api').apiUrl('/api/v2/stats')).toBe('https://staging.example.com/api/v2/stats');
+      });
+    } finally {
+      if (original === undefined) {
+        delete process.env.REACT_APP_API_URL;
+      } else {
+        process.env.REACT_APP_API_URL = original;
+      }
+    }
+  });
+
+  test('sends bodies as JSON and parses the response', async () => {
+    respond(201, { id: 3 });
+
+    await expect(apiRequest('/api/v2/items', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer token' },
+      body: { name: 'Desk Lamp' }
+    })).resolves.toEqual({ id: 3 });
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3001/api/v2/items', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token' },
+      body: '{"name":"Desk Lamp"}'
+    });
+  });
+
+  test('resolves null for 204 responses', async () => {
+    respond(204);
+
+    await expect(apiRequest('/api/v2/items/3', { method: 'DELETE' })).resolves.toBeNull();
+  });
+
+  test('reuses the cached body when the server answers 304', async () => {
+    const body = { items: [{ id: 1 }] };
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: true, status: 200, headers: new Headers({ ETag: '"v1"' }), json: async () => body })
+      .mockResolvedValueOnce({ ok: false, status: 304, headers: new Headers({ ETag: '"v1"' }) });
+
+    await expect(apiRequest('/api/v2/items', { params: { page: 7 }, revalidate: true })).resolves.toBe(body);
+    await expect(apiRequest('/api/v2/items', { params: { page: 7 }, revalidate: true })).resolves.toBe(body);
+
+    expect(global.fetch.mock.calls[0][1].headers).toEqual({});
+    expect(global.fetch.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"v1"' });
+  });
+
+  test('keeps cached responses apart per user', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Headers({ ETag: '"v2"' }),
+      json: async () => ({})
+    });
+
+    await apiRequest('/api/v2/stats', { headers: { Authorization: 'Bearer a' }, revalidate: true });
+    await apiRequest('/api/v2/stats', { headers: { Authorization: 'Bearer b' }, revalidate: true });
+
+    expect(global.fetch.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer b' });
+  });
+
+  test('remembers the ETag each body was sent with', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Headers({ ETag: '"item-3"' }),
+      json: async () => ({ id: 3 })
+    });
+
+    const item = await apiRequest('/api/v2/items/3');
+
+    expect(etagFor(item)).toBe('"item-3"');
+    expect(etagFor({ id: 3 })).toBeUndefined();
+  });
+
+  test('rejects with the error envelope', async () => {
+    respond(404, { error: { code: 'not_found', message: 'Item not found', requestId: 'req-1' } });
+
+    await expect(apiRequest('/api/v2/items/99')).rejects.toMatchObject({
+      message: 'Item not found',
+      status: 404,
+      code: 'not_found',
+      requestId: 'req-1'
+    });
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Build an Error from a failed API response. The server reports errors as
+ * `{ error: { code, message, details, requestId } }`; the returned error
+ * carries those fields plus the HTTP `status`.
+ * @param {Response} res - A response with `ok === false`
+ * @returns {Promise<Error>}
+ */
+export async function apiErrorFrom(res) {
+  const body = await res.json().catch(() => null);
+  const envelope = body && body.error && typeof body.error === 'object' ? body.error : {};
+
+  const error = new Error(envelope.message || `HTTP error! status: ${res.status}`);
+  error.status = res.status;
+  error.code = envelope.code || null;
+  error.details = Array.isArray(envelope.details) ? envelope.details : [];
+  error.requestId = envelope.requestId || null;
+  return error;
+}
@@ -0,0 +1,57 @@
+// Mirrors ITEM_SCHEMA in backend/src/utils/validation.js
+export const ITEM_RULES = {
+  name: { maxLength: 200 },
+  category: { maxLength: 100 },
+  price: { min: 0 }
+};
+
+/**
+ * Validate item form values before they are sent to the server
+ * @param {{ name: string, category: string, price: string|number }} values - Form input
+ * @returns {{ value: Object, errors: Object[] }} Item payload and field
+ *   errors, shaped like the server's `details` ({ field, code, message })
+ */
+export function validateItem({ name = '', category = '', price = '' }) {
+  const errors = [];
+  const value = {};
+
+  for (const [field, input] of [['name', name], ['category', category]]) {
+    const trimmed = String(input).trim();
+    if (trimmed.length === 0) {
+      errors.push({ field, code: 'required', message: `${field} must not be empty` });
+    } else if (String(input).length > ITEM_RULES[field].maxLength) {
+      errors.push({
+        field,
+        code: 'too_long',
+        message: `${field} must be at most ${ITEM_RULES[field].maxLength} characters`
+      });
+    } else {
+      value[field] = trimmed;
+    }
+  }
+
+  const priceNumber = typeof price === 'number' ? price : Number(String(price).trim());
+  if (String(price).trim() === '') {
+    errors.push({ field: 'price', code: 'required', message: 'price is required' });
+  } else if (!Number.isFinite(priceNumber)) {
+    errors.push({ field: 'price', code: 'invalid_type', message: 'price must be a finite number' });
+  } else if (priceNumber < ITEM_RULES.price.min) {
+    errors.push({ field: 'price', code: 'too_small', message: `price must be at least ${ITEM_RULES.price.min}` });
+  } else {
+    value.price = priceNumber;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Index field errors by field name; errors without a field go under `form`
+ * @param {Object[]} errors
+ * @returns {Object<string, string>}
+ */
+export function errorsByField(errors) {
+  return errors.reduce((byField, { field, message }) => {
+    const key = field || 'form';
+    return byField[key] ? byField : { ...byField, [key]: message };
+  }, {});
+}